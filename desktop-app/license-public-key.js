@@ -0,0 +1,5 @@
+// Public half of the license signing key (SPKI, base64), pinned in every
+// client. Written by `npm run license-key` (see server/license-key.js)
+// together with extension/license-public-key.js; don't edit one without the
+// other.
+module.exports = 'MCowBQYDK2VwAyEAO3C3XREdWhuDK150BQxrrVC8faOO6TJ+DqMURAJGVQI=';
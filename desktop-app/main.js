@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Tray, Menu, nativeImage, clipboard, screen, desktopCapturer, globalShortcut } = require('electron');
+const { app, BrowserWindow, Tray, Menu, nativeImage, clipboard, screen, desktopCapturer, globalShortcut, ipcMain } = require('electron');
 const { exec, execSync } = require('child_process');
 const express = require('express');
 const http = require('http');
@@ -67,45 +67,150 @@ const SESSION_TOKEN = crypto.randomBytes(16).toString('hex');
 
 // License management
 const LICENSE_PATH = path.join(app.getPath('userData'), 'license.json');
+const DEVICE_ID_PATH = path.join(app.getPath('userData'), 'device-id');
 let currentLicense = {
   tier: 'free', // 'free', 'trial', 'pro', 'lifetime'
   email: null,
   expiresAt: null,
-  token: null
+  token: null,
+  refreshToken: null,
+  licenseToken: null
 };
 
+// License tokens are signed by the cloud server; only this key's holder can
+// issue them. When running from source, ORBITXE_LICENSE_PUBLIC_KEY (PEM or
+// the base64 line) swaps in a local server's key; packaged builds ignore it.
+const DEV_LICENSE_PUBLIC_KEY = !app.isPackaged && process.env.ORBITXE_LICENSE_PUBLIC_KEY;
+const LICENSE_PUBLIC_KEY = `-----BEGIN PUBLIC KEY-----
+${DEV_LICENSE_PUBLIC_KEY ? DEV_LICENSE_PUBLIC_KEY.replace(/-----[^-]+-----|\s/g, '') : require('./license-public-key.js')}
+-----END PUBLIC KEY-----`;
+
+// Stable random ID for this install - license tokens are bound to it
+function getDeviceId() {
+  try {
+    if (fs.existsSync(DEVICE_ID_PATH)) {
+      const saved = fs.readFileSync(DEVICE_ID_PATH, 'utf8').trim();
+      if (saved) return saved;
+    }
+    const deviceId = crypto.randomBytes(16).toString('hex');
+    fs.writeFileSync(DEVICE_ID_PATH, deviceId);
+    return deviceId;
+  } catch (e) {
+    console.error('Failed to load device ID:', e.message);
+    return null;
+  }
+}
+
+const DEVICE_ID = getDeviceId();
+
+// Check a license token's signature, device and expiry.
+// Returns { status, payload } - status is 'active', 'grace' (expired but
+// inside its offline grace period), 'expired', 'invalid' or 'none'.
+function checkLicenseToken(licenseToken) {
+  if (!licenseToken) return { status: 'none', payload: null };
+
+  try {
+    const [body, signature] = String(licenseToken).split('.');
+    if (!body || !signature) return { status: 'invalid', payload: null };
+
+    const valid = crypto.verify(null, Buffer.from(body), LICENSE_PUBLIC_KEY, Buffer.from(signature, 'base64url'));
+    if (!valid) return { status: 'invalid', payload: null };
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.deviceId !== DEVICE_ID) return { status: 'invalid', payload: null };
+
+    const now = Date.now() / 1000;
+    if (now <= payload.exp) return { status: 'active', payload };
+    if (now <= payload.exp + (payload.grace || 0)) return { status: 'grace', payload };
+    return { status: 'expired', payload };
+  } catch (e) {
+    console.error('License token error:', e.message);
+    return { status: 'invalid', payload: null };
+  }
+}
+
+// Why Pro features were switched off, shown to the user
+const LICENSE_DOWNGRADE_MESSAGES = {
+  expired: 'Your license needs to be renewed. Connect to the internet to restore Pro features.',
+  invalid: 'Your saved license could not be verified. Sign in again to restore Pro features.'
+};
+
+// The tier comes only from a verified license token - the saved file just
+// carries the token and session
+function applyLicenseToken(licenseToken) {
+  const { status, payload } = checkLicenseToken(licenseToken);
+  const usable = status === 'active' || status === 'grace';
+
+  currentLicense.licenseToken = status === 'invalid' ? null : licenseToken || null;
+  currentLicense.status = status;
+  currentLicense.tier = usable ? payload.tier : 'free';
+  currentLicense.expiresAt = usable ? payload.trialEndsAt || payload.expiresAt : null;
+  currentLicense.graceEndsAt = status === 'grace'
+    ? new Date((payload.exp + payload.grace) * 1000).toISOString()
+    : null;
+  if (payload) currentLicense.email = payload.email;
+
+  // Only a real paid/trial license being switched off counts as a downgrade
+  currentLicense.downgradeReason = payload?.tier !== 'free' ? LICENSE_DOWNGRADE_MESSAGES[status] || null : null;
+  if (currentLicense.downgradeReason) {
+    console.log('License downgraded to free:', status);
+  }
+  return usable;
+}
+
 function loadLicense() {
   try {
     if (fs.existsSync(LICENSE_PATH)) {
       const data = JSON.parse(fs.readFileSync(LICENSE_PATH, 'utf8'));
-      currentLicense = data;
-      // Check if trial/subscription expired
-      if (currentLicense.expiresAt && new Date(currentLicense.expiresAt) < new Date()) {
-        if (currentLicense.tier === 'trial') {
-          currentLicense.tier = 'free';
-          saveLicense();
-        }
-      }
+      currentLicense = { ...currentLicense, ...data };
     }
   } catch (e) {
     console.error('Failed to load license:', e.message);
   }
+  applyLicenseToken(currentLicense.licenseToken);
 }
 
 function saveLicense() {
   try {
-    fs.writeFileSync(LICENSE_PATH, JSON.stringify(currentLicense, null, 2));
+    // Everything else is derived from the license token on load
+    const { email, token, refreshToken, licenseToken } = currentLicense;
+    fs.writeFileSync(LICENSE_PATH, JSON.stringify({ email, token, refreshToken, licenseToken }, null, 2));
   } catch (e) {
     console.error('Failed to save license:', e.message);
   }
 }
 
-// Validate license with cloud server
-async function validateLicense(token) {
+// Exchange a refresh token for a new access token (the refresh token rotates)
+async function refreshSession(refreshToken) {
+  if (!refreshToken) return null;
+  try {
+    const res = await fetch(`${CLOUD_API}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return { token: data.token, refreshToken: data.refreshToken };
+  } catch (e) {
+    console.error('Session refresh error:', e.message);
+    return null;
+  }
+}
+
+// Validate license with cloud server. Access tokens are short-lived, so an
+// expired one is refreshed once; the new tokens come back on `tokens`.
+async function validateLicense(token, refreshToken = null) {
   try {
     const res = await fetch(`${CLOUD_API}/api/auth/validate`, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
+    if (res.status === 401 && refreshToken) {
+      const tokens = await refreshSession(refreshToken);
+      if (!tokens) return null;
+      const validation = await validateLicense(tokens.token);
+      return validation ? { ...validation, tokens } : null;
+    }
     if (!res.ok) return null;
     return await res.json();
   } catch (e) {
@@ -114,6 +219,116 @@ async function validateLicense(token) {
   }
 }
 
+// Renew the saved access token after the server rejects it
+async function refreshSavedSession() {
+  const tokens = await refreshSession(currentLicense.refreshToken);
+  if (!tokens) return false;
+  currentLicense.token = tokens.token;
+  currentLicense.refreshToken = tokens.refreshToken;
+  saveLicense();
+  return true;
+}
+
+// Fetch a fresh license token for this device with the saved session.
+// Offline, the saved token is re-checked so an expired one stops working.
+async function renewLicenseToken() {
+  if (!currentLicense.token || !DEVICE_ID) {
+    return applyLicenseToken(currentLicense.licenseToken);
+  }
+
+  const request = () => fetch(`${CLOUD_API}/api/license/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${currentLicense.token}`
+    },
+    body: JSON.stringify({ deviceId: DEVICE_ID })
+  });
+
+  try {
+    let res = await request();
+    if (res.status === 401 && await refreshSavedSession()) {
+      res = await request();
+    }
+    if (!res.ok) return applyLicenseToken(currentLicense.licenseToken);
+
+    const data = await res.json();
+    const applied = applyLicenseToken(data.licenseToken);
+    saveLicense();
+    return applied;
+  } catch (e) {
+    // Offline - keep the current token until it expires
+    console.error('License renewal error:', e.message);
+    return applyLicenseToken(currentLicense.licenseToken);
+  }
+}
+
+// Start using a session from sign-in and fetch this device's license
+async function activateSession({ token, refreshToken, email }) {
+  currentLicense.token = token;
+  currentLicense.refreshToken = refreshToken || null;
+  currentLicense.email = email || currentLicense.email;
+  saveLicense();
+  await renewLicenseToken();
+}
+
+// Desktop token - proves to the signaling server that this computer ID
+// belongs to the signed-in account
+const DESKTOP_TOKEN_PATH = path.join(app.getPath('userData'), 'desktop-token.json');
+
+function clearDesktopToken() {
+  try {
+    if (fs.existsSync(DESKTOP_TOKEN_PATH)) fs.unlinkSync(DESKTOP_TOKEN_PATH);
+  } catch (e) {
+    console.error('Failed to clear desktop token:', e.message);
+  }
+}
+
+// Register this computer with the account (once) and return its desktop token
+async function getDesktopToken(computerId) {
+  try {
+    if (fs.existsSync(DESKTOP_TOKEN_PATH)) {
+      const saved = JSON.parse(fs.readFileSync(DESKTOP_TOKEN_PATH, 'utf8'));
+      if (saved.computerId === computerId && saved.token) return saved.token;
+    }
+  } catch (e) {
+    console.error('Failed to load desktop token:', e.message);
+  }
+
+  if (!currentLicense.token) return null;
+
+  const register = () => fetch(`${CLOUD_API}/api/computers`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${currentLicense.token}`
+    },
+    body: JSON.stringify({ computerId, name: os.hostname() })
+  });
+
+  try {
+    let res = await register();
+    if (res.status === 401 && await refreshSavedSession()) {
+      res = await register();
+    }
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      console.error('Computer registration failed:', err.error || res.status);
+      return null;
+    }
+
+    const data = await res.json();
+    fs.writeFileSync(DESKTOP_TOKEN_PATH, JSON.stringify({ computerId, token: data.desktopToken }, null, 2));
+    return data.desktopToken;
+  } catch (e) {
+    console.error('Computer registration error:', e.message);
+    return null;
+  }
+}
+
+ipcMain.handle('get-desktop-token', (event, computerId) => getDesktopToken(computerId));
+ipcMain.handle('clear-desktop-token', () => clearDesktopToken());
+
 // Check if feature is available
 function hasFeature(feature) {
   const proFeatures = ['media', 'monitors', 'files', 'customShortcuts'];
@@ -121,8 +336,23 @@ function hasFeature(feature) {
   return ['trial', 'pro', 'lifetime'].includes(currentLicense.tier);
 }
 
-// Load license on startup
+// Trial length as configured on the cloud server, for the upgrade prompt
+let trialPolicy = null;
+async function fetchTrialPolicy() {
+  try {
+    const res = await fetch(`${CLOUD_API}/api/license/trial-policy`);
+    if (res.ok) trialPolicy = await res.json();
+  } catch (e) {
+    console.error('Trial policy fetch error:', e.message);
+  }
+}
+
+// Load license on startup, then keep the token fresh while online
+const LICENSE_RENEW_INTERVAL_MS = 6 * 60 * 60 * 1000;
 loadLicense();
+renewLicenseToken();
+fetchTrialPolicy();
+setInterval(renewLicenseToken, LICENSE_RENEW_INTERVAL_MS);
 
 let mainWindow = null;
 let laserWindow = null;
@@ -1417,34 +1647,37 @@ expressApp.post('/upload/cancel', (req, res) => {
 
 // License API endpoints
 expressApp.get('/api/license', (req, res) => {
+  // Re-check expiry - the app may have been running offline for days
+  applyLicenseToken(currentLicense.licenseToken);
   res.json({
     tier: currentLicense.tier,
     email: currentLicense.email,
     expiresAt: currentLicense.expiresAt,
+    status: currentLicense.status,
+    graceEndsAt: currentLicense.graceEndsAt,
+    downgradeReason: currentLicense.downgradeReason,
     isPro: ['trial', 'pro', 'lifetime'].includes(currentLicense.tier),
+    trialDays: trialPolicy?.days || null,
     platform: platformName // 'mac', 'windows', or 'linux'
   });
 });
 
 expressApp.post('/api/license/activate', async (req, res) => {
-  const { token } = req.body;
+  const { token, refreshToken } = req.body;
   if (!token) {
     return res.status(400).json({ error: 'Token required' });
   }
 
-  const validation = await validateLicense(token);
+  const validation = await validateLicense(token, refreshToken);
   if (!validation || !validation.valid) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 
-  const license = validation.license;
-  currentLicense = {
-    tier: license.tier || 'trial',
-    email: validation.user?.email,
-    expiresAt: license.trialEndsAt || license.expiresAt,
-    token: token
-  };
-  saveLicense();
+  await activateSession({
+    token: validation.tokens?.token || token,
+    refreshToken: validation.tokens?.refreshToken || refreshToken,
+    email: validation.user?.email
+  });
 
   res.json({
     success: true,
@@ -1454,48 +1687,135 @@ expressApp.post('/api/license/activate', async (req, res) => {
   });
 });
 
+// Email sign-in, step 1: the cloud server mails a one-time code
+expressApp.post('/api/license/email/request', async (req, res) => {
+  try {
+    const cloudRes = await fetch(`${CLOUD_API}/api/auth/email/request`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: req.body.email })
+    });
+    res.status(cloudRes.status).json(await cloudRes.json());
+  } catch (e) {
+    console.error('Email sign-in request error:', e.message);
+    res.status(500).json({ error: 'Could not connect to server' });
+  }
+});
+
+// Email sign-in, step 2: exchange the code for a session on this computer
+expressApp.post('/api/license/email/verify', async (req, res) => {
+  const { email, code } = req.body;
+  if (!email || !code) {
+    return res.status(400).json({ error: 'Email and code required' });
+  }
+
+  try {
+    const cloudRes = await fetch(`${CLOUD_API}/api/auth/email/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, code, deviceName: os.hostname() })
+    });
+    const data = await cloudRes.json();
+    if (!cloudRes.ok) {
+      return res.status(cloudRes.status).json({ error: data.error || 'Sign in failed' });
+    }
+
+    await activateSession({ token: data.token, refreshToken: data.refreshToken, email: data.user.email });
+
+    res.json({
+      success: true,
+      tier: currentLicense.tier,
+      email: currentLicense.email,
+      expiresAt: currentLicense.expiresAt,
+      isPro: ['trial', 'pro', 'lifetime'].includes(currentLicense.tier)
+    });
+  } catch (e) {
+    console.error('Email sign-in error:', e.message);
+    res.status(500).json({ error: 'Could not connect to server' });
+  }
+});
+
 expressApp.post('/api/license/signout', (req, res) => {
-  currentLicense = { tier: 'free', email: null, expiresAt: null, token: null };
+  // End the cloud session too (best effort)
+  if (currentLicense.refreshToken) {
+    fetch(`${CLOUD_API}/api/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: currentLicense.refreshToken })
+    }).catch(e => console.error('Logout error:', e.message));
+  }
+
+  currentLicense = { tier: 'free', email: null, expiresAt: null, token: null, refreshToken: null, licenseToken: null };
+  applyLicenseToken(null);
   saveLicense();
+  clearDesktopToken();
   res.json({ success: true });
 });
 
-// Restore purchase by email - checks cloud server
-expressApp.post('/api/license/restore', async (req, res) => {
-  const { email } = req.body;
-  if (!email) {
-    return res.status(400).json({ error: 'Email required' });
-  }
+// Device link, step 1: get a code to approve from a signed-in browser
+let pendingDeviceLink = null;
 
+expressApp.post('/api/license/link/start', async (req, res) => {
   try {
-    // Check cloud server for this email's subscription
-    const cloudRes = await fetch(`${CLOUD_API}/api/license/check`, {
+    const cloudRes = await fetch(`${CLOUD_API}/api/license/link`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email })
+      body: JSON.stringify({ deviceId: DEVICE_ID, deviceName: os.hostname() })
     });
-
+    const data = await cloudRes.json();
     if (!cloudRes.ok) {
-      const err = await cloudRes.json();
-      return res.status(404).json({ error: err.error || 'No subscription found' });
+      return res.status(cloudRes.status).json({ error: data.error || 'Could not start linking' });
     }
 
+    // The poll token stays in the main process
+    pendingDeviceLink = { pollToken: data.pollToken };
+    res.json({
+      userCode: data.userCode,
+      verificationUrl: data.verificationUrl,
+      expiresIn: data.expiresIn,
+      interval: data.interval
+    });
+  } catch (e) {
+    console.error('Device link error:', e.message);
+    res.status(500).json({ error: 'Could not connect to server' });
+  }
+});
+
+// Device link, step 2: check whether the code has been approved
+expressApp.post('/api/license/link/poll', async (req, res) => {
+  if (!pendingDeviceLink) {
+    return res.status(404).json({ status: 'expired', error: 'No device link in progress' });
+  }
+
+  try {
+    const cloudRes = await fetch(`${CLOUD_API}/api/license/link/poll`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pollToken: pendingDeviceLink.pollToken })
+    });
     const data = await cloudRes.json();
 
-    if (data.tier && data.tier !== 'free') {
-      currentLicense = {
-        tier: data.tier,
-        email: email,
-        expiresAt: data.expiresAt,
-        token: null
-      };
-      saveLicense();
-      return res.json({ success: true, tier: data.tier });
+    if (cloudRes.status === 202) {
+      return res.json({ status: 'pending' });
     }
+    pendingDeviceLink = null;
+    if (!cloudRes.ok) {
+      return res.json({ status: 'expired', error: data.error || 'Device link expired' });
+    }
+
+    currentLicense.token = data.token;
+    currentLicense.refreshToken = data.refreshToken;
+    applyLicenseToken(data.licenseToken);
+    saveLicense();
 
-    res.status(404).json({ error: 'No active subscription found' });
+    res.json({
+      status: 'approved',
+      tier: currentLicense.tier,
+      email: currentLicense.email,
+      isPro: ['trial', 'pro', 'lifetime'].includes(currentLicense.tier)
+    });
   } catch (e) {
-    console.error('Restore error:', e.message);
+    console.error('Device link poll error:', e.message);
     res.status(500).json({ error: 'Could not connect to server' });
   }
 });
@@ -1716,6 +2036,10 @@ function getRemoteHTML() {
     /* Account section in header */
     .account-btn{padding:6px 12px;background:var(--surface);border:none;border-radius:15px;color:var(--text);font-size:11px;cursor:pointer;display:flex;align-items:center;gap:4px}
     .account-btn.pro{background:linear-gradient(135deg,#f59e0b,#ef4444);color:#fff}
+
+    /* License notice (grace period / downgrade) */
+    .license-notice{display:none;margin:0 16px 8px;padding:10px 12px;background:rgba(245,158,11,0.15);border:1px solid #f59e0b;border-radius:10px;font-size:12px;color:var(--text);cursor:pointer}
+    .license-notice.active{display:block}
   </style>
 </head>
 <body>
@@ -1726,6 +2050,8 @@ function getRemoteHTML() {
     <div class="status connected" id="status">Connected</div>
   </div>
 
+  <div class="license-notice" id="licenseNotice" onclick="showUpgradeModal()"></div>
+
   <div class="tabs" id="tabs">
     <button class="tab active" data-tab="trackpad">Trackpad</button>
     <button class="tab" data-tab="keyboard">Keyboard</button>
@@ -1743,7 +2069,7 @@ function getRemoteHTML() {
       <h3>Upgrade to Pro</h3>
       <p>Unlock all features with a Pro subscription</p>
       <div class="upgrade-price">$2.99<span style="font-size:14px;font-weight:400">/mo</span></div>
-      <div class="upgrade-period">7-day free trial included</div>
+      <div class="upgrade-period" id="upgradePeriod">7-day free trial included</div>
       <ul class="upgrade-features">
         <li>Media controls (Spotify, Music, etc.)</li>
         <li>Multi-display support</li>
@@ -1756,11 +2082,17 @@ function getRemoteHTML() {
     </div>
     <div class="upgrade-content" id="restoreContent" style="display:none">
       <h3>Restore Purchase</h3>
-      <p>Enter the email you used to subscribe</p>
-      <input type="email" id="restoreEmail" placeholder="your@email.com" style="width:100%;padding:14px;background:var(--surface2);border:1px solid #444;border-radius:10px;color:var(--text);font-size:15px;margin-bottom:16px;outline:none">
-      <button class="upgrade-btn" onclick="restorePurchase()">Restore</button>
-      <button class="upgrade-btn upgrade-close" onclick="showUpgradeView()">Back</button>
-      <div id="restoreStatus" style="margin-top:12px;font-size:13px;color:var(--text2)"></div>
+      <p>Enter the email you used to subscribe. We'll send you a code.</p>
+      <input type="email" id="signinEmail" placeholder="your@email.com" style="width:100%;padding:14px;background:var(--surface2);border:1px solid #444;border-radius:10px;color:var(--text);font-size:15px;margin-bottom:16px;outline:none">
+      <input type="text" id="signinCode" placeholder="6-digit code" inputmode="numeric" maxlength="6" style="display:none;width:100%;padding:14px;background:var(--surface2);border:1px solid #444;border-radius:10px;color:var(--text);font-size:15px;margin-bottom:16px;outline:none">
+      <button class="upgrade-btn" id="emailSignInBtn" onclick="emailSignIn()">Email Me a Code</button>
+      <button class="upgrade-btn upgrade-close" onclick="startDeviceLink()">Approve from Signed-in Browser</button>
+      <div id="deviceLink" style="display:none;margin:8px 0 16px">
+        <div style="font-size:13px;color:var(--text2)">Open <span id="deviceLinkUrl" style="color:var(--accent)"></span> and enter</div>
+        <div id="deviceLinkCode" style="font-size:28px;font-weight:700;letter-spacing:4px;margin-top:8px"></div>
+      </div>
+      <button class="upgrade-btn upgrade-close" onclick="showUpgradeView()" style="margin-top:0">Back</button>
+      <div id="signinStatus" style="margin-top:12px;font-size:13px;color:var(--text2)"></div>
     </div>
     <div class="upgrade-content" id="manageContent" style="display:none">
       <h3>Manage Subscription</h3>
@@ -1939,7 +2271,9 @@ async function loadLicense() {
     if (res.ok) {
       license = await res.json();
       updateProUI();
+      updateTrialOffer();
       updatePlatformUI();
+      updateLicenseNotice();
     }
   } catch (e) {}
 }
@@ -1986,6 +2320,18 @@ function updatePlatformUI() {
   }
 }
 
+// Tell the user when Pro is running on its offline grace period or was switched off
+function updateLicenseNotice() {
+  const notice = document.getElementById('licenseNotice');
+  let text = license.downgradeReason || '';
+  if (!text && license.status === 'grace') {
+    text = 'Pro is running offline until ' + new Date(license.graceEndsAt).toLocaleDateString() +
+      '. Connect to the internet to renew your license.';
+  }
+  notice.textContent = text;
+  notice.classList.toggle('active', !!text);
+}
+
 // Update UI based on Pro status
 function updateProUI() {
   document.querySelectorAll('.tab[data-pro]').forEach(tab => {
@@ -1999,6 +2345,13 @@ function updateProUI() {
   });
 }
 
+// Trial length comes from the server's trial policy
+function updateTrialOffer() {
+  if (license.trialDays) {
+    document.getElementById('upgradePeriod').textContent = license.trialDays + '-day free trial included';
+  }
+}
+
 // Show upgrade modal
 function showUpgradeModal() {
   // If user already has Pro/Lifetime, show manage view instead
@@ -2017,16 +2370,28 @@ function closeUpgradeModal() {
   showUpgradeView();
 }
 
+// Restored - unlock Pro in this page
+function onLicenseRestored(data) {
+  const status = document.getElementById('signinStatus');
+  status.textContent = data.isPro ? 'Pro activated!' : 'Signed in - no active subscription on this account';
+  status.style.color = data.isPro ? 'var(--accent)' : 'var(--text2)';
+  license = { ...license, tier: data.tier, email: data.email, isPro: data.isPro };
+  updateProUI();
+  loadLicense();
+  if (data.isPro) setTimeout(closeUpgradeModal, 1500);
+}
+
 // Show restore view
 function showRestoreView() {
   document.getElementById('upgradeContent').style.display = 'none';
   document.getElementById('restoreContent').style.display = 'block';
   document.getElementById('manageContent').style.display = 'none';
-  document.getElementById('restoreStatus').textContent = '';
+  document.getElementById('signinStatus').textContent = '';
 }
 
 // Show upgrade view
 function showUpgradeView() {
+  stopDeviceLink();
   document.getElementById('upgradeContent').style.display = 'block';
   document.getElementById('restoreContent').style.display = 'none';
   document.getElementById('manageContent').style.display = 'none';
@@ -2050,10 +2415,13 @@ function openBillingPortal() {
   window.open('https://orbitxe.com/upgrade', '_blank');
 }
 
-// Restore purchase by email
-async function restorePurchase() {
-  const email = document.getElementById('restoreEmail').value.trim();
-  const status = document.getElementById('restoreStatus');
+// Sign in with an emailed code - first tap sends the code, second checks it
+let emailCodeSent = false;
+
+async function emailSignIn() {
+  const email = document.getElementById('signinEmail').value.trim();
+  const codeInput = document.getElementById('signinCode');
+  const status = document.getElementById('signinStatus');
 
   if (!email) {
     status.textContent = 'Please enter your email';
@@ -2061,26 +2429,41 @@ async function restorePurchase() {
     return;
   }
 
-  status.textContent = 'Checking...';
+  status.textContent = emailCodeSent ? 'Signing in...' : 'Sending code...';
   status.style.color = 'var(--text2)';
 
   try {
-    const res = await fetch('/api/license/restore', {
+    if (!emailCodeSent) {
+      const res = await fetch('/api/license/email/request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        status.textContent = data.error || 'Could not send code';
+        status.style.color = '#ef4444';
+        return;
+      }
+      emailCodeSent = true;
+      codeInput.style.display = 'block';
+      codeInput.focus();
+      document.getElementById('emailSignInBtn').textContent = 'Sign In';
+      status.textContent = 'Code sent to ' + email;
+      return;
+    }
+
+    const res = await fetch('/api/license/email/verify', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ email })
+      body: JSON.stringify({ email, code: codeInput.value.trim() })
     });
-
     const data = await res.json();
 
     if (res.ok && data.success) {
-      status.textContent = 'Pro activated!';
-      status.style.color = 'var(--accent)';
-      license = { tier: data.tier, isPro: true };
-      updateProUI();
-      setTimeout(closeUpgradeModal, 1500);
+      onLicenseRestored(data);
     } else {
-      status.textContent = data.error || 'No subscription found for this email';
+      status.textContent = data.error || 'Invalid or expired code';
       status.style.color = '#ef4444';
     }
   } catch (e) {
@@ -2089,6 +2472,58 @@ async function restorePurchase() {
   }
 }
 
+// Approve this computer from a browser that's already signed in
+let deviceLinkTimer = null;
+
+async function startDeviceLink() {
+  const status = document.getElementById('signinStatus');
+  stopDeviceLink();
+
+  try {
+    const res = await fetch('/api/license/link/start', { method: 'POST' });
+    const data = await res.json();
+    if (!res.ok) {
+      status.textContent = data.error || 'Could not start linking';
+      status.style.color = '#ef4444';
+      return;
+    }
+
+    document.getElementById('deviceLinkUrl').textContent = data.verificationUrl.replace(/^https?:[/][/]/, '');
+    document.getElementById('deviceLinkCode').textContent = data.userCode;
+    document.getElementById('deviceLink').style.display = 'block';
+    status.textContent = 'Waiting for approval...';
+    status.style.color = 'var(--text2)';
+
+    deviceLinkTimer = setInterval(pollDeviceLink, (data.interval || 3) * 1000);
+  } catch (e) {
+    status.textContent = 'Connection error. Try again.';
+    status.style.color = '#ef4444';
+  }
+}
+
+async function pollDeviceLink() {
+  const status = document.getElementById('signinStatus');
+  try {
+    const res = await fetch('/api/license/link/poll', { method: 'POST' });
+    const data = await res.json();
+    if (data.status === 'pending') return;
+
+    stopDeviceLink();
+    if (data.status === 'approved') {
+      onLicenseRestored(data);
+    } else {
+      status.textContent = data.error || 'Code expired. Try again.';
+      status.style.color = '#ef4444';
+    }
+  } catch (e) {}
+}
+
+function stopDeviceLink() {
+  clearInterval(deviceLinkTimer);
+  deviceLinkTimer = null;
+  document.getElementById('deviceLink').style.display = 'none';
+}
+
 // Load license immediately
 loadLicense();
 
@@ -5,6 +5,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getComputerId: () => ipcRenderer.invoke('get-computer-id'),
   getTempCode: () => ipcRenderer.invoke('get-temp-code'),
 
+  // Signaling auth (registers the computer with the signed-in account)
+  getDesktopToken: (computerId) => ipcRenderer.invoke('get-desktop-token', computerId),
+  clearDesktopToken: () => ipcRenderer.invoke('clear-desktop-token'),
+
   // Screen capture
   getSources: () => ipcRenderer.invoke('get-sources'),
   getScreenSize: () => ipcRenderer.invoke('get-screen-size'),
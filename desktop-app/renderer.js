@@ -16,8 +16,9 @@ let computerId = '';
 let tempCode = '';
 let ws = null;
 let stream = null;
-let peerConnection = null;
+const peerConnections = new Map(); // viewerId -> RTCPeerConnection
 let reconnectAttempts = 0;
+let authError = null;
 let currentMonitorId = null;
 let availableMonitors = [];
 const MAX_RECONNECT_ATTEMPTS = 10;
@@ -60,12 +61,20 @@ async function init() {
 }
 
 // Connect to signaling server
-function connect() {
+async function connect() {
   statusText.textContent = 'Connecting...';
   statusDot?.classList.remove('on');
 
+  // The server only accepts desktops registered to a signed-in account
+  authError = null;
+  const desktopToken = await window.electronAPI.getDesktopToken(computerId);
+  if (!desktopToken) {
+    statusText.textContent = 'Sign in to make this computer available';
+    return;
+  }
+
   const wsUrl = SIGNALING_SERVER.replace('https://', 'wss://').replace('http://', 'ws://');
-  ws = new WebSocket(`${wsUrl}/?code=${computerId}&role=desktop`);
+  ws = new WebSocket(`${wsUrl}/?code=${computerId}&role=desktop&token=${encodeURIComponent(desktopToken)}`);
 
   ws.onopen = () => {
     console.log('Connected to signaling server');
@@ -86,36 +95,63 @@ function connect() {
       }
 
       switch (msg.type) {
-        case 'phone-connected':
+        case 'auth-failed':
+          // Token revoked or computer removed - register again on next start
+          await window.electronAPI.clearDesktopToken();
+          authError = msg.reason || 'Computer not registered';
+          statusText.textContent = authError;
+          break;
+
+        case 'replaced':
+          // Another connection took over this code - don't reconnect and
+          // take it back
+          authError = msg.reason || 'Connected from somewhere else';
+          statusText.textContent = authError;
+          break;
+
+        case 'viewer-joined':
           statusText.textContent = 'Phone connected, starting stream...';
           window.electronAPI.setConnectionStatus(true);
-          await sendMonitorList();
-          await startWebRTC();
+          await sendMonitorList(msg.viewerId);
+          await startWebRTC(msg.viewerId, currentMonitorId);
           break;
 
         case 'switch-monitor':
           await switchMonitor(msg.monitorId);
           break;
 
-        case 'phone-disconnected':
-          stopStream();
-          statusText.textContent = 'Phone disconnected';
-          window.electronAPI.setConnectionStatus(false);
+        case 'viewer-left':
+          closeViewer(msg.viewerId);
+          if (peerConnections.size === 0) {
+            stopStream();
+            statusText.textContent = 'Phone disconnected';
+            window.electronAPI.setConnectionStatus(false);
+          } else {
+            updateViewerCount();
+          }
+          break;
+
+        case 'viewer-role':
+          console.log(`Viewer ${msg.viewerId} is now ${msg.role}`);
           break;
 
-        case 'webrtc-answer':
-          if (peerConnection) {
-            await peerConnection.setRemoteDescription(new RTCSessionDescription(msg.sdp));
-            console.log('Set remote description (answer)');
+        case 'webrtc-answer': {
+          const pc = peerConnections.get(msg.viewerId);
+          if (pc) {
+            await pc.setRemoteDescription(new RTCSessionDescription(msg.sdp));
+            console.log('Set remote description (answer) for', msg.viewerId);
           }
           break;
+        }
 
-        case 'webrtc-ice':
-          if (peerConnection && msg.candidate) {
-            await peerConnection.addIceCandidate(new RTCIceCandidate(msg.candidate));
-            console.log('Added ICE candidate');
+        case 'webrtc-ice': {
+          const pc = peerConnections.get(msg.viewerId);
+          if (pc && msg.candidate) {
+            await pc.addIceCandidate(new RTCIceCandidate(msg.candidate));
+            console.log('Added ICE candidate for', msg.viewerId);
           }
           break;
+        }
 
         // Handle control messages from phone
         case 'mouse-move':
@@ -187,6 +223,7 @@ function connect() {
           if (ws?.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({
               type: 'clipboard-content',
+              viewerId: msg.viewerId,
               text: clipboardText
             }));
           }
@@ -199,7 +236,7 @@ function connect() {
           break;
 
         case 'file-request':
-          await sendFileToPhone();
+          await sendFileToPhone(msg.viewerId);
           break;
 
         // Annotation drawing messages
@@ -218,7 +255,7 @@ function connect() {
   // Send file from desktop to phone
   const FILE_CHUNK_SIZE = 64 * 1024; // 64KB chunks
 
-  async function sendFileToPhone() {
+  async function sendFileToPhone(viewerId) {
     try {
       const fileInfo = await window.electronAPI.selectFileToSend();
       if (!fileInfo) return;
@@ -227,6 +264,7 @@ function connect() {
 
       ws.send(JSON.stringify({
         type: 'file-to-phone-start',
+        viewerId,
         name: fileInfo.name,
         size: fileInfo.size
       }));
@@ -243,6 +281,7 @@ function connect() {
 
         ws.send(JSON.stringify({
           type: 'file-to-phone-chunk',
+          viewerId,
           data: chunkData,
           offset: offset
         }));
@@ -252,6 +291,7 @@ function connect() {
 
       ws.send(JSON.stringify({
         type: 'file-to-phone-end',
+        viewerId,
         name: fileInfo.name
       }));
 
@@ -263,9 +303,15 @@ function connect() {
 
   ws.onclose = () => {
     console.log('WebSocket closed');
-    statusText.textContent = 'Disconnected';
     statusDot?.classList.remove('on');
 
+    // Don't retry with a token the server has rejected
+    if (authError) {
+      statusText.textContent = authError;
+      return;
+    }
+    statusText.textContent = 'Disconnected';
+
     if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
       reconnectAttempts++;
       const delay = Math.min(1000 * reconnectAttempts, 5000);
@@ -280,47 +326,68 @@ function connect() {
   };
 }
 
-// Start WebRTC streaming
-async function startWebRTC(monitorId = null) {
-  try {
-    // Get screen sources
-    const sources = await window.electronAPI.getSources();
-    if (!sources || sources.length === 0) {
-      statusText.textContent = 'Screen Recording permission needed';
-      return;
-    }
+// Capture the selected screen once - every viewer shares the same tracks
+let capturing = null;
 
-    // Use specified monitor or first one
-    const source = monitorId
-      ? sources.find(s => s.id === monitorId) || sources[0]
-      : sources[0];
-    currentMonitorId = source.id;
-
-    console.log('Capturing screen:', source.name);
-
-    // Capture screen with high quality settings
-    stream = await navigator.mediaDevices.getUserMedia({
-      audio: false,
-      video: {
-        mandatory: {
-          chromeMediaSource: 'desktop',
-          chromeMediaSourceId: source.id,
-          minWidth: 1920,
-          maxWidth: 3840,
-          minHeight: 1080,
-          maxHeight: 2160,
-          minFrameRate: 30,
-          maxFrameRate: 60
-        }
-      }
+function captureScreen(monitorId = null) {
+  if (stream) return Promise.resolve(stream);
+  if (!capturing) {
+    capturing = openCapture(monitorId).finally(() => {
+      capturing = null;
     });
+  }
+  return capturing;
+}
+
+async function openCapture(monitorId) {
+  // Get screen sources
+  const sources = await window.electronAPI.getSources();
+  if (!sources || sources.length === 0) {
+    statusText.textContent = 'Screen Recording permission needed';
+    return null;
+  }
 
-    // Create peer connection
-    peerConnection = new RTCPeerConnection(RTC_CONFIG);
+  // Use specified monitor or first one
+  const source = monitorId
+    ? sources.find(s => s.id === monitorId) || sources[0]
+    : sources[0];
+  currentMonitorId = source.id;
+
+  console.log('Capturing screen:', source.name);
+
+  // Capture screen with high quality settings
+  stream = await navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: {
+      mandatory: {
+        chromeMediaSource: 'desktop',
+        chromeMediaSourceId: source.id,
+        minWidth: 1920,
+        maxWidth: 3840,
+        minHeight: 1080,
+        maxHeight: 2160,
+        minFrameRate: 30,
+        maxFrameRate: 60
+      }
+    }
+  });
+  return stream;
+}
+
+// Start WebRTC streaming to one viewer
+async function startWebRTC(viewerId, monitorId = null) {
+  try {
+    const capture = await captureScreen(monitorId);
+    if (!capture) return;
+
+    // Create peer connection (replacing any earlier one for this viewer)
+    closeViewer(viewerId);
+    const peerConnection = new RTCPeerConnection(RTC_CONFIG);
+    peerConnections.set(viewerId, peerConnection);
 
     // Add stream tracks with high bitrate settings
-    stream.getTracks().forEach(track => {
-      const sender = peerConnection.addTrack(track, stream);
+    capture.getTracks().forEach(track => {
+      const sender = peerConnection.addTrack(track, capture);
       console.log('Added track:', track.kind);
 
       // Set high bitrate for video
@@ -338,6 +405,7 @@ async function startWebRTC(monitorId = null) {
       if (event.candidate && ws?.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({
           type: 'webrtc-ice',
+          viewerId,
           candidate: event.candidate
         }));
       }
@@ -345,13 +413,17 @@ async function startWebRTC(monitorId = null) {
 
     // Monitor connection state
     peerConnection.onconnectionstatechange = () => {
-      console.log('Connection state:', peerConnection.connectionState);
+      console.log(`Connection state (${viewerId}):`, peerConnection.connectionState);
+      if (peerConnections.get(viewerId) !== peerConnection) return;
       if (peerConnection.connectionState === 'connected') {
         showConnected();
-        statusText.textContent = 'Streaming (WebRTC P2P)';
+        updateViewerCount();
       } else if (peerConnection.connectionState === 'failed') {
-        statusText.textContent = 'Connection failed';
-        stopStream();
+        closeViewer(viewerId);
+        if (peerConnections.size === 0) {
+          statusText.textContent = 'Connection failed';
+          stopStream();
+        }
       }
     };
 
@@ -361,10 +433,11 @@ async function startWebRTC(monitorId = null) {
 
     ws.send(JSON.stringify({
       type: 'webrtc-offer',
+      viewerId,
       sdp: peerConnection.localDescription
     }));
 
-    console.log('Sent WebRTC offer');
+    console.log('Sent WebRTC offer to', viewerId);
     statusText.textContent = 'Connecting peer-to-peer...';
 
   } catch (err) {
@@ -373,12 +446,25 @@ async function startWebRTC(monitorId = null) {
   }
 }
 
-// Stop streaming
-function stopStream() {
+// Close one viewer's peer connection
+function closeViewer(viewerId) {
+  const peerConnection = peerConnections.get(viewerId);
   if (peerConnection) {
     peerConnection.close();
-    peerConnection = null;
+    peerConnections.delete(viewerId);
   }
+}
+
+function updateViewerCount() {
+  statusText.textContent = peerConnections.size > 1
+    ? `Streaming to ${peerConnections.size} phones (WebRTC P2P)`
+    : 'Streaming (WebRTC P2P)';
+}
+
+// Stop streaming to every viewer
+function stopStream() {
+  peerConnections.forEach(peerConnection => peerConnection.close());
+  peerConnections.clear();
 
   if (stream) {
     stream.getTracks().forEach(track => track.stop());
@@ -388,14 +474,24 @@ function stopStream() {
   showWaiting();
 }
 
-// Send available monitors to phone
-async function sendMonitorList() {
+// Re-capture and renegotiate with every viewer
+async function restartViewers(monitorId = null) {
+  const viewerIds = [...peerConnections.keys()];
+  stopStream();
+  for (const viewerId of viewerIds) {
+    await startWebRTC(viewerId, monitorId);
+  }
+}
+
+// Send available monitors to one viewer (or all of them)
+async function sendMonitorList(viewerId) {
   const sources = await window.electronAPI.getSources();
   availableMonitors = sources;
 
   if (ws?.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify({
       type: 'monitor-list',
+      viewerId,
       monitors: sources.map((s, i) => ({
         id: s.id,
         name: s.name,
@@ -405,12 +501,11 @@ async function sendMonitorList() {
   }
 }
 
-// Switch to different monitor
+// Switch every viewer to a different monitor
 async function switchMonitor(monitorId) {
   console.log('Switching to monitor:', monitorId);
   currentMonitorId = monitorId;
-  stopStream();
-  await startWebRTC(monitorId);
+  await restartViewers(monitorId);
 }
 
 // UI State Management
@@ -419,6 +514,9 @@ let timeLoop = null;
 let cursorLoop = null;
 
 function showConnected() {
+  // Already showing a live session (another viewer connected first)
+  if (timeLoop) return;
+
   waitingView.classList.add('hidden');
   connectedView.classList.add('active');
   statusDot?.classList.add('on');
@@ -457,6 +555,8 @@ function startCursorTracking() {
 }
 
 function updateStats() {
+  // All viewers share one capture, so the first connection is representative
+  const peerConnection = peerConnections.values().next().value;
   if (!peerConnection) return;
 
   peerConnection.getStats().then(stats => {
@@ -469,9 +569,7 @@ function updateStats() {
     });
   });
 
-  if (peerConnection) {
-    setTimeout(updateStats, 1000);
-  }
+  setTimeout(updateStats, 1000);
 }
 
 function showWaiting() {
@@ -514,10 +612,9 @@ disconnectBtn.onclick = () => {
 window.electronAPI.onWakeComplete(() => {
   console.log('Wake complete, restarting capture...');
   setTimeout(async () => {
-    if (peerConnection) {
+    if (peerConnections.size > 0) {
       console.log('Force restarting WebRTC...');
-      stopStream();
-      setTimeout(() => startWebRTC(), 500);
+      await restartViewers(currentMonitorId);
     }
   }, 500);
 });
@@ -1,10 +1,12 @@
 // ExodusXE Background Service Worker - Central Hub
 // Single WebSocket connection, controls active tab
 
-import { getLicense, isActionAllowed, signInWithGoogle, signOut, getCurrentUser, getUpgradeUrl } from './license.js';
+import { getLicense, isActionAllowed, signInWithGoogle, requestEmailCode, signInWithEmail, signOut, getCurrentUser, getUpgradeUrl, exportAccountData, deleteAccount } from './license.js';
+import { parseMessage } from './protocol.js';
 
 let ws = null;
 let roomId = null;
+let ownerToken = null;
 let serverUrl = 'https://orbitxe.com';
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 10;
@@ -12,6 +14,13 @@ let cachedLicense = null;
 
 console.log('OrbitXE: Background script loaded');
 
+// Tell the server which account now owns this room (the relay applies its license)
+function sendAuthToServer(authToken) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'authenticate', authToken: authToken || undefined }));
+  }
+}
+
 // Cache license on startup
 async function refreshLicense() {
   cachedLicense = await getLicense();
@@ -40,13 +49,15 @@ async function connectToServer() {
       });
       const data = await res.json();
       roomId = data.roomId;
+      ownerToken = data.ownerToken;
       console.log('OrbitXE: Room created:', roomId);
 
-      // Store for popup
+      // Store for popup (controllerUrl carries the pairing secret)
       await chrome.storage.local.set({
         roomId,
+        ownerToken,
         serverUrl,
-        controllerUrl: `${serverUrl}/remote/${roomId}`
+        controllerUrl: data.controllerUrl
       });
     }
 
@@ -55,10 +66,14 @@ async function connectToServer() {
     console.log('OrbitXE: Connecting to', wsUrl);
     ws = new WebSocket(wsUrl);
 
-    ws.onopen = () => {
+    ws.onopen = async () => {
       console.log('OrbitXE: WebSocket connected!');
       reconnectAttempts = 0;
-      ws.send(JSON.stringify({ type: 'join', roomId, role: 'display' }));
+      // Signed-in users join with their token so the server applies their license
+      // (validating the license first renews an expired access token)
+      await refreshLicense();
+      const { authToken } = await chrome.storage.local.get(['authToken']);
+      ws.send(JSON.stringify({ type: 'join', roomId, role: 'display', ownerToken, authToken }));
 
       // Send initial data
       setTimeout(() => {
@@ -68,7 +83,13 @@ async function connectToServer() {
     };
 
     ws.onmessage = async (e) => {
-      const msg = JSON.parse(e.data);
+      // Drop anything that doesn't match the shared schema before acting on it
+      const parsed = parseMessage(e.data);
+      if (!parsed.valid) {
+        console.warn('OrbitXE: Dropping invalid message:', parsed.error);
+        return;
+      }
+      const msg = parsed.message;
       console.log('OrbitXE: Received message:', msg.type, msg);
 
       // Feature gating helper
@@ -79,7 +100,7 @@ async function connectToServer() {
           ws.send(JSON.stringify({
             type: 'featureBlocked',
             feature: check.requiredFeature,
-            upgradeUrl: getUpgradeUrl()
+            upgradeUrl: await getUpgradeUrl()
           }));
           return;
         }
@@ -155,6 +176,33 @@ async function connectToServer() {
           chrome.storage.local.set({ controllers: msg.controllers || 0 });
           break;
 
+        case 'controllerRequest':
+          await handleControllerRequest(msg);
+          break;
+
+        case 'controllerRequestResolved':
+          await removePendingController(msg.requestId);
+          break;
+
+        case 'pairingSecret':
+          console.log('OrbitXE: Pairing secret rotated');
+          chrome.storage.local.set({
+            controllerUrl: `${serverUrl}/remote/${roomId}#key=${encodeURIComponent(msg.pairingSecret)}`,
+            controllers: 0
+          });
+          break;
+
+        case 'error':
+          // INVALID_MESSAGE means the server dropped one of our frames; nothing to reset
+          console.error('OrbitXE: Server error:', msg.code, msg.message);
+          // Room is gone (e.g. server restart) or we no longer own it - start over
+          if (msg.code === 'ROOM_NOT_FOUND' || msg.code === 'NOT_ROOM_OWNER') {
+            roomId = null;
+            ownerToken = null;
+            chrome.storage.local.remove(['roomId', 'ownerToken', 'controllerUrl', 'controllers']);
+          }
+          break;
+
         case 'pong':
           // Keep-alive response
           break;
@@ -164,6 +212,8 @@ async function connectToServer() {
     ws.onclose = () => {
       console.log('OrbitXE: WebSocket disconnected');
       ws = null;
+      // Requests die with the socket; the server re-sends any still waiting on rejoin
+      clearPendingControllers();
 
       // Reconnect with backoff
       if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
@@ -185,6 +235,93 @@ async function connectToServer() {
   }
 }
 
+// ==================== CONTROLLER APPROVAL ====================
+
+// A phone scanned the QR code - auto-approve trusted devices, otherwise prompt
+async function handleControllerRequest(request) {
+  const { trustedDevices = [], pendingControllers = [] } =
+    await chrome.storage.local.get(['trustedDevices', 'pendingControllers']);
+
+  if (request.deviceId && trustedDevices.some(d => d.deviceId === request.deviceId)) {
+    console.log('OrbitXE: Auto-approving trusted device:', request.deviceName);
+    sendControllerResponse(request.requestId, true);
+    return;
+  }
+
+  console.log('OrbitXE: Controller awaiting approval:', request.deviceName);
+  if (!pendingControllers.some(r => r.requestId === request.requestId)) {
+    pendingControllers.push({
+      requestId: request.requestId,
+      deviceId: request.deviceId,
+      deviceName: request.deviceName,
+      userAgent: request.userAgent
+    });
+    await chrome.storage.local.set({ pendingControllers });
+  }
+
+  chrome.notifications?.create(`controller-${request.requestId}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: 'OrbitXE: Phone wants to connect',
+    message: `${request.deviceName} is asking to control this browser`,
+    buttons: [{ title: 'Allow' }, { title: 'Deny' }],
+    requireInteraction: true
+  });
+}
+
+// Accept or deny a pending phone, optionally remembering it as trusted
+async function resolveControllerRequest(requestId, approved, trust = false) {
+  const { pendingControllers = [], trustedDevices = [] } =
+    await chrome.storage.local.get(['pendingControllers', 'trustedDevices']);
+  const request = pendingControllers.find(r => r.requestId === requestId);
+  if (!request) return;
+
+  if (approved && trust && request.deviceId && !trustedDevices.some(d => d.deviceId === request.deviceId)) {
+    trustedDevices.push({
+      deviceId: request.deviceId,
+      deviceName: request.deviceName,
+      addedAt: new Date().toISOString()
+    });
+    await chrome.storage.local.set({ trustedDevices });
+  }
+
+  sendControllerResponse(requestId, approved);
+  await removePendingController(requestId);
+}
+
+function sendControllerResponse(requestId, approved) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: approved ? 'approveController' : 'denyController', requestId }));
+  }
+}
+
+async function removePendingController(requestId) {
+  const { pendingControllers = [] } = await chrome.storage.local.get(['pendingControllers']);
+  await chrome.storage.local.set({
+    pendingControllers: pendingControllers.filter(r => r.requestId !== requestId)
+  });
+  chrome.notifications?.clear(`controller-${requestId}`);
+}
+
+async function clearPendingControllers() {
+  const { pendingControllers = [] } = await chrome.storage.local.get(['pendingControllers']);
+  pendingControllers.forEach(r => chrome.notifications?.clear(`controller-${r.requestId}`));
+  await chrome.storage.local.remove('pendingControllers');
+}
+
+async function removeTrustedDevice(deviceId) {
+  const { trustedDevices = [] } = await chrome.storage.local.get(['trustedDevices']);
+  await chrome.storage.local.set({
+    trustedDevices: trustedDevices.filter(d => d.deviceId !== deviceId)
+  });
+}
+
+chrome.notifications?.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  if (!notificationId.startsWith('controller-')) return;
+  const requestId = notificationId.slice('controller-'.length);
+  resolveControllerRequest(requestId, buttonIndex === 0);
+});
+
 // Send message to active tab's content script
 async function sendToActiveTab(message) {
   try {
@@ -358,13 +495,40 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'newSession') {
     console.log('OrbitXE: Creating new session');
     roomId = null;
+    ownerToken = null;
     if (ws) ws.close();
-    chrome.storage.local.remove(['roomId', 'controllerUrl', 'controllers']);
+    chrome.storage.local.remove(['roomId', 'ownerToken', 'controllerUrl', 'controllers']);
     connectToServer();
     sendResponse({ status: 'creating' });
     return true;
   }
 
+  // Invalidate the current QR code and disconnect paired phones
+  if (msg.type === 'rotateSecret') {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'rotateSecret' }));
+      sendResponse({ status: 'rotating' });
+    } else {
+      sendResponse({ status: 'disconnected' });
+    }
+    return true;
+  }
+
+  // Approval: accept/deny a phone from the popup
+  if (msg.type === 'respondToController') {
+    resolveControllerRequest(msg.requestId, msg.approved, msg.trust).then(() => {
+      sendResponse({ status: 'ok' });
+    });
+    return true;
+  }
+
+  if (msg.type === 'removeTrustedDevice') {
+    removeTrustedDevice(msg.deviceId).then(() => {
+      sendResponse({ status: 'ok' });
+    });
+    return true;
+  }
+
   if (msg.type === 'disconnect') {
     if (ws) ws.close();
     ws = null;
@@ -402,6 +566,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'signIn') {
     signInWithGoogle().then(data => {
       refreshLicense();
+      sendAuthToServer(data.token);
+      sendResponse({ success: true, ...data });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  // Auth: Email a sign-in code
+  if (msg.type === 'requestEmailCode') {
+    requestEmailCode(msg.email).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  // Auth: Sign in with an emailed code
+  if (msg.type === 'signInWithEmail') {
+    signInWithEmail(msg.email, msg.code).then(data => {
+      refreshLicense();
+      sendAuthToServer(data.token);
       sendResponse({ success: true, ...data });
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
@@ -413,6 +600,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'signOut') {
     signOut().then(() => {
       refreshLicense();
+      sendAuthToServer(null);
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  // Account: Download everything stored about the account
+  if (msg.type === 'exportAccount') {
+    exportAccountData().then(data => {
+      sendResponse({ success: true, data });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+
+  // Account: Delete it for good (signs out too)
+  if (msg.type === 'deleteAccount') {
+    deleteAccount(msg.confirmEmail).then(() => {
+      refreshLicense();
+      sendAuthToServer(null);
       sendResponse({ success: true });
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
@@ -434,16 +644,21 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 // Auto-connect on install
 chrome.runtime.onInstalled.addListener(() => {
   console.log('OrbitXE: Extension installed/updated');
-  chrome.storage.local.clear();
+  // Reset session state but keep the phones the user chose to trust
+  chrome.storage.local.get(['trustedDevices'], async ({ trustedDevices }) => {
+    await chrome.storage.local.clear();
+    if (trustedDevices) chrome.storage.local.set({ trustedDevices });
+  });
   // Don't auto-connect, wait for popup
 });
 
 // Auto-connect on browser startup if we had a session
 chrome.runtime.onStartup.addListener(() => {
   console.log('OrbitXE: Browser startup');
-  chrome.storage.local.get(['roomId'], (data) => {
-    if (data.roomId) {
+  chrome.storage.local.get(['roomId', 'ownerToken'], (data) => {
+    if (data.roomId && data.ownerToken) {
       roomId = data.roomId;
+      ownerToken = data.ownerToken;
       connectToServer();
     }
   });
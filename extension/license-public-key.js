@@ -0,0 +1,5 @@
+// Public half of the license signing key (SPKI, base64), pinned in every
+// client. The server imports it too and won't sign with any other key.
+// Written by `npm run license-key` (see server/license-key.js) together with
+// desktop-app/license-public-key.js; don't edit one without the other.
+export const LICENSE_PUBLIC_KEY = 'MCowBQYDK2VwAyEAO3C3XREdWhuDK150BQxrrVC8faOO6TJ+DqMURAJGVQI=';
@@ -1,9 +1,21 @@
 // OrbitXE License Module
-// Handles authentication, trial tracking, and feature gating
+// Handles authentication, signed licenses, and feature gating
+
+import { LICENSE_PUBLIC_KEY } from './license-public-key.js';
 
 // Production URL
 const SERVER_URL = 'https://orbitxe.com';
-const TRIAL_DURATION_DAYS = 7;
+
+// License tokens carry an Ed25519 signature checked against
+// LICENSE_PUBLIC_KEY. Only the server holds the private half. An unpacked
+// (development) install uses devLicensePublicKey from chrome.storage.local
+// instead when it's set, to check tokens from a local server.
+
+// Why Pro features were switched off, shown in the popup
+const DOWNGRADE_MESSAGES = {
+  expired: 'Your license needs to be renewed. Go online to restore Pro features.',
+  invalid: 'Your saved license could not be verified. Sign in again to restore Pro features.'
+};
 
 // Feature definitions (must match server/db.js)
 const FEATURES = {
@@ -17,112 +29,216 @@ const FEATURES = {
 // Get current license status
 export async function getLicense() {
   try {
-    const data = await chrome.storage.local.get(['authToken', 'license', 'firstInstallDate']);
+    const data = await chrome.storage.local.get(['authToken', 'licenseToken']);
 
-    // If authenticated, validate with server
+    // If authenticated, fetch a signed license for this device
     if (data.authToken) {
-      const serverLicense = await validateWithServer(data.authToken);
-      if (serverLicense) {
-        await chrome.storage.local.set({ license: serverLicense });
-        return serverLicense;
+      let licenseToken;
+      try {
+        licenseToken = await fetchLicenseToken(data.authToken);
+        if (!licenseToken) {
+          // Token invalid and session can't be refreshed, clear auth
+          await chrome.storage.local.remove(['authToken', 'refreshToken', 'user', 'license', 'licenseToken']);
+          return getSignedOutLicense();
+        }
+      } catch (error) {
+        // Offline - use the saved token until its grace period runs out
+        console.error('OrbitXE License: Could not reach server:', error);
+        licenseToken = data.licenseToken;
+        if (!licenseToken) return getSignedOutLicense();
       }
-      // Token invalid, clear auth
-      await chrome.storage.local.remove(['authToken', 'user', 'license']);
+
+      // Only what the signature vouches for counts
+      const license = await licenseFromToken(licenseToken);
+      await chrome.storage.local.set({ license, licenseToken: license.status === 'invalid' ? null : licenseToken });
+      return license;
     }
 
-    // Not authenticated - check local trial
-    return getLocalTrialStatus(data.firstInstallDate);
+    // Not authenticated - trials start at sign-in
+    return getSignedOutLicense();
   } catch (error) {
     console.error('OrbitXE License: Error getting license:', error);
-    // Fallback to local trial check
-    const data = await chrome.storage.local.get(['firstInstallDate']);
-    return getLocalTrialStatus(data.firstInstallDate);
+    return getSignedOutLicense();
   }
 }
 
-// Check local trial status (for users who haven't signed in)
-async function getLocalTrialStatus(firstInstallDate) {
-  if (!firstInstallDate) {
-    // First install - start trial
-    const now = new Date().toISOString();
-    const trialEnds = new Date(Date.now() + TRIAL_DURATION_DAYS * 24 * 60 * 60 * 1000).toISOString();
-    await chrome.storage.local.set({
-      firstInstallDate: now,
-      trialEndsAt: trialEnds
+// Trials are granted by the server to an account, once per email and
+// device, so signed-out users get the free tier and a prompt to sign in
+async function getSignedOutLicense() {
+  const policy = await getTrialPolicy();
+  return {
+    tier: 'free',
+    features: FEATURES.FREE,
+    signInForTrial: true,
+    trialDays: policy?.days
+  };
+}
+
+// Trial length as configured on the server, cached for offline use
+async function getTrialPolicy() {
+  try {
+    const response = await fetch(`${SERVER_URL}/api/license/trial-policy`);
+    if (response.ok) {
+      const trialPolicy = await response.json();
+      await chrome.storage.local.set({ trialPolicy });
+      return trialPolicy;
+    }
+  } catch (error) {
+    console.error('OrbitXE License: Could not fetch trial policy:', error);
+  }
+  const data = await chrome.storage.local.get(['trialPolicy']);
+  return data.trialPolicy || null;
+}
+
+// Exchange the stored refresh token for a new access token.
+// Concurrent callers share one request (refresh tokens are single-use).
+let pendingRefresh = null;
+
+export function refreshAuthToken() {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      const { refreshToken } = await chrome.storage.local.get(['refreshToken']);
+      if (!refreshToken) return null;
+
+      const response = await fetch(`${SERVER_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      await chrome.storage.local.set({ authToken: data.token, refreshToken: data.refreshToken });
+      return data.token;
+    })().finally(() => {
+      pendingRefresh = null;
     });
-    return {
-      tier: 'trial',
-      features: FEATURES.TRIAL,
-      trialEndsAt: trialEnds,
-      daysRemaining: TRIAL_DURATION_DAYS,
-      isLocal: true
-    };
   }
+  return pendingRefresh;
+}
 
-  // Check if trial is still active
-  const data = await chrome.storage.local.get(['trialEndsAt']);
-  const trialEnds = new Date(data.trialEndsAt || firstInstallDate);
-  const now = Date.now();
-
-  // If trial hasn't ended yet (for old installs without trialEndsAt)
-  if (!data.trialEndsAt) {
-    const installDate = new Date(firstInstallDate);
-    const trialEnd = new Date(installDate.getTime() + TRIAL_DURATION_DAYS * 24 * 60 * 60 * 1000);
-    await chrome.storage.local.set({ trialEndsAt: trialEnd.toISOString() });
-
-    if (now < trialEnd.getTime()) {
-      const daysRemaining = Math.ceil((trialEnd.getTime() - now) / (24 * 60 * 60 * 1000));
-      return {
-        tier: 'trial',
-        features: FEATURES.TRIAL,
-        trialEndsAt: trialEnd.toISOString(),
-        daysRemaining,
-        isLocal: true
-      };
-    }
+// Random ID for this install - license tokens are bound to it
+async function getDeviceId() {
+  const { deviceId } = await chrome.storage.local.get(['deviceId']);
+  if (deviceId) return deviceId;
+
+  const newId = crypto.randomUUID();
+  await chrome.storage.local.set({ deviceId: newId });
+  return newId;
+}
+
+// Ask the server for a signed license token, refreshing the access token once
+// if it has expired. Returns null if the session is gone; throws when offline.
+async function fetchLicenseToken(token, allowRefresh = true) {
+  const response = await fetch(`${SERVER_URL}/api/license/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ deviceId: await getDeviceId() })
+  });
+
+  if (response.status === 401 && allowRefresh) {
+    const newToken = await refreshAuthToken();
+    return newToken ? fetchLicenseToken(newToken, false) : null;
   }
 
-  if (now < trialEnds.getTime()) {
-    const daysRemaining = Math.ceil((trialEnds.getTime() - now) / (24 * 60 * 60 * 1000));
-    return {
-      tier: 'trial',
-      features: FEATURES.TRIAL,
-      trialEndsAt: trialEnds.toISOString(),
-      daysRemaining,
-      isLocal: true
-    };
+  if (response.status === 401) {
+    return null;
   }
 
-  // Trial expired
-  return {
-    tier: 'free',
-    features: FEATURES.FREE,
-    trialExpired: true,
-    isLocal: true
-  };
+  if (!response.ok) {
+    throw new Error(`License request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.licenseToken;
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+let publicKeyPromise = null;
+
+// Store installs have an update_url; unpacked ones don't
+async function getPublicKeyBase64() {
+  if ('update_url' in chrome.runtime.getManifest()) return LICENSE_PUBLIC_KEY;
+  const { devLicensePublicKey } = await chrome.storage.local.get('devLicensePublicKey');
+  return devLicensePublicKey ? devLicensePublicKey.replace(/-----[^-]+-----|\s/g, '') : LICENSE_PUBLIC_KEY;
+}
+
+function getPublicKey() {
+  if (!publicKeyPromise) {
+    publicKeyPromise = getPublicKeyBase64().then(key => crypto.subtle.importKey(
+      'spki', base64ToBytes(key), { name: 'Ed25519' }, false, ['verify']
+    ));
+  }
+  return publicKeyPromise;
 }
 
-// Validate token with server
-async function validateWithServer(token) {
+// Check a license token's signature, device and expiry.
+// Returns { status, payload } - status is 'active', 'grace' (expired but
+// inside its offline grace period), 'expired' or 'invalid'.
+export async function checkLicenseToken(licenseToken) {
   try {
-    const response = await fetch(`${SERVER_URL}/api/auth/validate`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
+    const [body, signature] = String(licenseToken).split('.');
+    if (!body || !signature) return { status: 'invalid', payload: null };
 
-    if (!response.ok) {
-      return null;
-    }
+    const valid = await crypto.subtle.verify(
+      { name: 'Ed25519' }, await getPublicKey(), base64ToBytes(signature), new TextEncoder().encode(body)
+    );
+    if (!valid) return { status: 'invalid', payload: null };
+
+    const payload = JSON.parse(new TextDecoder().decode(base64ToBytes(body)));
+    if (payload.deviceId !== await getDeviceId()) return { status: 'invalid', payload: null };
 
-    const data = await response.json();
-    return data.license;
+    const now = Date.now() / 1000;
+    if (now <= payload.exp) return { status: 'active', payload };
+    if (now <= payload.exp + (payload.grace || 0)) return { status: 'grace', payload };
+    return { status: 'expired', payload };
   } catch (error) {
-    console.error('OrbitXE License: Server validation failed:', error);
-    return null;
+    console.error('OrbitXE License: Could not verify license:', error);
+    return { status: 'invalid', payload: null };
   }
 }
 
+// Build the license the rest of the extension uses from a signed token.
+// Anything that fails verification is the free tier, with a reason.
+async function licenseFromToken(licenseToken) {
+  const { status, payload } = await checkLicenseToken(licenseToken);
+
+  if (status !== 'active' && status !== 'grace') {
+    if (payload?.tier !== 'free') {
+      console.log('OrbitXE License: Downgraded to free:', status);
+    }
+    return {
+      tier: 'free',
+      features: FEATURES.FREE,
+      status,
+      downgradeReason: payload?.tier !== 'free' ? DOWNGRADE_MESSAGES[status] : undefined
+    };
+  }
+
+  const license = {
+    tier: payload.tier,
+    features: payload.features,
+    status
+  };
+  if (payload.trialEndsAt) {
+    license.trialEndsAt = payload.trialEndsAt;
+    license.daysRemaining = Math.max(0, Math.ceil((new Date(payload.trialEndsAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+    if (payload.trialDays) license.trialDays = payload.trialDays;
+  }
+  if (payload.expiresAt) license.expiresAt = payload.expiresAt;
+  if (status === 'grace') {
+    license.graceEndsAt = new Date((payload.exp + payload.grace) * 1000).toISOString();
+  }
+  return license;
+}
+
 // Check if user has access to a specific feature
 export async function hasFeature(feature) {
   const license = await getLicense();
@@ -192,7 +308,7 @@ export async function signInWithGoogle() {
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify({ token })
+          body: JSON.stringify({ token, deviceName: 'Chrome extension' })
         });
 
         if (!response.ok) {
@@ -205,6 +321,7 @@ export async function signInWithGoogle() {
         // Store auth data
         await chrome.storage.local.set({
           authToken: data.token,
+          refreshToken: data.refreshToken,
           user: data.user,
           license: data.license
         });
@@ -219,14 +336,67 @@ export async function signInWithGoogle() {
   });
 }
 
+// Email sign-in, step 1: ask the server to mail a one-time code
+export async function requestEmailCode(email) {
+  const response = await fetch(`${SERVER_URL}/api/auth/email/request`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Could not send code');
+  }
+}
+
+// Email sign-in, step 2: exchange the code for our JWT
+export async function signInWithEmail(email, code) {
+  const response = await fetch(`${SERVER_URL}/api/auth/email/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, code, deviceName: 'Chrome extension' })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Authentication failed');
+  }
+
+  const data = await response.json();
+
+  await chrome.storage.local.set({
+    authToken: data.token,
+    refreshToken: data.refreshToken,
+    user: data.user,
+    license: data.license
+  });
+
+  return data;
+}
+
 // Sign out
 export async function signOut() {
-  const data = await chrome.storage.local.get(['authToken']);
+  const data = await chrome.storage.local.get(['refreshToken']);
+
+  // End the session on the server so the tokens can't be reused
+  if (data.refreshToken) {
+    try {
+      await fetch(`${SERVER_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: data.refreshToken })
+      });
+    } catch (error) {
+      console.error('OrbitXE License: Logout request failed:', error);
+    }
+  }
 
-  // Clear stored auth data (keep firstInstallDate for local trial tracking)
-  await chrome.storage.local.remove(['authToken', 'user', 'license']);
+  // Clear stored auth data
+  await chrome.storage.local.remove(['authToken', 'refreshToken', 'user', 'license', 'licenseToken']);
 
-  // Revoke Google token
+  // Revoke Google token (email sign-ins and browsers without chrome.identity have none)
+  if (!chrome.identity?.getAuthToken) return;
   return new Promise((resolve) => {
     chrome.identity.getAuthToken({ interactive: false }, (token) => {
       if (token) {
@@ -240,6 +410,44 @@ export async function signOut() {
   });
 }
 
+// Call an account endpoint with the stored access token, refreshing it
+// once if it has expired
+async function fetchWithAuth(path, options = {}, allowRefresh = true) {
+  const { authToken } = await chrome.storage.local.get(['authToken']);
+  if (!authToken) throw new Error('Not signed in');
+
+  const response = await fetch(`${SERVER_URL}${path}`, {
+    ...options,
+    headers: { ...options.headers, 'Authorization': `Bearer ${authToken}` }
+  });
+  if (response.status === 401 && allowRefresh && await refreshAuthToken()) {
+    return fetchWithAuth(path, options, false);
+  }
+  return response;
+}
+
+// Everything the server stores about this account
+export async function exportAccountData() {
+  const response = await fetchWithAuth('/api/account/export');
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Export failed');
+  return data;
+}
+
+// Delete the account on the server, then sign out here.
+// confirmEmail is the account's email, typed by the user.
+export async function deleteAccount(confirmEmail) {
+  const response = await fetchWithAuth('/api/account/delete', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ confirmEmail })
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Could not delete account');
+
+  await signOut();
+}
+
 // Get current user info
 export async function getCurrentUser() {
   const data = await chrome.storage.local.get(['user', 'authToken']);
@@ -249,13 +457,15 @@ export async function getCurrentUser() {
   return null;
 }
 
-// Get upgrade URL with auth token
+// Get upgrade URL with auth token. The device ID lets checkout see whether
+// this browser already had a trial.
 export async function getUpgradeUrl() {
   const data = await chrome.storage.local.get(['authToken']);
+  const device = `device=${encodeURIComponent(await getDeviceId())}`;
   if (data.authToken) {
-    return `${SERVER_URL}/upgrade?token=${encodeURIComponent(data.authToken)}`;
+    return `${SERVER_URL}/upgrade?token=${encodeURIComponent(data.authToken)}&${device}`;
   }
-  return `${SERVER_URL}/upgrade`;
+  return `${SERVER_URL}/upgrade?${device}`;
 }
 
 // Export constants
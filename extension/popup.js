@@ -63,6 +63,12 @@ function updateAccountUI(user, license) {
     accountSection.classList.add('hidden');
     signinSection.classList.remove('hidden');
     signOutBtn.classList.add('hidden');
+
+    // The free trial starts when an account is created
+    if (license?.signInForTrial && license.trialDays) {
+      document.getElementById('signinTitle').textContent =
+        `Sign in to start your ${license.trialDays}-day Pro trial`;
+    }
   }
 
   // Update license display
@@ -73,11 +79,20 @@ function updateAccountUI(user, license) {
     tierBadge.textContent = tier.toUpperCase();
     tierBadge.className = 'tier-badge ' + tier;
 
+    // Explain a grace period or why Pro was switched off
+    const notice = document.getElementById('licenseNotice');
+    let noticeText = license.downgradeReason || '';
+    if (!noticeText && license.status === 'grace') {
+      noticeText = `Working offline until ${new Date(license.graceEndsAt).toLocaleDateString()}. Go online to renew your license.`;
+    }
+    notice.textContent = noticeText;
+    notice.classList.toggle('hidden', !noticeText);
+
     // Show/hide trial banner
     if (tier === 'trial' && license.daysRemaining !== undefined) {
       trialBanner.classList.remove('hidden');
       document.getElementById('trialDays').textContent = license.daysRemaining;
-      const progress = (license.daysRemaining / 7) * 100;
+      const progress = Math.min(100, (license.daysRemaining / (license.trialDays || 7)) * 100);
       document.getElementById('trialProgressBar').style.width = progress + '%';
     } else {
       trialBanner.classList.add('hidden');
@@ -97,9 +112,10 @@ function showLoading() {
   document.getElementById('main').style.display = 'none';
 }
 
-function showConnected(roomId, controllerUrl, controllers) {
-  document.getElementById('qrCode').src =
-    `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(controllerUrl)}&bgcolor=0a0a0a&color=00ff88`;
+async function showConnected(roomId, controllerUrl, controllers) {
+  // Drawn here: the URL carries the pairing secret
+  const { qrCodeDataUrl } = await import('./qr.js');
+  document.getElementById('qrCode').src = qrCodeDataUrl(controllerUrl, { dark: '#00ff88', light: '#0a0a0a' });
   document.getElementById('roomCode').textContent = roomId;
 
   const connected = controllers > 0;
@@ -108,6 +124,7 @@ function showConnected(roomId, controllerUrl, controllers) {
 
   document.getElementById('loading').style.display = 'none';
   document.getElementById('main').style.display = 'block';
+  renderDevices();
 }
 
 function newSession() {
@@ -116,6 +133,64 @@ function newSession() {
   setTimeout(init, 500);
 }
 
+// Render phones waiting for approval and the trusted device list
+async function renderDevices() {
+  const { pendingControllers = [], trustedDevices = [] } =
+    await chrome.storage.local.get(['pendingControllers', 'trustedDevices']);
+
+  const pendingList = document.getElementById('pendingList');
+  pendingList.innerHTML = '';
+  pendingControllers.forEach(request => {
+    const item = createDeviceItem(request.deviceName, [
+      { label: 'Allow', onClick: () => respondToController(request.requestId, true, false) },
+      { label: 'Always', onClick: () => respondToController(request.requestId, true, true) },
+      { label: 'Deny', className: 'deny', onClick: () => respondToController(request.requestId, false, false) }
+    ]);
+    item.title = request.userAgent || '';
+    pendingList.appendChild(item);
+  });
+  document.getElementById('pendingSection').classList.toggle('hidden', pendingControllers.length === 0);
+
+  const trustedList = document.getElementById('trustedList');
+  trustedList.innerHTML = '';
+  trustedDevices.forEach(device => {
+    trustedList.appendChild(createDeviceItem(device.deviceName, [
+      {
+        label: 'Remove',
+        className: 'deny',
+        onClick: () => chrome.runtime.sendMessage({ type: 'removeTrustedDevice', deviceId: device.deviceId })
+      }
+    ]));
+  });
+  document.getElementById('trustedSection').classList.toggle('hidden', trustedDevices.length === 0);
+}
+
+function createDeviceItem(name, actions) {
+  const item = document.createElement('div');
+  item.className = 'device-item';
+  const label = document.createElement('span');
+  label.className = 'device-name';
+  label.textContent = name || 'Unknown device';
+  item.appendChild(label);
+  actions.forEach(action => {
+    const btn = document.createElement('button');
+    btn.className = 'device-btn ' + (action.className || '');
+    btn.textContent = action.label;
+    btn.addEventListener('click', action.onClick);
+    item.appendChild(btn);
+  });
+  return item;
+}
+
+function respondToController(requestId, approved, trust) {
+  chrome.runtime.sendMessage({ type: 'respondToController', requestId, approved, trust });
+}
+
+// Invalidate the current QR code; paired phones must scan again
+function rotateSecret() {
+  chrome.runtime.sendMessage({ type: 'rotateSecret' });
+}
+
 async function signInWithGoogle() {
   const btn = document.getElementById('googleSignInBtn');
   btn.textContent = 'Signing in...';
@@ -133,6 +208,45 @@ async function signInWithGoogle() {
   });
 }
 
+// Email sign-in: first submit mails a code, second submit checks it
+let emailCodeSent = false;
+
+function signInWithEmail(e) {
+  e.preventDefault();
+  const email = document.getElementById('signinEmail').value.trim();
+  const codeInput = document.getElementById('signinCode');
+  const btn = document.getElementById('emailSignInBtn');
+  const status = document.getElementById('signinStatus');
+  btn.disabled = true;
+
+  if (!emailCodeSent) {
+    chrome.runtime.sendMessage({ type: 'requestEmailCode', email }, (response) => {
+      btn.disabled = false;
+      if (!response?.success) {
+        status.textContent = response?.error || 'Could not send code';
+        return;
+      }
+      emailCodeSent = true;
+      codeInput.classList.remove('hidden');
+      codeInput.required = true;
+      codeInput.focus();
+      btn.textContent = 'SIGN IN';
+      status.textContent = `Code sent to ${email}`;
+    });
+    return;
+  }
+
+  chrome.runtime.sendMessage({ type: 'signInWithEmail', email, code: codeInput.value.trim() }, (response) => {
+    btn.disabled = false;
+    if (response?.success) {
+      status.textContent = '';
+      updateAccountUI(response.user, response.license);
+    } else {
+      status.textContent = response?.error || 'Sign in failed';
+    }
+  });
+}
+
 function signOut() {
   chrome.runtime.sendMessage({ type: 'signOut' }, (response) => {
     if (response?.success) {
@@ -141,6 +255,46 @@ function signOut() {
   });
 }
 
+// Save the account export as a JSON file
+function exportAccountData() {
+  const status = document.getElementById('accountDataStatus');
+  status.textContent = 'Preparing download...';
+
+  chrome.runtime.sendMessage({ type: 'exportAccount' }, (response) => {
+    if (!response?.success) {
+      status.textContent = response?.error || 'Export failed';
+      return;
+    }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' }));
+    link.download = `orbitxe-account-${response.data.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    status.textContent = '';
+  });
+}
+
+function toggleDeleteAccount() {
+  document.getElementById('deleteAccountForm').classList.toggle('hidden');
+  document.getElementById('deleteConfirmEmail').focus();
+}
+
+function deleteAccount(e) {
+  e.preventDefault();
+  const status = document.getElementById('accountDataStatus');
+  const confirmEmail = document.getElementById('deleteConfirmEmail').value.trim();
+
+  chrome.runtime.sendMessage({ type: 'deleteAccount', confirmEmail }, (response) => {
+    if (response?.success) {
+      document.getElementById('deleteAccountForm').classList.add('hidden');
+      status.textContent = '';
+      init(); // Refresh UI
+    } else {
+      status.textContent = response?.error || 'Could not delete account';
+    }
+  });
+}
+
 function openUpgrade() {
   if (upgradeUrl) {
     chrome.tabs.create({ url: upgradeUrl });
@@ -154,13 +308,27 @@ chrome.storage.onChanged.addListener((changes) => {
     document.getElementById('statusDot').classList.toggle('connected', connected);
     document.getElementById('statusText').textContent = connected ? 'Phone connected' : 'Scan to connect';
   }
+  if (changes.pendingControllers || changes.trustedDevices) {
+    renderDevices();
+  }
+  // Pairing secret rotated - redraw QR code
+  if (changes.controllerUrl?.newValue) {
+    chrome.runtime.sendMessage({ type: 'getSession' }, (data) => {
+      if (data?.roomId) showConnected(data.roomId, data.controllerUrl, data.controllers);
+    });
+  }
 });
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('newSessionBtn').addEventListener('click', newSession);
+  document.getElementById('rotateSecretBtn').addEventListener('click', rotateSecret);
   document.getElementById('googleSignInBtn').addEventListener('click', signInWithGoogle);
+  document.getElementById('emailSignInForm').addEventListener('submit', signInWithEmail);
   document.getElementById('signOutBtn').addEventListener('click', signOut);
+  document.getElementById('exportDataBtn').addEventListener('click', exportAccountData);
+  document.getElementById('deleteAccountBtn').addEventListener('click', toggleDeleteAccount);
+  document.getElementById('deleteAccountForm').addEventListener('submit', deleteAccount);
   document.getElementById('upgradeBanner').addEventListener('click', openUpgrade);
 
   init();
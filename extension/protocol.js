@@ -0,0 +1,247 @@
+// OrbitXE Room Protocol
+// Message schema for the web-remote WebSocket relay.
+// Shared by server/index.js (validates before relaying) and background.js (validates inbound frames).
+
+// Size limits
+export const LIMITS = {
+  MAX_FRAME_BYTES: 256 * 1024,
+  MAX_URL_LENGTH: 2048,
+  MAX_TEXT_LENGTH: 1000,
+  MAX_TABS: 500,
+  MAX_COORDINATE: 10000
+};
+
+// Error code sent back (without closing the socket) for rejected frames
+export const PROTOCOL_ERRORS = {
+  INVALID_MESSAGE: 'INVALID_MESSAGE'
+};
+
+const id = { type: 'string', maxLength: 64 };
+const coordinate = { type: 'number', min: -LIMITS.MAX_COORDINATE, max: LIMITS.MAX_COORDINATE };
+
+// Each entry lists the fields a message type may carry. Unknown types are rejected
+// and undeclared fields are stripped before a message is relayed or acted on.
+export const MESSAGE_SCHEMA = {
+  // Room membership
+  join: {
+    roomId: { type: 'string', maxLength: 16 },
+    role: { type: 'string', required: true, enum: ['display', 'controller'] },
+    subtype: { type: 'string', enum: ['tv'] },
+    ownerToken: id,
+    authToken: { type: 'string', maxLength: 2048 },
+    pairingSecret: id,
+    deviceId: id,
+    deviceName: id
+  },
+  joined: {
+    controllers: { type: 'integer', min: 0 },
+    displays: { type: 'integer', min: 0 }
+  },
+  status: {
+    controllers: { type: 'integer', min: 0 },
+    displays: { type: 'integer', min: 0 }
+  },
+  ping: {},
+  pong: {},
+  error: {
+    code: { type: 'string', required: true, maxLength: 64 },
+    message: { type: 'string', maxLength: 256 }
+  },
+
+  // Browser -> server: sign-in state changed
+  authenticate: {
+    authToken: { type: 'string', maxLength: 2048 }
+  },
+
+  // Pairing and approval
+  rotateSecret: {},
+  pairingSecret: {
+    pairingSecret: { ...id, required: true }
+  },
+  pendingApproval: {
+    displays: { type: 'integer', min: 0 }
+  },
+  controllerRequest: {
+    requestId: { ...id, required: true },
+    deviceId: id,
+    deviceName: id,
+    userAgent: { type: 'string', maxLength: 512 }
+  },
+  controllerRequestResolved: {
+    requestId: { ...id, required: true }
+  },
+  approveController: {
+    requestId: { ...id, required: true }
+  },
+  denyController: {
+    requestId: { ...id, required: true }
+  },
+
+  // Controller -> browser
+  action: {
+    action: { type: 'string', required: true, maxLength: 64 },
+    value: { type: ['string', 'number', 'boolean'], maxLength: 256 }
+  },
+  mouse: {
+    x: coordinate,
+    y: coordinate,
+    action: { type: 'string', enum: ['move', 'click', 'rightClick', 'doubleClick'] }
+  },
+  keyboard: {
+    key: { type: 'string', maxLength: 32 },
+    text: { type: 'string', maxLength: LIMITS.MAX_TEXT_LENGTH }
+  },
+  scroll: {
+    deltaX: coordinate,
+    deltaY: coordinate
+  },
+  showCursor: {
+    visible: { type: 'boolean' }
+  },
+  switchTab: {
+    tabId: { type: 'integer', required: true, min: 0 }
+  },
+  openTab: {
+    url: { type: 'string', required: true, maxLength: LIMITS.MAX_URL_LENGTH, pattern: /^https?:\/\//i }
+  },
+  getTabs: {},
+  getLicense: {},
+
+  // Browser -> controller
+  activeTab: {
+    tab: { type: 'object' },
+    siteType: { type: 'string', maxLength: 32 },
+    license: { type: 'object' }
+  },
+  tabList: {
+    tabs: { type: 'array', maxItems: LIMITS.MAX_TABS }
+  },
+  license: {
+    license: { type: 'object' }
+  },
+  featureBlocked: {
+    feature: { type: 'string', maxLength: 64 },
+    upgradeUrl: { type: 'string', maxLength: LIMITS.MAX_URL_LENGTH }
+  },
+  showKeyboard: {},
+
+  // Server -> controller: the room owner's tier doesn't include a command
+  upgradeRequired: {
+    feature: { type: 'string', required: true, maxLength: 64 },
+    tier: { type: 'string', maxLength: 32 },
+    signInRequired: { type: 'boolean' },
+    upgradeUrl: { type: 'string', maxLength: LIMITS.MAX_URL_LENGTH }
+  },
+
+  // TV dashboard
+  tvConnected: {
+    roomId: { type: 'string', maxLength: 16 }
+  },
+  dpad: {
+    direction: { type: 'string', required: true, enum: ['up', 'down', 'left', 'right', 'enter', 'back'] }
+  },
+  launchApp: {
+    appId: { type: 'string', required: true, maxLength: 32 }
+  },
+  volume: {
+    action: { type: 'string', required: true, enum: ['up', 'down', 'mute'] }
+  },
+  voice: {
+    query: { type: 'string', required: true, maxLength: LIMITS.MAX_TEXT_LENGTH }
+  },
+  home: {},
+  tvState: {
+    currentApp: { type: 'string', maxLength: 32, nullable: true },
+    view: { type: 'string', enum: ['home', 'app'] }
+  },
+  nowPlaying: {
+    title: { type: 'string', maxLength: 256 },
+    artist: { type: 'string', maxLength: 256 }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// Check one field against its rule, returning an error string or null
+function checkField(name, value, rule) {
+  if (value === null && rule.nullable) return null;
+
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  if (!types.some(type => matchesType(value, type))) {
+    return `${name} must be ${types.join(' or ')}`;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return `${name} must be finite`;
+    if (rule.min !== undefined && value < rule.min) return `${name} must be >= ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${name} must be <= ${rule.max}`;
+  }
+  if (typeof value === 'string') {
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${name} exceeds ${rule.maxLength} characters`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return `${name} has an invalid format`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of ${rule.enum.join(', ')}`;
+  }
+  if (Array.isArray(value) && rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return `${name} exceeds ${rule.maxItems} items`;
+  }
+  return null;
+}
+
+// Validate a parsed message. Returns { valid: true, message } with undeclared
+// fields removed, or { valid: false, error }.
+export function validateMessage(msg) {
+  if (typeOf(msg) !== 'object') {
+    return { valid: false, error: 'Message must be a JSON object' };
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMA, msg.type)
+    ? MESSAGE_SCHEMA[msg.type]
+    : null;
+  if (!schema) {
+    return { valid: false, error: `Unknown message type: ${String(msg.type).slice(0, 32)}` };
+  }
+
+  const message = { type: msg.type };
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = msg[name];
+    if (value === undefined) {
+      if (rule.required) return { valid: false, error: `${msg.type}.${name} is required` };
+      continue;
+    }
+    const error = checkField(`${msg.type}.${name}`, value, rule);
+    if (error) return { valid: false, error };
+    message[name] = value;
+  }
+
+  return { valid: true, message };
+}
+
+// Parse and validate a raw frame (string or Buffer)
+export function parseMessage(data) {
+  const size = typeof data === 'string' ? data.length : data.byteLength;
+  if (size > LIMITS.MAX_FRAME_BYTES) {
+    return { valid: false, error: `Message exceeds ${LIMITS.MAX_FRAME_BYTES} bytes` };
+  }
+
+  let msg;
+  try {
+    msg = JSON.parse(data);
+  } catch (e) {
+    return { valid: false, error: 'Message is not valid JSON' };
+  }
+  return validateMessage(msg);
+}
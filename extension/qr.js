@@ -0,0 +1,333 @@
+// OrbitXE QR Codes
+// Draws pairing QR codes on the device showing them, so the URL (and the
+// pairing secret in it) never goes to a third-party QR service.
+// Shared by popup.js and the TV dashboard (served by the server as /qr.js).
+//
+// Byte mode, error correction level M, versions 1 to 40.
+
+// Per version (index 0 unused): error correction codewords in each block,
+// and how many blocks
+const ECC_CODEWORDS_PER_BLOCK = [-1,
+  10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const ECC_BLOCKS = [-1,
+  1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const FORMAT_BITS_LEVEL_M = 0;
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+function getBit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
+
+// ==================== ERROR CORRECTION ====================
+
+// Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// ==================== LAYOUT ====================
+
+// Modules left for data and error correction once the patterns are drawn
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version) {
+  return Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ECC_BLOCKS[version];
+}
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < count; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+}
+
+// Data codewords followed by their error correction, interleaved by block
+function addErrorCorrection(data, version) {
+  const blockCount = ECC_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have no codeword at the padding position
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+
+  const capacity = dataCodewords(version) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+// ==================== MATRIX ====================
+
+function applyMask(modules, isFunction, mask) {
+  const size = modules.length;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let invert;
+      switch (mask) {
+        case 0: invert = (x + y) % 2 === 0; break;
+        case 1: invert = y % 2 === 0; break;
+        case 2: invert = x % 3 === 0; break;
+        case 3: invert = (x + y) % 3 === 0; break;
+        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+        case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+        case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+        default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+      }
+      if (!isFunction[y][x] && invert) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// The mask penalty rules from ISO/IEC 18004: runs, 2x2 blocks,
+// finder-like patterns and how far dark modules are from half
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  let dark = 0;
+
+  for (let y = 0; y < size; y++) {
+    let rowRun = 0;
+    let columnRun = 0;
+    let rowPattern = 0;
+    let columnPattern = 0;
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+
+      rowRun = x > 0 && modules[y][x] === modules[y][x - 1] ? rowRun + 1 : 1;
+      if (rowRun === 5) score += 3;
+      else if (rowRun > 5) score++;
+      columnRun = x > 0 && modules[x][y] === modules[x - 1][y] ? columnRun + 1 : 1;
+      if (columnRun === 5) score += 3;
+      else if (columnRun > 5) score++;
+
+      rowPattern = ((rowPattern << 1) & 0x7ff) | (modules[y][x] ? 1 : 0);
+      columnPattern = ((columnPattern << 1) & 0x7ff) | (modules[x][y] ? 1 : 0);
+      if (x >= 10) {
+        if (rowPattern === 0x5d0 || rowPattern === 0x05d) score += 40;
+        if (columnPattern === 0x5d0 || columnPattern === 0x05d) score += 40;
+      }
+
+      if (x > 0 && y > 0) {
+        const color = modules[y][x];
+        if (color === modules[y - 1][x] && color === modules[y][x - 1] && color === modules[y - 1][x - 1]) {
+          score += 3;
+        }
+      }
+    }
+  }
+
+  score += Math.abs(Math.ceil(dark * 100 / (size * size) / 5) - 10) * 10;
+  return score;
+}
+
+function buildMatrix(version, codewords, mask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      // The corners with finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const format = (FORMAT_BITS_LEVEL_M << 3) | mask;
+  let remainder = format;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const formatBits = ((format << 10) | remainder) ^ 0x5412;
+  for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(formatBits, i));
+  setFunction(8, 7, getBit(formatBits, 6));
+  setFunction(8, 8, getBit(formatBits, 7));
+  setFunction(7, 8, getBit(formatBits, 8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(formatBits, i));
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(formatBits, i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(formatBits, i));
+  setFunction(8, size - 8, true);
+
+  if (version >= 7) {
+    let versionRemainder = version;
+    for (let i = 0; i < 12; i++) versionRemainder = (versionRemainder << 1) ^ ((versionRemainder >>> 11) * 0x1f25);
+    const versionBits = (version << 12) | versionRemainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(versionBits, i));
+      setFunction(b, a, getBit(versionBits, i));
+    }
+  }
+
+  // Data runs in two-module columns, zigzagging up and down from the right
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let step = 0; step < size; step++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - step : step;
+        if (!isFunction[y][x] && bit < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+          bit++;
+        }
+      }
+    }
+  }
+
+  applyMask(modules, isFunction, mask);
+  return modules;
+}
+
+// The QR code for text as rows of modules, true for dark. Picks the
+// smallest version that fits and, unless one is given, the mask with the
+// lowest penalty.
+export function encodeQrCode(text, { mask } = {}) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = MIN_VERSION;
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+    if (++version > MAX_VERSION) throw new Error('Too much data for a QR code');
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  if (mask !== undefined) return buildMatrix(version, codewords, mask);
+
+  let best = null;
+  let bestPenalty = Infinity;
+  for (let candidate = 0; candidate < 8; candidate++) {
+    const modules = buildMatrix(version, codewords, candidate);
+    const score = penalty(modules);
+    if (score < bestPenalty) {
+      best = modules;
+      bestPenalty = score;
+    }
+  }
+  return best;
+}
+
+// An <img> src for the QR code, as SVG with a quiet zone around it
+export function qrCodeDataUrl(text, { dark = '#000000', light = '#ffffff', margin = 4 } = {}) {
+  const modules = encodeQrCode(text);
+  const size = modules.length + margin * 2;
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((isDark, x) => {
+      if (isDark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    });
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+    `<rect width="${size}" height="${size}" fill="${light}"/><path d="${path}" fill="${dark}"/></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
@@ -0,0 +1,102 @@
+import {
+  getUserById,
+  getLicenseForUser,
+  getSubscriptionsForUser,
+  getComputersForUser,
+  getActiveSessionsForUser,
+  getTrialExtensions,
+  getTrialClaimsForUser,
+  getMembershipForUser,
+  getReferralStatsForUser,
+  createAdminAuditEntry
+} from './db.js';
+import { closeAccount } from './admin.js';
+import { ANALYTICS_RETENTION_DAYS } from './analytics.js';
+
+// ==================== ACCOUNT DATA ====================
+// Users can download everything stored about their account, and delete it.
+// Deleting goes through the same path as an admin deleting the account
+// (closeAccount in admin.js). Trial claims outlive the account on purpose,
+// see trials.js.
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function requireUser(userId) {
+  const user = getUserById(userId);
+  if (!user || user.deleted_at) throw httpError('User not found', 404);
+  return user;
+}
+
+// Everything tied to the account, as one JSON document
+export function exportAccountData(userId) {
+  const user = requireUser(userId);
+  const membership = getMembershipForUser(userId);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      pictureUrl: user.picture_url,
+      signInWithGoogle: !!user.google_id,
+      createdAt: user.created_at,
+      subscriptionTier: user.subscription_tier,
+      trialStartedAt: user.trial_started_at,
+      trialEndsAt: user.trial_ends_at,
+      stripeCustomerId: user.stripe_customer_id,
+      referralCode: user.referral_code,
+      referredBy: user.referred_by
+    },
+    license: getLicenseForUser(user),
+    subscriptions: getSubscriptionsForUser(userId).map(s => ({
+      id: s.id,
+      plan: s.plan_type,
+      status: s.status,
+      currentPeriodStart: s.current_period_start,
+      currentPeriodEnd: s.current_period_end,
+      cancelAtPeriodEnd: !!s.cancel_at_period_end,
+      canceledAt: s.canceled_at,
+      createdAt: s.created_at
+    })),
+    computers: getComputersForUser(userId).map(c => ({
+      id: c.computer_id,
+      name: c.name,
+      createdAt: c.created_at,
+      lastConnected: c.last_connected
+    })),
+    sessions: getActiveSessionsForUser(userId).map(s => ({
+      deviceName: s.device_name,
+      userAgent: s.user_agent,
+      createdAt: s.created_at,
+      lastUsedAt: s.last_used_at,
+      expiresAt: s.expires_at
+    })),
+    trialExtensions: getTrialExtensions(userId).map(t => ({
+      days: t.days,
+      reason: t.reason,
+      trialEndsAt: t.trial_ends_at,
+      createdAt: t.created_at
+    })),
+    trialClaims: getTrialClaimsForUser(userId).map(c => ({ kind: c.kind, createdAt: c.created_at })),
+    referrals: getReferralStatsForUser(userId),
+    organization: membership
+      ? { id: membership.org_id, name: membership.name, role: membership.role, hasSeat: !!membership.has_seat }
+      : null,
+    websiteAnalytics: `Page views and downloads are not linked to accounts and are deleted after ${ANALYTICS_RETENTION_DAYS} days.`
+  };
+}
+
+// Delete the account once the user has typed its email address to confirm
+export async function deleteOwnAccount(userId, { confirmEmail }) {
+  const user = requireUser(userId);
+  if (typeof confirmEmail !== 'string' || confirmEmail.trim().toLowerCase() !== user.email.toLowerCase()) {
+    throw httpError('Type your account email address to confirm', 400);
+  }
+
+  const result = await closeAccount(userId);
+  createAdminAuditEntry({ actor: 'self-service', action: 'user.self_delete', targetUserId: userId, details: result });
+  return result;
+}
@@ -0,0 +1,224 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import {
+  getUserByEmail,
+  getAdminUser,
+  getAdminUserByEmail,
+  getAdminUsers,
+  countAdminOwners,
+  createAdminUser,
+  updateAdminRole,
+  updateAdminPassword,
+  getAdminLockout,
+  recordAdminLoginFailure,
+  recordAdminLogin,
+  deleteAdminUser,
+  createAdminAuditEntry
+} from './db.js';
+import { generateAdminToken, verifyAdminToken } from './auth.js';
+import { clientIp } from './rate-limit.js';
+
+// ==================== ADMIN ACCOUNTS ====================
+// Admins are OrbitXE accounts with a row in admin_users and their own
+// password. Roles build on each other:
+//
+//   viewer   read-only dashboards, users, subscriptions and the audit log
+//   support  + trials, downgrades and team seats
+//   owner    + lifetime comps, deleting users, billing overrides, admins
+//
+// Five wrong passwords in a row from one address lock the account for 15
+// minutes from that address only; someone who merely knows an admin's email
+// can't lock them out everywhere. The first owner is created from the
+// command line: npm run admins -- add <email> owner
+
+export const ADMIN_ROLES = ['viewer', 'support', 'owner'];
+
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 12;
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+// scrypt with a per-password salt: '<salt>:<hash>', both base64url
+export function hashAdminPassword(password) {
+  const salt = randomBytes(16);
+  return `${salt.toString('base64url')}:${scryptSync(password, salt, 64).toString('base64url')}`;
+}
+
+function checkAdminPassword(password, passwordHash) {
+  const [salt, hash] = passwordHash.split(':');
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = scryptSync(String(password), Buffer.from(salt, 'base64url'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Compared against when the email isn't an admin, so both cases take as long
+const DUMMY_PASSWORD_HASH = hashAdminPassword(randomBytes(16).toString('hex'));
+
+function generatePassword() {
+  return randomBytes(15).toString('base64url');
+}
+
+function parseRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw httpError(`Role must be one of ${ADMIN_ROLES.join(', ')}`, 400);
+  }
+  return role;
+}
+
+function hasRole(admin, minRole) {
+  return ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(minRole);
+}
+
+function describeAdmin(admin) {
+  return {
+    userId: admin.user_id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    // The latest lockout still in force from any address (admin list only)
+    lockedUntil: admin.locked_until || null,
+    lastLoginAt: admin.last_login_at,
+    createdAt: admin.created_at
+  };
+}
+
+function audit(actor, action, userId, details = null) {
+  createAdminAuditEntry({ actor: actor.name, action, targetUserId: userId, details, ipAddress: actor.ipAddress });
+}
+
+// Check an admin's email and password; returns an admin session token
+export function signInAdmin(email, password, { ipAddress = 'unknown' } = {}) {
+  const admin = typeof email === 'string' ? getAdminUserByEmail(email.trim()) : null;
+  if (!admin) {
+    checkAdminPassword(String(password), DUMMY_PASSWORD_HASH);
+    throw httpError('Invalid email or password', 401);
+  }
+
+  if (getAdminLockout(admin.user_id, ipAddress)) {
+    throw httpError('Too many failed attempts. Try again later.', 423);
+  }
+
+  if (!checkAdminPassword(password, admin.password_hash)) {
+    const lockUntil = new Date(Date.now() + LOCKOUT_MS).toISOString();
+    const failures = recordAdminLoginFailure(admin.user_id, ipAddress, MAX_FAILED_ATTEMPTS, lockUntil);
+    if (failures.locked_until === lockUntil) {
+      audit({ name: admin.email, ipAddress }, 'admin.locked', admin.user_id, { attempts: MAX_FAILED_ATTEMPTS });
+      throw httpError('Too many failed attempts. Try again later.', 423);
+    }
+    throw httpError('Invalid email or password', 401);
+  }
+
+  recordAdminLogin(admin.user_id, ipAddress);
+  return { token: generateAdminToken(admin), admin: describeAdmin(admin) };
+}
+
+// Express middleware for admin routes: a live admin session with at least
+// minRole. Sets req.admin and req.adminActor (who the audit log names).
+export function adminAuth(minRole) {
+  return (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Admin authentication required' });
+    }
+
+    const decoded = verifyAdminToken(authHeader.split(' ')[1]);
+    const admin = decoded && getAdminUser(decoded.adminId);
+    if (!admin || admin.session_version !== decoded.ver) {
+      return res.status(401).json({ error: 'Admin session expired. Sign in again.' });
+    }
+    if (!hasRole(admin, minRole)) {
+      return res.status(403).json({ error: `This needs the ${minRole} role` });
+    }
+
+    req.admin = admin;
+    req.adminActor = { name: admin.email, ipAddress: clientIp(req) };
+    next();
+  };
+}
+
+export function getAdminProfile(admin) {
+  return describeAdmin(admin);
+}
+
+export function listAdmins() {
+  return getAdminUsers().map(describeAdmin);
+}
+
+// Make an existing account an admin. Returns the admin and a one-time
+// password to hand over; they should change it after signing in.
+export function addAdmin(actor, { email, role }) {
+  const user = typeof email === 'string' ? getUserByEmail(email.trim()) : null;
+  if (!user || user.deleted_at) {
+    throw httpError('No OrbitXE account with that email. They need to sign up first.', 404);
+  }
+  if (getAdminUser(user.id)) {
+    throw httpError('That account is already an admin', 409);
+  }
+
+  const password = generatePassword();
+  const admin = createAdminUser({
+    userId: user.id,
+    role: parseRole(role),
+    passwordHash: hashAdminPassword(password),
+    createdBy: actor.name
+  });
+  audit(actor, 'admin.add', user.id, { role: admin.role });
+  return { admin: describeAdmin(admin), password };
+}
+
+function requireAdminUser(userId) {
+  const admin = getAdminUser(userId);
+  if (!admin) throw httpError('Admin not found', 404);
+  return admin;
+}
+
+// There must always be an owner left to manage admins
+function checkOwnerRemains(admin) {
+  if (admin.role === 'owner' && countAdminOwners() <= 1) {
+    throw httpError('This is the last owner. Make someone else an owner first.', 409);
+  }
+}
+
+export function changeAdminRole(actor, userId, role) {
+  const admin = requireAdminUser(userId);
+  const newRole = parseRole(role);
+  if (newRole !== 'owner') checkOwnerRemains(admin);
+
+  const updated = updateAdminRole(userId, newRole);
+  audit(actor, 'admin.role', userId, { from: admin.role, to: newRole });
+  return describeAdmin(updated);
+}
+
+export function removeAdmin(actor, userId) {
+  const admin = requireAdminUser(userId);
+  checkOwnerRemains(admin);
+
+  deleteAdminUser(userId);
+  audit(actor, 'admin.remove', userId, { role: admin.role });
+}
+
+// New one-time password for another admin; also unlocks them
+export function resetAdminPassword(actor, userId) {
+  requireAdminUser(userId);
+  const password = generatePassword();
+  const admin = updateAdminPassword(userId, hashAdminPassword(password));
+  audit(actor, 'admin.password_reset', userId);
+  return { admin: describeAdmin(admin), password };
+}
+
+// An admin changing their own password. Other sessions end; the returned
+// token replaces the caller's.
+export function changeOwnPassword(actor, admin, { currentPassword, newPassword }) {
+  if (!checkAdminPassword(currentPassword, admin.password_hash)) {
+    throw httpError('Current password is wrong', 400);
+  }
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+
+  const updated = updateAdminPassword(admin.user_id, hashAdminPassword(newPassword));
+  audit(actor, 'admin.password_change', admin.user_id);
+  return { token: generateAdminToken(updated), admin: describeAdmin(updated) };
+}
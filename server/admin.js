@@ -0,0 +1,229 @@
+import {
+  getUserById,
+  getLicenseForUser,
+  updateUserSubscription,
+  createSubscription,
+  getSubscriptionsForUser,
+  updateSubscriptionStatusById,
+  extendUserTrial,
+  getTrialExtensions,
+  getComputersForUser,
+  getMembershipForUser,
+  getOrganizationById,
+  unassignSeat,
+  anonymizeUser,
+  getAdminUser,
+  countAdminOwners,
+  createAdminAuditEntry,
+  getAdminAuditLog,
+  ACTIVE_SUBSCRIPTION_STATUSES
+} from './db.js';
+import { cancelSubscription, deleteCustomer } from './stripe.js';
+import {
+  describeOrganization,
+  checkSeatCountChange,
+  assignSeatForOrganization,
+  removeSeatForOrganization,
+  syncOrganizationSubscription
+} from './orgs.js';
+
+// ==================== ADMIN ACTIONS ====================
+// Support actions on user accounts. Every change is written to the
+// admin_audit_log along with the actor, which is { name, ipAddress }.
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function parseReason(reason) {
+  return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : null;
+}
+
+const ORGANIZATION_STATUSES = ['active', 'past_due', 'canceled', 'inactive'];
+
+function requireUser(userId) {
+  const user = getUserById(userId);
+  if (!user || user.deleted_at) throw httpError('User not found', 404);
+  return user;
+}
+
+function requireOrganization(orgId) {
+  const org = getOrganizationById(orgId);
+  if (!org) throw httpError('Organization not found', 404);
+  return org;
+}
+
+function audit(actor, action, userId, details) {
+  createAdminAuditEntry({
+    actor: actor.name,
+    action,
+    targetUserId: userId,
+    details,
+    ipAddress: actor.ipAddress
+  });
+}
+
+// End everything the user is paying for or was given. Stripe subscriptions
+// are cancelled there too, or their next webhook would bring them back.
+async function revokeSubscriptions(userId) {
+  const live = getSubscriptionsForUser(userId).filter(s => s.plan_type === 'lifetime'
+    ? s.status === 'active'
+    : ACTIVE_SUBSCRIPTION_STATUSES.includes(s.status));
+
+  for (const subscription of live) {
+    if (subscription.stripe_subscription_id) {
+      await cancelSubscription(subscription.stripe_subscription_id);
+    }
+    updateSubscriptionStatusById(subscription.id, 'revoked', new Date().toISOString());
+  }
+  return live.map(s => s.id);
+}
+
+// Everything support needs to see about one account
+export function getUserDetail(userId) {
+  const user = getUserById(userId);
+  if (!user) throw httpError('User not found', 404);
+
+  const membership = getMembershipForUser(userId);
+  return {
+    user,
+    license: user.deleted_at ? null : getLicenseForUser(user),
+    computers: getComputersForUser(userId),
+    subscriptions: getSubscriptionsForUser(userId),
+    trialExtensions: getTrialExtensions(userId),
+    organization: membership
+      ? { id: membership.org_id, name: membership.name, role: membership.role, hasSeat: !!membership.has_seat }
+      : null,
+    auditLog: getAdminAuditLog({ targetUserId: userId, limit: 50 })
+  };
+}
+
+// Start or lengthen a trial; ended trials restart from today
+export function grantTrial(actor, userId, { days, reason }) {
+  const count = Number(days);
+  if (!Number.isInteger(count) || count < 1 || count > 365) {
+    throw httpError('Days must be a whole number from 1 to 365', 400);
+  }
+  requireUser(userId);
+
+  const user = extendUserTrial(userId, count, parseReason(reason));
+  if (!user) throw httpError('This user already has a paid plan', 409);
+
+  audit(actor, 'trial.extend', userId, { days: count, reason: parseReason(reason), trialEndsAt: user.trial_ends_at });
+  return getUserDetail(userId);
+}
+
+// A free lifetime license, recorded as a lifetime subscription with no
+// payment behind it. Any monthly plan is revoked first, as in forceDowngrade,
+// so Stripe stops charging for it.
+export async function compLifetime(actor, userId, { reason }) {
+  const user = requireUser(userId);
+  if (user.subscription_tier === 'lifetime') {
+    throw httpError('This user already has a lifetime license', 409);
+  }
+
+  const revoked = await revokeSubscriptions(userId);
+  const subscription = createSubscription({
+    userId,
+    stripeSubscriptionId: null,
+    planType: 'lifetime',
+    status: 'active',
+    periodStart: new Date().toISOString(),
+    periodEnd: null
+  });
+  updateUserSubscription(userId, 'lifetime');
+
+  audit(actor, 'lifetime.comp', userId, {
+    reason: parseReason(reason),
+    previousTier: user.subscription_tier,
+    revokedSubscriptions: revoked,
+    subscriptionId: subscription.id
+  });
+  return getUserDetail(userId);
+}
+
+// Back to the free tier: paid plans are revoked, a trial ends and a team
+// seat is handed back
+export async function forceDowngrade(actor, userId, { reason }) {
+  const user = requireUser(userId);
+
+  const revoked = await revokeSubscriptions(userId);
+  const membership = getMembershipForUser(userId);
+  if (membership?.has_seat) {
+    unassignSeat(membership.org_id, userId);
+  }
+  updateUserSubscription(userId, 'free');
+
+  audit(actor, 'user.downgrade', userId, {
+    reason: parseReason(reason),
+    previousTier: user.subscription_tier,
+    revokedSubscriptions: revoked,
+    removedSeat: !!membership?.has_seat
+  });
+  return getUserDetail(userId);
+}
+
+// Cancel billing, delete the Stripe customer and anonymize the account.
+// Payment records stay, without anything that identifies the person. Used
+// both by admins and by users deleting their own account. Organization
+// owners and the last admin owner are refused before anything is cancelled.
+export async function closeAccount(userId) {
+  const user = requireUser(userId);
+
+  const membership = getMembershipForUser(userId);
+  if (membership && membership.owner_user_id === userId) {
+    throw httpError('This account owns an organization. Cancel it or hand it over first.', 409);
+  }
+  if (getAdminUser(userId)?.role === 'owner' && countAdminOwners() <= 1) {
+    throw httpError('This account is the last admin owner. Make someone else an owner first.', 409);
+  }
+
+  const revoked = await revokeSubscriptions(userId);
+  if (user.stripe_customer_id) {
+    await deleteCustomer(user.stripe_customer_id);
+  }
+  anonymizeUser(userId);
+
+  return { revokedSubscriptions: revoked, deletedStripeCustomer: !!user.stripe_customer_id };
+}
+
+export async function deleteUser(actor, userId, { reason }) {
+  const result = await closeAccount(userId);
+  audit(actor, 'user.delete', userId, { reason: parseReason(reason), ...result });
+  return getUserDetail(userId);
+}
+
+// Seat count and status overrides (e.g. invoiced teams billed outside
+// Stripe). Logged against the organization's owner.
+export function updateOrganization(actor, orgId, { seats, status }) {
+  const org = requireOrganization(orgId);
+  if (status !== undefined && !ORGANIZATION_STATUSES.includes(status)) {
+    throw httpError('Invalid status', 400);
+  }
+  const seatCount = seats === undefined ? undefined : checkSeatCountChange(org.id, seats);
+
+  const updated = syncOrganizationSubscription(org.id, { seatCount, status });
+  audit(actor, 'org.update', org.owner_user_id, {
+    orgId: org.id,
+    seats: { from: org.seat_count, to: updated.seat_count },
+    status: { from: org.status, to: updated.status }
+  });
+  return describeOrganization(org.id);
+}
+
+export function assignOrganizationSeat(actor, orgId, userId) {
+  const organization = assignSeatForOrganization(orgId, userId);
+  audit(actor, 'org.seat_assign', userId, { orgId });
+  return organization;
+}
+
+export function removeOrganizationSeat(actor, orgId, userId) {
+  const organization = removeSeatForOrganization(orgId, userId);
+  audit(actor, 'org.seat_remove', userId, { orgId });
+  return organization;
+}
+
+export function listAuditLog({ limit }) {
+  const count = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+  return getAdminAuditLog({ limit: count });
+}
@@ -0,0 +1,228 @@
+import { randomBytes } from 'crypto';
+import {
+  trackDownload,
+  trackPageView,
+  getAnalyticsSalt,
+  deleteAnalyticsBefore,
+  getAnalyticsSeries,
+  getConversionFunnel,
+  getReferrerCounts
+} from './db.js';
+import { userAgentBuckets, referrerOrigin, hashVisitor, trackingDeclined } from './privacy.js';
+import { clientIp } from './rate-limit.js';
+
+// ==================== ANALYTICS ====================
+// Page views and downloads from the website, recorded as privacy.js
+// describes and kept for a limited time. Admin reports over a date range:
+// downloads, page views, sign-ups and new paid subscriptions per day or
+// week, the trial-to-paid funnel for the users who signed up in the range,
+// and where visitors came from. Each report can also be downloaded as CSV.
+//
+//   ANALYTICS_RETENTION_DAYS=days page views and downloads are kept (default 180)
+
+const INTERVALS = ['day', 'week'];
+const PLATFORMS = ['mac', 'windows', 'linux', 'unknown'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 180;
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDay(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || formatDay(new Date(`${value}T00:00:00Z`)) !== value) {
+    throw httpError(`${name} must be a date like 2025-01-31`, 400);
+  }
+  return new Date(`${value}T00:00:00Z`);
+}
+
+let currentSalt = null; // { day, salt }
+
+function visitorSalt() {
+  const day = formatDay(new Date());
+  if (currentSalt?.day !== day) {
+    currentSalt = { day, salt: getAnalyticsSalt(day, randomBytes(32).toString('base64url')) };
+  }
+  return currentSalt.salt;
+}
+
+// Record a page view unless the visitor opted out; returns whether it was
+export function recordPageView(req) {
+  if (trackingDeclined(req)) return false;
+
+  const userAgent = req.headers['user-agent'];
+  trackPageView({
+    page: req.body.page || '/',
+    visitorHash: hashVisitor(visitorSalt(), clientIp(req), userAgent),
+    ...userAgentBuckets(userAgent),
+    // The page reports where the visitor came from; this request's own
+    // Referer header is just the page itself
+    referrer: typeof req.body.referrer === 'string' ? referrerOrigin(req.body.referrer) : null
+  });
+  return true;
+}
+
+export function recordDownload(req) {
+  if (trackingDeclined(req)) return false;
+
+  const { platform, fileName } = req.body;
+  trackDownload({
+    platform: platform || 'unknown',
+    fileName: fileName || 'unknown',
+    ...userAgentBuckets(req.headers['user-agent']),
+    country: null // Could use IP geolocation service
+  });
+  return true;
+}
+
+// Delete page views and downloads older than the retention window
+export function purgeExpiredAnalytics() {
+  const cutoff = formatDay(new Date(Date.now() - ANALYTICS_RETENTION_DAYS * DAY_MS));
+  const deleted = deleteAnalyticsBefore(cutoff);
+  if (deleted.pageViews || deleted.downloads) {
+    console.log('Purged analytics older than', cutoff, deleted);
+  }
+  return deleted;
+}
+
+// Purge now and then daily, for as long as the server runs
+export function startAnalyticsPurge() {
+  purgeExpiredAnalytics();
+  setInterval(purgeExpiredAnalytics, DAY_MS).unref();
+}
+
+// Query string filters, defaulting to the last 30 days by day
+export function parseAnalyticsQuery({ from, to, interval, platform } = {}) {
+  const end = to ? parseDay(to, 'to') : new Date(`${formatDay(new Date())}T00:00:00Z`);
+  const start = from ? parseDay(from, 'from') : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (start > end) throw httpError('from must be on or before to', 400);
+  if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw httpError(`The range can be at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+  if (interval && !INTERVALS.includes(interval)) {
+    throw httpError(`interval must be one of ${INTERVALS.join(', ')}`, 400);
+  }
+  if (platform && !PLATFORMS.includes(platform)) {
+    throw httpError(`platform must be one of ${PLATFORMS.join(', ')}`, 400);
+  }
+
+  return {
+    from: formatDay(start),
+    to: formatDay(end),
+    interval: interval || 'day',
+    platform: platform || null
+  };
+}
+
+// Every period key in the range, so quiet days still show as zero.
+// Weekly keys are the Monday of each week, as in getAnalyticsSeries.
+function listPeriods({ from, to, interval }) {
+  const start = new Date(`${from}T00:00:00Z`);
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  }
+  const step = interval === 'week' ? 7 : 1;
+
+  const periods = [];
+  for (let day = start; formatDay(day) <= to; day = new Date(day.getTime() + step * DAY_MS)) {
+    periods.push(formatDay(day));
+  }
+  return periods;
+}
+
+function byPeriod(rows) {
+  return new Map(rows.map(row => [row.period, row]));
+}
+
+export function getTimeSeries(filters) {
+  const { downloads, pageViews, signups, subscriptions } = getAnalyticsSeries(filters);
+  const counts = {
+    downloads: byPeriod(downloads),
+    pageViews: byPeriod(pageViews),
+    signups: byPeriod(signups),
+    subscriptions: byPeriod(subscriptions)
+  };
+
+  return {
+    ...filters,
+    series: listPeriods(filters).map(period => ({
+      period,
+      downloads: counts.downloads.get(period)?.count || 0,
+      pageViews: counts.pageViews.get(period)?.views || 0,
+      visitors: counts.pageViews.get(period)?.visitors || 0,
+      signups: counts.signups.get(period)?.count || 0,
+      newSubscriptions: counts.subscriptions.get(period)?.count || 0
+    }))
+  };
+}
+
+function rate(count, total) {
+  return total ? Math.round(count / total * 1000) / 10 : 0;
+}
+
+export function getFunnel(filters) {
+  const { signups, trials, paid, paying } = getConversionFunnel(filters);
+  return {
+    from: filters.from,
+    to: filters.to,
+    steps: [
+      { step: 'Signed up', users: signups, percent: rate(signups, signups) },
+      { step: 'Started trial', users: trials, percent: rate(trials, signups) },
+      { step: 'Paid after trial', users: paid, percent: rate(paid, signups) },
+      { step: 'Still paying', users: paying, percent: rate(paying, signups) }
+    ],
+    trialToPaidPercent: rate(paid, trials)
+  };
+}
+
+function referrerHost(referrer, siteHost) {
+  if (!referrer) return '(direct)';
+  try {
+    const host = new URL(referrer).hostname.replace(/^www\./, '');
+    return host === siteHost ? '(internal)' : host;
+  } catch {
+    return '(unknown)';
+  }
+}
+
+// Page views grouped by the host that sent them. Links between our own
+// pages count as internal.
+export function getReferrers(filters, { siteHost, limit }) {
+  const ownHost = siteHost ? siteHost.split(':')[0].replace(/^www\./, '') : null;
+  const hosts = new Map();
+  for (const row of getReferrerCounts(filters)) {
+    const host = referrerHost(row.referrer, ownHost);
+    const entry = hosts.get(host) || { referrer: host, views: 0, visitors: 0 };
+    entry.views += row.views;
+    // Someone may have come from several pages on the same host, so this
+    // can overcount a little
+    entry.visitors += row.visitors;
+    hosts.set(host, entry);
+  }
+
+  const count = Math.min(Math.max(parseInt(limit) || 25, 1), 500);
+  return {
+    from: filters.from,
+    to: filters.to,
+    referrers: [...hosts.values()].sort((a, b) => b.views - a.views).slice(0, count)
+  };
+}
+
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of objects as CSV with a header line of the given columns
+export function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+}
@@ -1,44 +1,87 @@
 import jwt from 'jsonwebtoken';
+import { customAlphabet } from 'nanoid';
+import { createHash, randomBytes, randomInt, timingSafeEqual } from 'crypto';
 import {
-  createUser,
+  getUserById,
   getUserByGoogleId,
+  getUserByEmail,
+  linkGoogleAccount,
   getLicenseForUser,
+  createSession,
+  getSessionById,
+  rotateSessionRefreshToken,
+  createEmailLoginCode,
+  getEmailLoginCodeById,
+  getLatestEmailLoginCode,
+  countEmailLoginCodesSince,
+  recordEmailLoginAttempt,
+  consumeEmailLoginCode,
+  deleteExpiredEmailLoginCodes,
+  createDeviceLink,
+  getDeviceLinkById,
+  getPendingDeviceLinkByCode,
+  approveDeviceLink,
+  claimDeviceLink,
+  deleteExpiredDeviceLinks,
   FEATURES
 } from './db.js';
+import { getGoogleSigningKey } from './jwks.js';
+import { createMailer } from './mailer.js';
+import { createReferredUser } from './referrals.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'orbitxe-dev-secret';
-const JWT_EXPIRY = '7d';
+// Access tokens are short-lived; a session's refresh token renews them
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 60 * 24 * 60 * 60 * 1000; // 60 days, renewed on use
+const ADMIN_TOKEN_EXPIRY_SECONDS = 8 * 60 * 60;
 
-// Decode JWT ID token payload (for Google Identity Services)
-function decodeJwtPayload(token) {
-  try {
-    const parts = token.split('.');
-    if (parts.length !== 3) return null;
-    const payload = Buffer.from(parts[1], 'base64').toString('utf8');
-    return JSON.parse(payload);
-  } catch (e) {
-    return null;
+// Google OAuth clients whose tokens we accept (comma-separated): the website's,
+// which signs in with ID tokens, and the Chrome extension's, which uses
+// access tokens
+const GOOGLE_CLIENT_IDS = (process.env.GOOGLE_CLIENT_IDS ||
+  '167970835846-t6k3tu79a2anfm2sggvgjtqaibdm7ofe.apps.googleusercontent.com,' +
+  '150883201550-hj784psrplgfihdj4et6jvcu88g84m8t.apps.googleusercontent.com')
+  .split(',').map(id => id.trim()).filter(Boolean);
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Verify a Google ID token (Google Identity Services on web) locally:
+// RS256 signature against Google's keys, audience, issuer, expiry and a
+// verified email address.
+export async function verifyGoogleIdToken(idToken) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getGoogleSigningKey(decoded.header.kid);
+  if (!key) {
+    throw new Error('Unknown signing key');
+  }
+
+  const payload = jwt.verify(idToken, key, {
+    algorithms: ['RS256'],
+    audience: GOOGLE_CLIENT_IDS,
+    issuer: GOOGLE_ISSUERS
+  });
+
+  if (payload.email_verified !== true && payload.email_verified !== 'true') {
+    throw new Error('Email not verified');
   }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email,
+    name: payload.name,
+    picture: payload.picture
+  };
 }
 
 // Verify Google OAuth token - supports both access tokens and ID tokens
 export async function verifyGoogleToken(token) {
   try {
-    // Check if it's a JWT ID token (from Google Identity Services on web)
-    const jwtPayload = decodeJwtPayload(token);
-    if (jwtPayload && jwtPayload.iss && jwtPayload.iss.includes('accounts.google.com')) {
-      // Verify ID token with Google
-      const response = await fetch(`https://oauth2.googleapis.com/tokeninfo?id_token=${token}`);
-      if (!response.ok) {
-        throw new Error('Invalid ID token');
-      }
-      const data = await response.json();
-      return {
-        googleId: data.sub,
-        email: data.email,
-        name: data.name,
-        picture: data.picture
-      };
+    // ID tokens are JWTs; access tokens (Chrome extension) are opaque
+    if (typeof token === 'string' && token.split('.').length === 3) {
+      return await verifyGoogleIdToken(token);
     }
 
     // Otherwise treat as access token (from Chrome extension)
@@ -48,7 +91,11 @@ export async function verifyGoogleToken(token) {
       throw new Error('Invalid Google token');
     }
 
+    // Any app's access token would pass tokeninfo; only accept our own
     const data = await response.json();
+    if (!GOOGLE_CLIENT_IDS.includes(data.aud) && !GOOGLE_CLIENT_IDS.includes(data.azp)) {
+      throw new Error('Token was issued to another client');
+    }
 
     // Get user profile
     const profileResponse = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
@@ -60,6 +107,9 @@ export async function verifyGoogleToken(token) {
     }
 
     const profile = await profileResponse.json();
+    if (profile.verified_email === false) {
+      throw new Error('Email not verified');
+    }
 
     return {
       googleId: profile.id,
@@ -73,27 +123,41 @@ export async function verifyGoogleToken(token) {
   }
 }
 
-// Authenticate user with Google token
-export async function authenticateWithGoogle(googleToken) {
+// Authenticate user with Google token, starting a new session for this device
+export async function authenticateWithGoogle(googleToken, sessionInfo = {}, { referralCode } = {}) {
   const googleUser = await verifyGoogleToken(googleToken);
 
   // Check if user exists
   let user = getUserByGoogleId(googleUser.googleId);
 
+  // Someone who signed up by email first keeps that account
+  if (!user) {
+    const emailUser = getUserByEmail(googleUser.email);
+    if (emailUser && !emailUser.google_id) {
+      user = linkGoogleAccount(emailUser.id, {
+        googleId: googleUser.googleId,
+        name: googleUser.name,
+        pictureUrl: googleUser.picture
+      });
+    }
+  }
+
   if (!user) {
     // Create new user with trial
-    user = createUser({
+    user = createReferredUser({
       email: googleUser.email,
       googleId: googleUser.googleId,
       name: googleUser.name,
       pictureUrl: googleUser.picture
-    });
+    }, referralCode);
   }
 
-  // Generate JWT
-  const token = generateToken(user);
+  return signInUser(user, sessionInfo);
+}
 
-  // Get license info
+// Start a session for a signed-in user and build the auth response
+function signInUser(user, sessionInfo) {
+  const tokens = createUserSession(user, sessionInfo);
   const license = getLicenseForUser(user);
 
   return {
@@ -104,22 +168,254 @@ export async function authenticateWithGoogle(googleToken) {
       picture: user.picture_url
     },
     license,
-    token
+    ...tokens
+  };
+}
+
+// ==================== EMAIL SIGN-IN ====================
+// Passwordless sign-in: we mail a six-digit code and a magic link. Either one
+// signs in once. Only hashes are stored.
+
+const EMAIL_CODE_TTL_MS = 15 * 60 * 1000;
+const EMAIL_CODE_MAX_ATTEMPTS = 5;
+const EMAIL_CODES_PER_HOUR = 5;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const mailer = createMailer();
+
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+export function normalizeEmail(email) {
+  if (typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  return normalized.length <= 254 && EMAIL_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Mail a sign-in code and link. Throws with .status 400/429 for bad input
+// or too many requests.
+export async function requestEmailSignIn(email, { baseUrl }) {
+  const address = normalizeEmail(email);
+  if (!address) {
+    throw Object.assign(new Error('Enter a valid email address'), { status: 400 });
+  }
+
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  if (countEmailLoginCodesSince(address, hourAgo) >= EMAIL_CODES_PER_HOUR) {
+    throw Object.assign(new Error('Too many sign-in emails. Try again later.'), { status: 429 });
+  }
+
+  deleteExpiredEmailLoginCodes();
+
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const linkSecret = randomBytes(32).toString('base64url');
+  const loginCode = createEmailLoginCode({
+    email: address,
+    codeHash: hashSecret(`${address}:${code}`),
+    linkTokenHash: hashSecret(linkSecret),
+    expiresAt: new Date(Date.now() + EMAIL_CODE_TTL_MS).toISOString()
+  });
+
+  const link = `${baseUrl}/signin?token=${encodeURIComponent(`${loginCode.id}.${linkSecret}`)}`;
+  await mailer.send({
+    to: address,
+    subject: `Your OrbitXE sign-in code: ${code}`,
+    text: `Your OrbitXE sign-in code is ${code}\n\n` +
+      `Or open this link to sign in:\n${link}\n\n` +
+      `The code expires in 15 minutes. If you didn't ask for it, you can ignore this email.`,
+    html: `<p>Your OrbitXE sign-in code is <strong style="font-size:20px;letter-spacing:2px">${code}</strong></p>` +
+      `<p>Or <a href="${link}">click here to sign in</a>.</p>` +
+      `<p style="color:#888">The code expires in 15 minutes. If you didn't ask for it, you can ignore this email.</p>`
+  });
+}
+
+// Find the login code for a typed code, counting failed attempts
+function findLoginCodeByCode(email, code) {
+  const address = normalizeEmail(email);
+  if (!address || typeof code !== 'string') return null;
+
+  const loginCode = getLatestEmailLoginCode(address);
+  if (!loginCode || loginCode.attempts >= EMAIL_CODE_MAX_ATTEMPTS) return null;
+
+  if (!safeEqual(loginCode.code_hash, hashSecret(`${address}:${code.trim()}`))) {
+    recordEmailLoginAttempt(loginCode.id);
+    return null;
+  }
+  return loginCode;
+}
+
+// Find the login code for a magic-link token ('<id>.<secret>')
+function findLoginCodeByLink(token) {
+  const [id, secret] = String(token || '').split('.');
+  if (!id || !secret) return null;
+
+  const loginCode = getEmailLoginCodeById(id);
+  if (!loginCode || loginCode.consumed_at || new Date(loginCode.expires_at) < new Date()) return null;
+  if (!safeEqual(loginCode.link_token_hash, hashSecret(secret))) return null;
+  return loginCode;
+}
+
+// Sign in with an emailed code ({ email, code }) or magic link ({ token }).
+// Returns the same response as Google sign-in, or null if the code is wrong,
+// expired or already used.
+export function authenticateWithEmail({ email, code, token, referralCode }, sessionInfo = {}) {
+  const loginCode = token ? findLoginCodeByLink(token) : findLoginCodeByCode(email, code);
+  if (!loginCode || !consumeEmailLoginCode(loginCode.id)) return null;
+
+  const user = getUserByEmail(loginCode.email) ||
+    createReferredUser({ email: loginCode.email }, referralCode);
+  return signInUser(user, sessionInfo);
+}
+
+// ==================== DEVICE LINKING ====================
+// A device without a keyboard-friendly sign-in (the desktop app) shows a
+// short code; the user approves it from a browser where they're signed in,
+// and the device's next poll receives a session.
+
+const DEVICE_LINK_TTL_MS = 10 * 60 * 1000;
+export const DEVICE_LINK_POLL_INTERVAL_SECONDS = 3;
+// No 0/O or 1/I - the code gets read off one screen and typed on another
+const generateUserCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 8);
+
+export function normalizeUserCode(userCode) {
+  return String(userCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Start linking a device; the poll token is only ever shown to the device
+export function startDeviceLink({ deviceId, deviceName }) {
+  deleteExpiredDeviceLinks();
+
+  const secret = randomBytes(32).toString('base64url');
+  const link = createDeviceLink({
+    userCode: generateUserCode(),
+    pollTokenHash: hashSecret(secret),
+    deviceId,
+    deviceName: typeof deviceName === 'string' ? deviceName.slice(0, 64) : null,
+    expiresAt: new Date(Date.now() + DEVICE_LINK_TTL_MS).toISOString()
+  });
+
+  return {
+    userCode: `${link.user_code.slice(0, 4)}-${link.user_code.slice(4)}`,
+    pollToken: `${link.id}.${secret}`,
+    expiresIn: DEVICE_LINK_TTL_MS / 1000,
+    interval: DEVICE_LINK_POLL_INTERVAL_SECONDS
+  };
+}
+
+// Approve a waiting device for a signed-in user; returns the link or null
+export function approveDeviceLinkForUser(userCode, userId) {
+  const link = getPendingDeviceLinkByCode(normalizeUserCode(userCode));
+  if (!link || !approveDeviceLink(link.id, userId)) return null;
+  return link;
+}
+
+// Check on a link from the device. Returns { status: 'pending' | 'expired' },
+// or { status: 'approved', link, ...auth response } exactly once.
+export function pollDeviceLink(pollToken) {
+  const [id, secret] = String(pollToken || '').split('.');
+  const link = id && secret ? getDeviceLinkById(id) : null;
+  if (!link || !safeEqual(link.poll_token_hash, hashSecret(secret))) return null;
+
+  if (link.status === 'pending') {
+    return new Date(link.expires_at) < new Date() ? { status: 'expired' } : { status: 'pending' };
+  }
+
+  const user = link.user_id ? getUserById(link.user_id) : null;
+  if (link.status !== 'approved' || !user || !claimDeviceLink(link.id)) {
+    return { status: 'expired' };
+  }
+
+  return {
+    status: 'approved',
+    link,
+    ...signInUser(user, { deviceName: link.device_name })
   };
 }
 
-// Generate JWT token
-export function generateToken(user) {
+// ==================== SESSIONS ====================
+
+function hashRefreshToken(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+// Refresh tokens are '<sessionId>.<secret>'; only a hash of the secret is stored
+function newRefreshSecret() {
+  return randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+}
+
+// Generate a short-lived access token bound to a session
+export function generateToken(user, sessionId) {
   return jwt.sign(
     {
       userId: user.id,
-      email: user.email
+      email: user.email,
+      sid: sessionId
     },
     JWT_SECRET,
-    { expiresIn: JWT_EXPIRY }
+    { expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS }
   );
 }
 
+// Start a session for a user; returns the access token and its refresh token
+export function createUserSession(user, { deviceName, userAgent } = {}) {
+  const secret = newRefreshSecret();
+  const session = createSession({
+    userId: user.id,
+    refreshTokenHash: hashRefreshToken(secret),
+    deviceName: typeof deviceName === 'string' ? deviceName.slice(0, 64) : null,
+    userAgent: typeof userAgent === 'string' ? userAgent.slice(0, 512) : null,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS
+  };
+}
+
+// Find the live session a refresh token belongs to
+export function getSessionForRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+
+  const session = getSessionById(sessionId);
+  if (!session || session.revoked_at || new Date(session.expires_at) < new Date()) return null;
+  if (!safeEqual(session.refresh_token_hash, hashRefreshToken(secret))) return null;
+  return session;
+}
+
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated on every use, so the old one stops working.
+export function refreshUserSession(refreshToken) {
+  const session = getSessionForRefreshToken(refreshToken);
+  if (!session) return null;
+
+  const user = getUserById(session.user_id);
+  if (!user) return null;
+
+  const nextSecret = newRefreshSecret();
+  rotateSessionRefreshToken(session.id, hashRefreshToken(nextSecret), refreshExpiry());
+
+  return {
+    user,
+    token: generateToken(user, session.id),
+    refreshToken: `${session.id}.${nextSecret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS
+  };
+}
+
 // Verify JWT token
 export function verifyToken(token) {
   try {
@@ -130,6 +426,58 @@ export function verifyToken(token) {
   }
 }
 
+// Token a desktop app presents when it opens its signaling connection.
+// It has no expiry. It names the registration that issued it, so removing
+// the computer or registering it again revokes it.
+export function generateDesktopToken(computer) {
+  return jwt.sign(
+    {
+      type: 'desktop',
+      ownerId: computer.user_id,
+      computerId: computer.computer_id,
+      nonce: computer.token_nonce
+    },
+    JWT_SECRET
+  );
+}
+
+export function verifyDesktopToken(token) {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== 'desktop') return null;
+  return decoded;
+}
+
+// Admin console session. Whoever holds it is checked against admin_users on
+// every request, so role changes and removals apply straight away.
+export function generateAdminToken(admin) {
+  return jwt.sign(
+    {
+      type: 'admin',
+      adminId: admin.user_id,
+      ver: admin.session_version
+    },
+    JWT_SECRET,
+    { expiresIn: ADMIN_TOKEN_EXPIRY_SECONDS }
+  );
+}
+
+export function verifyAdminToken(token) {
+  const decoded = verifyToken(token);
+  if (!decoded || decoded.type !== 'admin') return null;
+  return decoded;
+}
+
+// Verify a user's access token and that its session hasn't been revoked
+export function verifyAccessToken(token) {
+  const decoded = verifyToken(token);
+  // Desktop tokens only open signaling connections, they don't sign a user in
+  if (!decoded || !decoded.userId || !decoded.sid) return null;
+
+  const session = getSessionById(decoded.sid);
+  if (!session || session.revoked_at || session.user_id !== decoded.userId) return null;
+  return decoded;
+}
+
 // Middleware to authenticate requests
 export function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -139,7 +487,7 @@ export function authMiddleware(req, res, next) {
   }
 
   const token = authHeader.split(' ')[1];
-  const decoded = verifyToken(token);
+  const decoded = verifyAccessToken(token);
 
   if (!decoded) {
     return res.status(401).json({ error: 'Invalid token' });
@@ -147,6 +495,7 @@ export function authMiddleware(req, res, next) {
 
   req.userId = decoded.userId;
   req.userEmail = decoded.email;
+  req.sessionId = decoded.sid;
   next();
 }
 
@@ -0,0 +1,322 @@
+import Database from 'better-sqlite3';
+import { nanoid } from 'nanoid';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// ==================== BROKER INTERFACE ====================
+// A broker holds the shared room registry, the membership of every scope
+// (a room or a desktop session) and fans messages out to subscribers.
+//
+//   saveRoom(room) / getRoom(id) / updateRoom(id, fields) / deleteRoom(id) / countRooms()
+//   addMember(scope, member) / updateMember(scope, socketId, fields)
+//   removeMember(scope, socketId) -> boolean / getMembers(scope)
+//   publish(scope, message) / subscribe(scope, handler) / unsubscribe(scope)
+//   close()
+//
+// Members are plain objects with at least { socketId, role }. Messages are
+// { target, payload, binary } or { target, control, ... } and must be JSON-safe
+// apart from a Buffer payload.
+
+// ==================== IN-MEMORY BROKER ====================
+// Single process only - the default.
+
+export function createMemoryBroker() {
+  const rooms = new Map();
+  const members = new Map(); // scope -> Map(socketId -> member)
+  const handlers = new Map(); // scope -> handler
+
+  return {
+    name: 'memory',
+
+    saveRoom(room) {
+      rooms.set(room.id, { ...room });
+    },
+
+    getRoom(roomId) {
+      const room = rooms.get(roomId);
+      return room ? { ...room } : undefined;
+    },
+
+    updateRoom(roomId, fields) {
+      const room = rooms.get(roomId);
+      if (room) Object.assign(room, fields);
+    },
+
+    deleteRoom(roomId) {
+      rooms.delete(roomId);
+    },
+
+    countRooms() {
+      return rooms.size;
+    },
+
+    addMember(scope, member) {
+      if (!members.has(scope)) members.set(scope, new Map());
+      members.get(scope).set(member.socketId, { ...member });
+    },
+
+    updateMember(scope, socketId, fields) {
+      const member = members.get(scope)?.get(socketId);
+      if (member) Object.assign(member, fields);
+    },
+
+    removeMember(scope, socketId) {
+      const scoped = members.get(scope);
+      if (!scoped) return false;
+      const removed = scoped.delete(socketId);
+      if (scoped.size === 0) members.delete(scope);
+      return removed;
+    },
+
+    getMembers(scope) {
+      return [...(members.get(scope)?.values() || [])].map(m => ({ ...m }));
+    },
+
+    publish(scope, message) {
+      handlers.get(scope)?.(message);
+    },
+
+    subscribe(scope, handler) {
+      handlers.set(scope, handler);
+    },
+
+    unsubscribe(scope) {
+      handlers.delete(scope);
+    },
+
+    close() {}
+  };
+}
+
+// ==================== SQLITE BROKER ====================
+// Several server processes on one host share a SQLite file (WAL mode).
+// Registry reads/writes are synchronous; fan-out rows are polled by the
+// other processes and delivered to their local sockets.
+
+const POLL_INTERVAL_MS = 15;
+const HEARTBEAT_INTERVAL_MS = 5000;
+const NODE_TIMEOUT_MS = 15000;
+const MESSAGE_TTL_MS = 30000;
+
+export function createSqliteBroker({ path }) {
+  const nodeId = nanoid(12);
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('busy_timeout = 5000');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS broker_nodes (
+      id TEXT PRIMARY KEY,
+      heartbeat_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS broker_rooms (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS broker_members (
+      scope TEXT NOT NULL,
+      socket_id TEXT NOT NULL,
+      node_id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (scope, socket_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS broker_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL,
+      node_id TEXT NOT NULL,
+      body TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_broker_members_node ON broker_members(node_id);
+  `);
+
+  const stmts = {
+    heartbeat: db.prepare(`
+      INSERT INTO broker_nodes (id, heartbeat_at) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET heartbeat_at = excluded.heartbeat_at
+    `),
+    deadMembers: db.prepare(`
+      DELETE FROM broker_members
+      WHERE node_id NOT IN (SELECT id FROM broker_nodes WHERE heartbeat_at >= ?)
+    `),
+    deadNodes: db.prepare('DELETE FROM broker_nodes WHERE heartbeat_at < ?'),
+    oldMessages: db.prepare('DELETE FROM broker_messages WHERE created_at < ?'),
+    removeNode: db.prepare('DELETE FROM broker_nodes WHERE id = ?'),
+    removeNodeMembers: db.prepare('DELETE FROM broker_members WHERE node_id = ?'),
+    saveRoom: db.prepare(`
+      INSERT INTO broker_rooms (id, data) VALUES (?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data
+    `),
+    getRoom: db.prepare('SELECT data FROM broker_rooms WHERE id = ?'),
+    deleteRoom: db.prepare('DELETE FROM broker_rooms WHERE id = ?'),
+    countRooms: db.prepare('SELECT COUNT(*) as count FROM broker_rooms'),
+    addMember: db.prepare(`
+      INSERT INTO broker_members (scope, socket_id, node_id, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT(scope, socket_id) DO UPDATE SET node_id = excluded.node_id, data = excluded.data
+    `),
+    getMember: db.prepare('SELECT data FROM broker_members WHERE scope = ? AND socket_id = ?'),
+    updateMember: db.prepare('UPDATE broker_members SET data = ? WHERE scope = ? AND socket_id = ?'),
+    removeMember: db.prepare('DELETE FROM broker_members WHERE scope = ? AND socket_id = ?'),
+    getMembers: db.prepare('SELECT data FROM broker_members WHERE scope = ? ORDER BY rowid'),
+    publish: db.prepare(`
+      INSERT INTO broker_messages (scope, node_id, body, created_at) VALUES (?, ?, ?, ?)
+    `),
+    lastMessageId: db.prepare('SELECT COALESCE(MAX(id), 0) as id FROM broker_messages'),
+    poll: db.prepare(`
+      SELECT id, scope, body FROM broker_messages
+      WHERE id > ? AND node_id != ?
+      ORDER BY id
+    `)
+  };
+
+  const handlers = new Map();
+  let lastMessageId = stmts.lastMessageId.get().id;
+
+  // Buffers don't survive JSON - carry binary payloads as base64
+  function encode(message) {
+    if (Buffer.isBuffer(message.payload)) {
+      return JSON.stringify({ ...message, payload: message.payload.toString('base64'), encoding: 'base64' });
+    }
+    return JSON.stringify(message);
+  }
+
+  function decode(body) {
+    const message = JSON.parse(body);
+    if (message.encoding === 'base64') {
+      message.payload = Buffer.from(message.payload, 'base64');
+      delete message.encoding;
+    }
+    return message;
+  }
+
+  function heartbeat() {
+    const now = Date.now();
+    stmts.heartbeat.run(nodeId, now);
+    // Forget sockets held by processes that stopped heart-beating
+    stmts.deadMembers.run(now - NODE_TIMEOUT_MS);
+    stmts.deadNodes.run(now - NODE_TIMEOUT_MS);
+    stmts.oldMessages.run(now - MESSAGE_TTL_MS);
+  }
+
+  function poll() {
+    const rows = stmts.poll.all(lastMessageId, nodeId);
+    for (const row of rows) {
+      lastMessageId = row.id;
+      const handler = handlers.get(row.scope);
+      if (!handler) continue;
+      try {
+        handler(decode(row.body));
+      } catch (e) {
+        console.error('[Broker] Delivery error:', e);
+      }
+    }
+  }
+
+  heartbeat();
+  const heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+  const pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  heartbeatTimer.unref();
+  pollTimer.unref();
+
+  return {
+    name: 'sqlite',
+    nodeId,
+
+    saveRoom(room) {
+      stmts.saveRoom.run(room.id, JSON.stringify(room));
+    },
+
+    getRoom(roomId) {
+      const row = stmts.getRoom.get(roomId);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    updateRoom(roomId, fields) {
+      db.transaction(() => {
+        const row = stmts.getRoom.get(roomId);
+        if (!row) return;
+        stmts.saveRoom.run(roomId, JSON.stringify({ ...JSON.parse(row.data), ...fields }));
+      }).immediate();
+    },
+
+    deleteRoom(roomId) {
+      stmts.deleteRoom.run(roomId);
+    },
+
+    countRooms() {
+      return stmts.countRooms.get().count;
+    },
+
+    addMember(scope, member) {
+      stmts.addMember.run(scope, member.socketId, nodeId, JSON.stringify(member));
+    },
+
+    updateMember(scope, socketId, fields) {
+      db.transaction(() => {
+        const row = stmts.getMember.get(scope, socketId);
+        if (!row) return;
+        stmts.updateMember.run(JSON.stringify({ ...JSON.parse(row.data), ...fields }), scope, socketId);
+      }).immediate();
+    },
+
+    removeMember(scope, socketId) {
+      return stmts.removeMember.run(scope, socketId).changes > 0;
+    },
+
+    getMembers(scope) {
+      return stmts.getMembers.all(scope).map(row => JSON.parse(row.data));
+    },
+
+    // Deliver locally right away, then queue for the other processes
+    publish(scope, message) {
+      handlers.get(scope)?.(message);
+      stmts.publish.run(scope, nodeId, encode(message), Date.now());
+    },
+
+    subscribe(scope, handler) {
+      handlers.set(scope, handler);
+    },
+
+    unsubscribe(scope) {
+      handlers.delete(scope);
+    },
+
+    close() {
+      clearInterval(heartbeatTimer);
+      clearInterval(pollTimer);
+      stmts.removeNodeMembers.run(nodeId);
+      stmts.removeNode.run(nodeId);
+      db.close();
+    }
+  };
+}
+
+// Pick a broker from configuration:
+//   ROOM_BROKER=memory (default) | sqlite
+//   ROOM_BROKER_PATH=path to the shared SQLite file (sqlite only)
+//
+// To try it locally, start two instances against the same file:
+//   ROOM_BROKER=sqlite PORT=3000 npm start
+//   ROOM_BROKER=sqlite PORT=3001 npm start
+export function createBroker(env = process.env) {
+  const type = env.ROOM_BROKER || 'memory';
+
+  if (type === 'sqlite') {
+    const path = env.ROOM_BROKER_PATH || join(__dirname, '../orbitxe-broker.db');
+    console.log(`[Broker] Using shared SQLite broker at ${path}`);
+    return createSqliteBroker({ path });
+  }
+
+  if (type !== 'memory') {
+    throw new Error(`Unknown ROOM_BROKER: ${type}`);
+  }
+  return createMemoryBroker();
+}
@@ -2,125 +2,132 @@ import Database from 'better-sqlite3';
 import { nanoid } from 'nanoid';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { runMigrations } from './migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const db = new Database(join(__dirname, '../orbitxe.db'));
-
-// Initialize database tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    email TEXT UNIQUE NOT NULL,
-    google_id TEXT UNIQUE NOT NULL,
-    name TEXT,
-    picture_url TEXT,
-    created_at TEXT DEFAULT (datetime('now')),
-    trial_started_at TEXT,
-    trial_ends_at TEXT,
-    subscription_tier TEXT DEFAULT 'trial',
-    stripe_customer_id TEXT
-  );
-
-  CREATE TABLE IF NOT EXISTS subscriptions (
-    id TEXT PRIMARY KEY,
-    user_id TEXT NOT NULL,
-    stripe_subscription_id TEXT,
-    plan_type TEXT NOT NULL,
-    status TEXT NOT NULL,
-    current_period_start TEXT,
-    current_period_end TEXT,
-    canceled_at TEXT,
-    created_at TEXT DEFAULT (datetime('now')),
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-  CREATE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id);
-  CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
-
-  CREATE TABLE IF NOT EXISTS downloads (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    platform TEXT NOT NULL,
-    file_name TEXT NOT NULL,
-    ip_address TEXT,
-    user_agent TEXT,
-    country TEXT,
-    downloaded_at TEXT DEFAULT (datetime('now'))
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_downloads_platform ON downloads(platform);
-  CREATE INDEX IF NOT EXISTS idx_downloads_date ON downloads(downloaded_at);
-
-  CREATE TABLE IF NOT EXISTS page_views (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    page TEXT NOT NULL,
-    ip_address TEXT,
-    user_agent TEXT,
-    referrer TEXT,
-    viewed_at TEXT DEFAULT (datetime('now'))
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_page_views_date ON page_views(viewed_at);
-
-  CREATE TABLE IF NOT EXISTS computers (
-    id TEXT PRIMARY KEY,
-    user_id TEXT NOT NULL,
-    computer_id TEXT NOT NULL,
-    name TEXT,
-    created_at TEXT DEFAULT (datetime('now')),
-    last_connected TEXT,
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    UNIQUE(user_id, computer_id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_computers_user_id ON computers(user_id);
-`);
+// ==================== CONNECTION ====================
+// Nothing is opened at import time. The first query opens DATABASE_PATH;
+// tests can instead hand in their own, e.g.
+// useDatabase(createDatabase(':memory:')).
+//
+//   DATABASE_PATH=SQLite file, or :memory: (default orbitxe.db in the project root)
+
+export const DEFAULT_DATABASE_PATH = join(__dirname, '../orbitxe.db');
+
+// Open a database, bringing its schema up to date unless migrate is false
+export function createDatabase(path = process.env.DATABASE_PATH || DEFAULT_DATABASE_PATH, { migrate = true } = {}) {
+  const connection = new Database(path);
+  if (migrate) {
+    const applied = runMigrations(connection);
+    if (applied.length > 0) {
+      console.log('Applied database migrations:', applied.map(m => `${m.version} ${m.name}`).join(', '));
+    }
+  }
+  return connection;
+}
+
+let connection = null;
+
+// The connection every query below runs against
+function db() {
+  if (!connection) connection = createDatabase();
+  return connection;
+}
+
+// Run all queries against another connection from now on
+export function useDatabase(database) {
+  connection = database;
+}
+
+export function closeDatabase() {
+  connection?.close();
+  connection = null;
+}
 
 // Feature definitions
 export const FEATURES = {
   FREE: ['trackpad', 'scroll_buttons', 'desktop_remote_basic'],
   TRIAL: ['trackpad', 'scroll_buttons', 'keyboard', 'tab_switch', 'open_tab',
           'youtube', 'netflix', 'slides', 'zoom', 'meet', 'two_finger_scroll',
-          'desktop_remote', 'device_list', 'file_transfer', 'system_controls'],
+          'desktop_remote', 'device_list', 'file_transfer', 'system_controls', 'clipboard'],
   PRO: ['trackpad', 'scroll_buttons', 'keyboard', 'tab_switch', 'open_tab',
         'youtube', 'netflix', 'slides', 'zoom', 'meet', 'two_finger_scroll',
-        'desktop_remote', 'device_list', 'file_transfer', 'system_controls']
+        'desktop_remote', 'device_list', 'file_transfer', 'system_controls', 'clipboard']
+};
+
+// ==================== TRIAL POLICY ====================
+// The one place trial rules live. Clients never work out a trial themselves;
+// they get its end date and features in the signed license.
+//
+//   TRIAL_DAYS=trial length for new accounts (default 7)
+//   REFERRAL_TRIAL_DAYS=trial length for referred sign-ups (default 30)
+//   TRIAL_FEATURES=comma-separated features during a trial (default: all Pro features)
+//   TRIAL_ONE_PER_EMAIL=false to let a re-created account trial again
+//   TRIAL_ONE_PER_DEVICE=false to let several accounts trial on one device
+
+function envDays(value, fallback) {
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
+}
+
+export const TRIAL_POLICY = {
+  days: envDays(process.env.TRIAL_DAYS, 7),
+  referralDays: envDays(process.env.REFERRAL_TRIAL_DAYS, 30),
+  features: process.env.TRIAL_FEATURES
+    ? process.env.TRIAL_FEATURES.split(',').map(f => f.trim()).filter(Boolean)
+    : FEATURES.TRIAL,
+  onePerEmail: process.env.TRIAL_ONE_PER_EMAIL !== 'false',
+  onePerDevice: process.env.TRIAL_ONE_PER_DEVICE !== 'false'
 };
 
 // User operations
-export function createUser({ email, googleId, name, pictureUrl }) {
+// A trial of 0 days starts the account on the free tier
+export function createUser({ email, googleId, name, pictureUrl, trialDays = TRIAL_POLICY.days, referredBy = null }) {
   const id = nanoid();
-  const now = new Date().toISOString();
-  const trialEnds = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+  const createdAt = Date.now();
+  const now = new Date(createdAt).toISOString();
+  const trialEnds = new Date(createdAt + trialDays * 24 * 60 * 60 * 1000).toISOString();
 
-  const stmt = db.prepare(`
-    INSERT INTO users (id, email, google_id, name, picture_url, trial_started_at, trial_ends_at, subscription_tier)
-    VALUES (?, ?, ?, ?, ?, ?, ?, 'trial')
+  const stmt = db().prepare(`
+    INSERT INTO users (id, email, google_id, name, picture_url, trial_started_at, trial_ends_at, subscription_tier, referred_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
-  stmt.run(id, email, googleId, name, pictureUrl, now, trialEnds);
+  stmt.run(id, email, googleId || null, name || null, pictureUrl || null, now, trialEnds,
+    trialDays > 0 ? 'trial' : 'free', referredBy);
   return getUserById(id);
 }
 
 export function getUserById(id) {
-  const stmt = db.prepare('SELECT * FROM users WHERE id = ?');
+  const stmt = db().prepare('SELECT * FROM users WHERE id = ?');
   return stmt.get(id);
 }
 
 export function getUserByGoogleId(googleId) {
-  const stmt = db.prepare('SELECT * FROM users WHERE google_id = ?');
+  const stmt = db().prepare('SELECT * FROM users WHERE google_id = ?');
   return stmt.get(googleId);
 }
 
 export function getUserByEmail(email) {
-  const stmt = db.prepare('SELECT * FROM users WHERE email = ?');
+  const stmt = db().prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE');
   return stmt.get(email);
 }
 
+// Attach a Google account to a user who first signed in by email
+export function linkGoogleAccount(userId, { googleId, name, pictureUrl }) {
+  const stmt = db().prepare(`
+    UPDATE users
+    SET google_id = ?, name = COALESCE(name, ?), picture_url = COALESCE(picture_url, ?)
+    WHERE id = ?
+  `);
+  stmt.run(googleId, name || null, pictureUrl || null, userId);
+  return getUserById(userId);
+}
+
 export function updateUserSubscription(userId, tier, stripeCustomerId = null) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     UPDATE users
     SET subscription_tier = ?, stripe_customer_id = COALESCE(?, stripe_customer_id)
     WHERE id = ?
@@ -136,6 +143,28 @@ export function getLicenseForUser(user) {
 
   const tier = user.subscription_tier;
 
+  // Pro or lifetime
+  if (tier === 'pro' || tier === 'lifetime') {
+    const subscription = getActiveSubscription(user.id);
+    return {
+      tier,
+      features: FEATURES.PRO,
+      expiresAt: subscription?.current_period_end,
+      cancelAtPeriodEnd: !!subscription?.cancel_at_period_end
+    };
+  }
+
+  // A seat on a paid team plan counts as Pro, and outranks a trial
+  const seat = getActiveSeatForUser(user.id);
+  if (seat) {
+    return {
+      tier: 'pro',
+      features: FEATURES.PRO,
+      expiresAt: seat.current_period_end,
+      organization: { id: seat.org_id, name: seat.name }
+    };
+  }
+
   // Check if trial is still active
   if (tier === 'trial') {
     const trialEnd = new Date(user.trial_ends_at);
@@ -150,18 +179,9 @@ export function getLicenseForUser(user) {
     }
     return {
       tier: 'trial',
-      features: FEATURES.TRIAL,
-      trialEndsAt: user.trial_ends_at
-    };
-  }
-
-  // Pro or lifetime
-  if (tier === 'pro' || tier === 'lifetime') {
-    const subscription = getActiveSubscription(user.id);
-    return {
-      tier,
-      features: FEATURES.PRO,
-      expiresAt: subscription?.current_period_end
+      features: TRIAL_POLICY.features,
+      trialEndsAt: user.trial_ends_at,
+      trialDays: Math.round((trialEnd.getTime() - new Date(user.trial_started_at).getTime()) / (24 * 60 * 60 * 1000))
     };
   }
 
@@ -169,38 +189,51 @@ export function getLicenseForUser(user) {
 }
 
 // Subscription operations
-export function createSubscription({ userId, stripeSubscriptionId, planType, status, periodStart, periodEnd }) {
+// Stripe statuses that still entitle the customer to what they paid for
+export const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+
+export function createSubscription({ userId, stripeSubscriptionId, planType, status, periodStart, periodEnd, paymentIntentId = null }) {
   const id = nanoid();
-  const stmt = db.prepare(`
-    INSERT INTO subscriptions (id, user_id, stripe_subscription_id, plan_type, status, current_period_start, current_period_end)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+  const stmt = db().prepare(`
+    INSERT INTO subscriptions (id, user_id, stripe_subscription_id, plan_type, status, current_period_start, current_period_end, stripe_payment_intent_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `);
-  stmt.run(id, userId, stripeSubscriptionId, planType, status, periodStart, periodEnd);
+  stmt.run(id, userId, stripeSubscriptionId, planType, status, periodStart, periodEnd, paymentIntentId);
   return getSubscriptionById(id);
 }
 
 export function getSubscriptionById(id) {
-  const stmt = db.prepare('SELECT * FROM subscriptions WHERE id = ?');
+  const stmt = db().prepare('SELECT * FROM subscriptions WHERE id = ?');
   return stmt.get(id);
 }
 
 export function getActiveSubscription(userId) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT * FROM subscriptions
-    WHERE user_id = ? AND status = 'active'
+    WHERE user_id = ? AND status IN (${ACTIVE_SUBSCRIPTION_STATUSES.map(() => '?').join(', ')})
     ORDER BY created_at DESC
     LIMIT 1
   `);
-  return stmt.get(userId);
+  return stmt.get(userId, ...ACTIVE_SUBSCRIPTION_STATUSES);
+}
+
+export function getSubscriptionsForUser(userId) {
+  const stmt = db().prepare('SELECT * FROM subscriptions WHERE user_id = ? ORDER BY created_at DESC');
+  return stmt.all(userId);
+}
+
+export function getSubscriptionByPaymentIntentId(paymentIntentId) {
+  const stmt = db().prepare('SELECT * FROM subscriptions WHERE stripe_payment_intent_id = ?');
+  return stmt.get(paymentIntentId);
 }
 
 export function getSubscriptionByStripeId(stripeSubscriptionId) {
-  const stmt = db.prepare('SELECT * FROM subscriptions WHERE stripe_subscription_id = ?');
+  const stmt = db().prepare('SELECT * FROM subscriptions WHERE stripe_subscription_id = ?');
   return stmt.get(stripeSubscriptionId);
 }
 
 export function updateSubscriptionStatus(stripeSubscriptionId, status, canceledAt = null) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     UPDATE subscriptions
     SET status = ?, canceled_at = ?
     WHERE stripe_subscription_id = ?
@@ -209,7 +242,7 @@ export function updateSubscriptionStatus(stripeSubscriptionId, status, canceledA
 }
 
 export function updateSubscriptionPeriod(stripeSubscriptionId, periodStart, periodEnd) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     UPDATE subscriptions
     SET current_period_start = ?, current_period_end = ?
     WHERE stripe_subscription_id = ?
@@ -217,16 +250,207 @@ export function updateSubscriptionPeriod(stripeSubscriptionId, periodStart, peri
   stmt.run(periodStart, periodEnd, stripeSubscriptionId);
 }
 
+export function updateSubscriptionCancelAtPeriodEnd(stripeSubscriptionId, cancelAtPeriodEnd) {
+  const stmt = db().prepare('UPDATE subscriptions SET cancel_at_period_end = ? WHERE stripe_subscription_id = ?');
+  stmt.run(cancelAtPeriodEnd ? 1 : 0, stripeSubscriptionId);
+}
+
+// Lifetime purchases have no Stripe subscription, so they're updated by row ID
+export function updateSubscriptionStatusById(id, status, canceledAt = null) {
+  const stmt = db().prepare('UPDATE subscriptions SET status = ?, canceled_at = ? WHERE id = ?');
+  stmt.run(status, canceledAt, id);
+}
+
+// Stripe delivers events at least once. Each delivery claims its event ID
+// before handling it, so a retry that overlaps the original can't run twice.
+// Claims older than staleBefore belong to a crashed handler and may be taken.
+// Returns 'claimed', 'processing' or 'processed'.
+export function claimStripeEvent(eventId, type, staleBefore) {
+  return db().transaction(() => {
+    const existing = db().prepare('SELECT * FROM stripe_events WHERE id = ?').get(eventId);
+    const now = new Date().toISOString();
+
+    if (!existing) {
+      db().prepare(`
+        INSERT INTO stripe_events (id, type, claimed_at, processed_at) VALUES (?, ?, ?, NULL)
+      `).run(eventId, type, now);
+      return 'claimed';
+    }
+    if (existing.processed_at) return 'processed';
+    if (existing.claimed_at && existing.claimed_at > staleBefore) return 'processing';
+
+    db().prepare('UPDATE stripe_events SET claimed_at = ? WHERE id = ?').run(now, eventId);
+    return 'claimed';
+  }).immediate();
+}
+
+export function markStripeEventProcessed(eventId) {
+  const stmt = db().prepare('UPDATE stripe_events SET processed_at = ? WHERE id = ?');
+  stmt.run(new Date().toISOString(), eventId);
+}
+
+// Let Stripe's next retry handle an event whose handler failed
+export function releaseStripeEvent(eventId) {
+  const stmt = db().prepare('DELETE FROM stripe_events WHERE id = ? AND processed_at IS NULL');
+  stmt.run(eventId);
+}
+
 export function getUserByStripeCustomerId(stripeCustomerId) {
-  const stmt = db.prepare('SELECT * FROM users WHERE stripe_customer_id = ?');
+  const stmt = db().prepare('SELECT * FROM users WHERE stripe_customer_id = ?');
   return stmt.get(stripeCustomerId);
 }
 
+export function setUserStripeCustomerId(userId, stripeCustomerId) {
+  const stmt = db().prepare('UPDATE users SET stripe_customer_id = ? WHERE id = ?');
+  stmt.run(stripeCustomerId, userId);
+  return getUserById(userId);
+}
+
+// ==================== TRIALS ====================
+
+// Record that an email or device has had a trial. Returns the user ID the
+// claim belongs to - the caller's unless someone claimed it first.
+export function claimTrial(kind, valueHash, userId) {
+  db().prepare(`
+    INSERT OR IGNORE INTO trial_claims (kind, value_hash, user_id) VALUES (?, ?, ?)
+  `).run(kind, valueHash, userId);
+  return getTrialClaim(kind, valueHash)?.user_id;
+}
+
+export function getTrialClaim(kind, valueHash) {
+  const stmt = db().prepare('SELECT * FROM trial_claims WHERE kind = ? AND value_hash = ?');
+  return stmt.get(kind, valueHash);
+}
+
+export function getTrialClaimsForUser(userId) {
+  const stmt = db().prepare('SELECT kind, created_at FROM trial_claims WHERE user_id = ? ORDER BY created_at');
+  return stmt.all(userId);
+}
+
+// Add days to a trial, restarting it from today if it already ended. Paid
+// users are left alone. Returns the updated user, or null.
+export function extendUserTrial(userId, days, reason = null) {
+  return db().transaction(() => {
+    const user = getUserById(userId);
+    if (!user || !['trial', 'free'].includes(user.subscription_tier)) return null;
+
+    const from = Math.max(Date.now(), new Date(user.trial_ends_at || 0).getTime());
+    const trialEnds = new Date(from + days * 24 * 60 * 60 * 1000).toISOString();
+    const trialStarted = user.subscription_tier === 'trial' && user.trial_started_at
+      ? user.trial_started_at
+      : new Date().toISOString();
+
+    db().prepare(`
+      UPDATE users SET subscription_tier = 'trial', trial_started_at = ?, trial_ends_at = ? WHERE id = ?
+    `).run(trialStarted, trialEnds, userId);
+    db().prepare(`
+      INSERT INTO trial_extensions (id, user_id, days, reason, trial_ends_at) VALUES (?, ?, ?, ?, ?)
+    `).run(nanoid(), userId, days, reason, trialEnds);
+
+    return getUserById(userId);
+  })();
+}
+
+export function getTrialExtensions(userId) {
+  const stmt = db().prepare('SELECT * FROM trial_extensions WHERE user_id = ? ORDER BY created_at DESC');
+  return stmt.all(userId);
+}
+
+// ==================== REFERRALS ====================
+
+export function getUserByReferralCode(referralCode) {
+  const stmt = db().prepare('SELECT * FROM users WHERE referral_code = ?');
+  return stmt.get(referralCode);
+}
+
+// Set a user's referral code unless they already have one; returns the user
+export function setUserReferralCode(userId, referralCode) {
+  const stmt = db().prepare('UPDATE users SET referral_code = ? WHERE id = ? AND referral_code IS NULL');
+  stmt.run(referralCode, userId);
+  return getUserById(userId);
+}
+
+export function createReferral({ referrerUserId, referredUserId }) {
+  const id = nanoid();
+  const stmt = db().prepare(`
+    INSERT INTO referrals (id, referrer_user_id, referred_user_id) VALUES (?, ?, ?)
+  `);
+  stmt.run(id, referrerUserId, referredUserId);
+  return id;
+}
+
+export function getReferralForReferredUser(referredUserId) {
+  const stmt = db().prepare('SELECT * FROM referrals WHERE referred_user_id = ?');
+  return stmt.get(referredUserId);
+}
+
+// First payment from a referred user; returns whether this call converted it
+export function markReferralConverted(id, creditCents) {
+  const stmt = db().prepare(`
+    UPDATE referrals SET status = 'converted', converted_at = ?, credit_cents = ?
+    WHERE id = ? AND status = 'signed_up'
+  `);
+  return stmt.run(new Date().toISOString(), creditCents, id).changes > 0;
+}
+
+// Converted referrals whose credit hasn't reached the referrer's balance yet
+export function getUncreditedReferrals(referrerUserId) {
+  const stmt = db().prepare(`
+    SELECT * FROM referrals WHERE referrer_user_id = ? AND status = 'converted'
+    ORDER BY converted_at
+  `);
+  return stmt.all(referrerUserId);
+}
+
+export function markReferralCredited(id, stripeBalanceTransactionId) {
+  const stmt = db().prepare(`
+    UPDATE referrals SET status = 'credited', credited_at = ?, stripe_balance_transaction_id = ?
+    WHERE id = ? AND status = 'converted'
+  `);
+  return stmt.run(new Date().toISOString(), stripeBalanceTransactionId, id).changes > 0;
+}
+
+export function getReferralStatsForUser(referrerUserId) {
+  const stmt = db().prepare(`
+    SELECT
+      COUNT(*) as signedUp,
+      SUM(CASE WHEN status IN ('converted', 'credited') THEN 1 ELSE 0 END) as converted,
+      COALESCE(SUM(CASE WHEN status = 'credited' THEN credit_cents ELSE 0 END), 0) as creditedCents,
+      COALESCE(SUM(CASE WHEN status = 'converted' THEN credit_cents ELSE 0 END), 0) as pendingCents
+    FROM referrals WHERE referrer_user_id = ?
+  `);
+  const stats = stmt.get(referrerUserId);
+  return { ...stats, converted: stats.converted || 0 };
+}
+
+export function getReferralStats() {
+  const totals = db().prepare(`
+    SELECT
+      COUNT(*) as signups,
+      SUM(CASE WHEN status IN ('converted', 'credited') THEN 1 ELSE 0 END) as conversions,
+      COALESCE(SUM(CASE WHEN status = 'credited' THEN credit_cents ELSE 0 END), 0) as creditIssuedCents,
+      COALESCE(SUM(CASE WHEN status = 'converted' THEN credit_cents ELSE 0 END), 0) as creditPendingCents
+    FROM referrals
+  `).get();
+
+  const topReferrers = db().prepare(`
+    SELECT u.email, COUNT(*) as signups,
+      SUM(CASE WHEN r.status IN ('converted', 'credited') THEN 1 ELSE 0 END) as conversions
+    FROM referrals r
+    JOIN users u ON u.id = r.referrer_user_id
+    GROUP BY r.referrer_user_id
+    ORDER BY conversions DESC, signups DESC
+    LIMIT 10
+  `).all();
+
+  return { ...totals, conversions: totals.conversions || 0, topReferrers };
+}
+
 // ==================== ADMIN FUNCTIONS ====================
 
 // Get all users with subscription info
 export function getAllUsers() {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT u.*,
            s.plan_type as subscription_plan,
            s.status as subscription_status,
@@ -240,7 +464,7 @@ export function getAllUsers() {
 
 // Get user count by tier
 export function getUserStats() {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT
       subscription_tier,
       COUNT(*) as count
@@ -252,7 +476,7 @@ export function getUserStats() {
 
 // Get all subscriptions
 export function getAllSubscriptions() {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT s.*, u.email, u.name
     FROM subscriptions s
     JOIN users u ON s.user_id = u.id
@@ -262,30 +486,30 @@ export function getAllSubscriptions() {
 }
 
 // Track download
-export function trackDownload({ platform, fileName, ipAddress, userAgent, country }) {
-  const stmt = db.prepare(`
-    INSERT INTO downloads (platform, file_name, ip_address, user_agent, country)
+export function trackDownload({ platform, fileName, browser, os, country }) {
+  const stmt = db().prepare(`
+    INSERT INTO downloads (platform, file_name, browser, os, country)
     VALUES (?, ?, ?, ?, ?)
   `);
-  stmt.run(platform, fileName, ipAddress, userAgent, country);
+  stmt.run(platform, fileName, browser, os, country);
 }
 
 // Get download stats
 export function getDownloadStats() {
-  const total = db.prepare('SELECT COUNT(*) as total FROM downloads').get();
-  const byPlatform = db.prepare(`
+  const total = db().prepare('SELECT COUNT(*) as total FROM downloads').get();
+  const byPlatform = db().prepare(`
     SELECT platform, COUNT(*) as count
     FROM downloads
     GROUP BY platform
   `).all();
-  const last7Days = db.prepare(`
+  const last7Days = db().prepare(`
     SELECT DATE(downloaded_at) as date, COUNT(*) as count
     FROM downloads
     WHERE downloaded_at >= datetime('now', '-7 days')
     GROUP BY DATE(downloaded_at)
     ORDER BY date DESC
   `).all();
-  const last30Days = db.prepare(`
+  const last30Days = db().prepare(`
     SELECT COUNT(*) as count
     FROM downloads
     WHERE downloaded_at >= datetime('now', '-30 days')
@@ -301,7 +525,7 @@ export function getDownloadStats() {
 
 // Get recent downloads
 export function getRecentDownloads(limit = 50) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT * FROM downloads
     ORDER BY downloaded_at DESC
     LIMIT ?
@@ -310,28 +534,46 @@ export function getRecentDownloads(limit = 50) {
 }
 
 // Track page view
-export function trackPageView({ page, ipAddress, userAgent, referrer }) {
-  const stmt = db.prepare(`
-    INSERT INTO page_views (page, ip_address, user_agent, referrer)
-    VALUES (?, ?, ?, ?)
+export function trackPageView({ page, visitorHash, browser, os, referrer }) {
+  const stmt = db().prepare(`
+    INSERT INTO page_views (page, visitor_hash, browser, os, referrer)
+    VALUES (?, ?, ?, ?, ?)
   `);
-  stmt.run(page, ipAddress, userAgent, referrer);
+  stmt.run(page, visitorHash, browser, os, referrer);
+}
+
+// Today's visitor hash salt. The first caller of the day sets it, and older
+// salts are deleted so yesterday's hashes can't be recomputed.
+export function getAnalyticsSalt(day, newSalt) {
+  return db().transaction(() => {
+    db().prepare('INSERT OR IGNORE INTO analytics_salts (day, salt) VALUES (?, ?)').run(day, newSalt);
+    db().prepare('DELETE FROM analytics_salts WHERE day < ?').run(day);
+    return db().prepare('SELECT salt FROM analytics_salts WHERE day = ?').get(day).salt;
+  })();
+}
+
+// Drop page views and downloads from before `day`; returns how many went
+export function deleteAnalyticsBefore(day) {
+  return db().transaction(() => ({
+    pageViews: db().prepare('DELETE FROM page_views WHERE DATE(viewed_at) < ?').run(day).changes,
+    downloads: db().prepare('DELETE FROM downloads WHERE DATE(downloaded_at) < ?').run(day).changes
+  }))();
 }
 
 // Get visitor stats
 export function getVisitorStats() {
-  const total = db.prepare('SELECT COUNT(*) as total FROM page_views').get();
-  const uniqueVisitors = db.prepare('SELECT COUNT(DISTINCT ip_address) as count FROM page_views').get();
-  const today = db.prepare(`
+  const total = db().prepare('SELECT COUNT(*) as total FROM page_views').get();
+  const uniqueVisitors = db().prepare('SELECT COUNT(DISTINCT visitor_hash) as count FROM page_views').get();
+  const today = db().prepare(`
     SELECT COUNT(*) as count FROM page_views
     WHERE DATE(viewed_at) = DATE('now')
   `).get();
-  const todayUnique = db.prepare(`
-    SELECT COUNT(DISTINCT ip_address) as count FROM page_views
+  const todayUnique = db().prepare(`
+    SELECT COUNT(DISTINCT visitor_hash) as count FROM page_views
     WHERE DATE(viewed_at) = DATE('now')
   `).get();
-  const last7Days = db.prepare(`
-    SELECT DATE(viewed_at) as date, COUNT(*) as views, COUNT(DISTINCT ip_address) as visitors
+  const last7Days = db().prepare(`
+    SELECT DATE(viewed_at) as date, COUNT(*) as views, COUNT(DISTINCT visitor_hash) as visitors
     FROM page_views
     WHERE viewed_at >= datetime('now', '-7 days')
     GROUP BY DATE(viewed_at)
@@ -352,8 +594,8 @@ export function getAdminStats() {
   const userStats = getUserStats();
   const downloadStats = getDownloadStats();
   const visitorStats = getVisitorStats();
-  const totalUsers = db.prepare('SELECT COUNT(*) as count FROM users').get();
-  const todaySignups = db.prepare(`
+  const totalUsers = db().prepare('SELECT COUNT(*) as count FROM users').get();
+  const todaySignups = db().prepare(`
     SELECT COUNT(*) as count FROM users
     WHERE DATE(created_at) = DATE('now')
   `).get();
@@ -363,41 +605,303 @@ export function getAdminStats() {
     todaySignups: todaySignups.count,
     usersByTier: userStats,
     downloads: downloadStats,
-    visitors: visitorStats
+    visitors: visitorStats,
+    referrals: getReferralStats()
   };
 }
 
+// ==================== ANALYTICS ====================
+// Counts between two YYYY-MM-DD dates (inclusive, UTC), grouped by day or by
+// week. Weeks are keyed by their Monday. Empty periods are left out.
+// Visitor hashes change daily, so over a week visitors are summed daily
+// uniques.
+
+const PERIOD_SQL = {
+  day: column => `DATE(${column})`,
+  week: column => `DATE(${column}, 'weekday 0', '-6 days')`
+};
+
+// A subscription someone actually paid for and kept: not one still in (or
+// abandoned during) Stripe's trial or first payment, not one taken back
+// after a refund or dispute, and not a lifetime license an admin comped
+const PAID_SUBSCRIPTION_SQL = `
+  s.plan_type IN ('monthly', 'lifetime')
+  AND s.status NOT IN ('trialing', 'incomplete', 'incomplete_expired', 'revoked', 'refunded', 'disputed')
+  AND (s.stripe_subscription_id IS NOT NULL OR s.stripe_payment_intent_id IS NOT NULL)
+`;
+
+export function getAnalyticsSeries({ from, to, interval = 'day', platform = null }) {
+  const period = PERIOD_SQL[interval];
+
+  const downloads = db().prepare(`
+    SELECT ${period('downloaded_at')} as period, COUNT(*) as count
+    FROM downloads
+    WHERE DATE(downloaded_at) BETWEEN ? AND ? AND (? IS NULL OR platform = ?)
+    GROUP BY period
+  `).all(from, to, platform, platform);
+  const pageViews = db().prepare(`
+    SELECT ${period('viewed_at')} as period, COUNT(*) as views, COUNT(DISTINCT visitor_hash) as visitors
+    FROM page_views
+    WHERE DATE(viewed_at) BETWEEN ? AND ?
+    GROUP BY period
+  `).all(from, to);
+  const signups = db().prepare(`
+    SELECT ${period('created_at')} as period, COUNT(*) as count
+    FROM users
+    WHERE DATE(created_at) BETWEEN ? AND ?
+    GROUP BY period
+  `).all(from, to);
+  const subscriptions = db().prepare(`
+    SELECT ${period('s.created_at')} as period, COUNT(*) as count
+    FROM subscriptions s
+    WHERE DATE(s.created_at) BETWEEN ? AND ? AND ${PAID_SUBSCRIPTION_SQL}
+    GROUP BY period
+  `).all(from, to);
+
+  return { downloads, pageViews, signups, subscriptions };
+}
+
+// Users who signed up in the range, and how far each got: a trial, a paid
+// plan after that trial, and a paid plan that's still running
+export function getConversionFunnel({ from, to }) {
+  return db().prepare(`
+    SELECT
+      COUNT(*) as signups,
+      COALESCE(SUM(trialed), 0) as trials,
+      COALESCE(SUM(trialed AND paid), 0) as paid,
+      COALESCE(SUM(trialed AND paying), 0) as paying
+    FROM (
+      SELECT
+        u.trial_ends_at > u.trial_started_at as trialed,
+        EXISTS (SELECT 1 FROM subscriptions s WHERE s.user_id = u.id AND ${PAID_SUBSCRIPTION_SQL}) as paid,
+        EXISTS (
+          SELECT 1 FROM subscriptions s
+          WHERE s.user_id = u.id AND ${PAID_SUBSCRIPTION_SQL}
+            AND ((s.plan_type = 'lifetime' AND s.status = 'active')
+              OR (s.plan_type = 'monthly' AND s.status IN ('active', 'past_due')))
+        ) as paying
+      FROM users u
+      WHERE DATE(u.created_at) BETWEEN ? AND ?
+    )
+  `).get(from, to);
+}
+
+export function getReferrerCounts({ from, to }) {
+  return db().prepare(`
+    SELECT referrer, COUNT(*) as views, COUNT(DISTINCT visitor_hash) as visitors
+    FROM page_views
+    WHERE DATE(viewed_at) BETWEEN ? AND ?
+    GROUP BY referrer
+  `).all(from, to);
+}
+
+// Strip a user's personal data but keep the row, so payments and referrals
+// that point at it stay intact. Sessions, computers, pending sign-ins,
+// their organization membership and admin access go. Returns null, changing
+// nothing, for the last admin owner: someone has to be left to manage admins.
+export function anonymizeUser(userId) {
+  return db().transaction(() => {
+    const user = getUserById(userId);
+    if (!user || user.deleted_at) return null;
+    if (getAdminUser(userId)?.role === 'owner' && countAdminOwners() <= 1) return null;
+
+    const now = new Date().toISOString();
+    db().prepare(`
+      UPDATE users
+      SET email = ?, google_id = NULL, name = NULL, picture_url = NULL, referral_code = NULL,
+          subscription_tier = 'free', trial_ends_at = NULL, deleted_at = ?
+      WHERE id = ?
+    `).run(`deleted-${user.id}@deleted.invalid`, now, userId);
+
+    db().prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL').run(now, userId);
+    db().prepare('DELETE FROM computers WHERE user_id = ?').run(userId);
+    db().prepare('DELETE FROM email_login_codes WHERE email = ?').run(user.email.toLowerCase());
+    db().prepare('DELETE FROM device_links WHERE user_id = ?').run(userId);
+    db().prepare('DELETE FROM organization_members WHERE user_id = ?').run(userId);
+    deleteAdminUser(userId);
+
+    return getUserById(userId);
+  })();
+}
+
+// ==================== ADMIN AUDIT LOG ====================
+// Append-only: the table's triggers reject updates and deletes.
+
+export function createAdminAuditEntry({ actor, action, targetUserId = null, details = null, ipAddress = null }) {
+  const stmt = db().prepare(`
+    INSERT INTO admin_audit_log (actor, action, target_user_id, details, ip_address)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  stmt.run(actor, action, targetUserId, details ? JSON.stringify(details) : null, ipAddress);
+}
+
+export function getAdminAuditLog({ targetUserId = null, limit = 100 } = {}) {
+  const stmt = db().prepare(`
+    SELECT a.*, u.email AS target_email
+    FROM admin_audit_log a
+    LEFT JOIN users u ON u.id = a.target_user_id
+    WHERE ? IS NULL OR a.target_user_id = ?
+    ORDER BY a.id DESC
+    LIMIT ?
+  `);
+  return stmt.all(targetUserId, targetUserId, limit).map(entry => ({
+    ...entry,
+    details: entry.details ? JSON.parse(entry.details) : null
+  }));
+}
+
+// ==================== ADMIN ACCOUNTS ====================
+// Admin console access for existing accounts. session_version goes up when
+// the password changes, which signs out every admin session issued before.
+// Failed sign-ins are counted per account and address in
+// admin_login_failures.
+
+export function getAdminUser(userId) {
+  const stmt = db().prepare(`
+    SELECT a.*, u.email, u.name
+    FROM admin_users a
+    JOIN users u ON u.id = a.user_id
+    WHERE a.user_id = ?
+  `);
+  return stmt.get(userId);
+}
+
+export function getAdminUserByEmail(email) {
+  const stmt = db().prepare(`
+    SELECT a.*, u.email, u.name
+    FROM admin_users a
+    JOIN users u ON u.id = a.user_id
+    WHERE u.email = ? COLLATE NOCASE
+  `);
+  return stmt.get(email);
+}
+
+export function getAdminUsers() {
+  const stmt = db().prepare(`
+    SELECT a.user_id, a.role, a.last_login_at, a.created_by, a.created_at, u.email, u.name,
+           (SELECT MAX(f.locked_until) FROM admin_login_failures f
+            WHERE f.user_id = a.user_id AND f.locked_until > ?) AS locked_until
+    FROM admin_users a
+    JOIN users u ON u.id = a.user_id
+    ORDER BY a.created_at
+  `);
+  return stmt.all(new Date().toISOString());
+}
+
+export function countAdminOwners() {
+  const stmt = db().prepare("SELECT COUNT(*) as count FROM admin_users WHERE role = 'owner'");
+  return stmt.get().count;
+}
+
+export function createAdminUser({ userId, role, passwordHash, createdBy = null }) {
+  const stmt = db().prepare(`
+    INSERT INTO admin_users (user_id, role, password_hash, created_by) VALUES (?, ?, ?, ?)
+  `);
+  stmt.run(userId, role, passwordHash, createdBy);
+  return getAdminUser(userId);
+}
+
+export function updateAdminRole(userId, role) {
+  const stmt = db().prepare('UPDATE admin_users SET role = ? WHERE user_id = ?');
+  stmt.run(role, userId);
+  return getAdminUser(userId);
+}
+
+// New password; also clears every lockout and ends existing admin sessions
+export function updateAdminPassword(userId, passwordHash) {
+  db().transaction(() => {
+    db().prepare(`
+      UPDATE admin_users SET password_hash = ?, session_version = session_version + 1 WHERE user_id = ?
+    `).run(passwordHash, userId);
+    db().prepare('DELETE FROM admin_login_failures WHERE user_id = ?').run(userId);
+  })();
+  return getAdminUser(userId);
+}
+
+// When sign-ins to this account from this address are locked until, if
+// they are right now
+export function getAdminLockout(userId, ipAddress) {
+  const stmt = db().prepare(`
+    SELECT locked_until FROM admin_login_failures
+    WHERE user_id = ? AND ip_address = ? AND locked_until > ?
+  `);
+  return stmt.get(userId, ipAddress, new Date().toISOString())?.locked_until || null;
+}
+
+// Count a failed sign-in from this address; the maxAttempts-th in a row
+// locks the account there until lockUntil. Returns the updated count.
+export function recordAdminLoginFailure(userId, ipAddress, maxAttempts, lockUntil) {
+  return db().transaction(() => {
+    db().prepare(`
+      INSERT INTO admin_login_failures (user_id, ip_address, failed_attempts) VALUES (?, ?, 1)
+      ON CONFLICT(user_id, ip_address) DO UPDATE SET failed_attempts = failed_attempts + 1
+    `).run(userId, ipAddress);
+    db().prepare(`
+      UPDATE admin_login_failures SET failed_attempts = 0, locked_until = ?
+      WHERE user_id = ? AND ip_address = ? AND failed_attempts >= ?
+    `).run(lockUntil, userId, ipAddress, maxAttempts);
+    return db().prepare('SELECT * FROM admin_login_failures WHERE user_id = ? AND ip_address = ?').get(userId, ipAddress);
+  })();
+}
+
+export function recordAdminLogin(userId, ipAddress) {
+  db().transaction(() => {
+    db().prepare('UPDATE admin_users SET last_login_at = ? WHERE user_id = ?').run(new Date().toISOString(), userId);
+    db().prepare('DELETE FROM admin_login_failures WHERE user_id = ? AND ip_address = ?').run(userId, ipAddress);
+  })();
+}
+
+export function deleteAdminUser(userId) {
+  return db().transaction(() => {
+    db().prepare('DELETE FROM admin_login_failures WHERE user_id = ?').run(userId);
+    return db().prepare('DELETE FROM admin_users WHERE user_id = ?').run(userId).changes > 0;
+  })();
+}
+
 // ==================== COMPUTER/DEVICE LIST ====================
 
-// Save a computer for a user
+// Save a computer for a user. Every registration gets a new token nonce,
+// which retires desktop tokens issued before it.
 export function saveComputer({ userId, computerId, name }) {
   const id = nanoid();
   const now = new Date().toISOString();
 
   // Use INSERT OR REPLACE to update if exists
-  const stmt = db.prepare(`
-    INSERT INTO computers (id, user_id, computer_id, name, last_connected)
-    VALUES (?, ?, ?, ?, ?)
+  const stmt = db().prepare(`
+    INSERT INTO computers (id, user_id, computer_id, name, last_connected, token_nonce)
+    VALUES (?, ?, ?, ?, ?, ?)
     ON CONFLICT(user_id, computer_id) DO UPDATE SET
       name = excluded.name,
-      last_connected = excluded.last_connected
+      last_connected = excluded.last_connected,
+      token_nonce = excluded.token_nonce
   `);
-  stmt.run(id, userId, computerId.toUpperCase(), name || `Computer ${computerId}`, now);
+  stmt.run(id, userId, computerId.toUpperCase(), name || `Computer ${computerId}`, now, nanoid(16));
   return getComputerByUserAndId(userId, computerId);
 }
 
 // Get a specific computer
 export function getComputerByUserAndId(userId, computerId) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT * FROM computers
     WHERE user_id = ? AND computer_id = ?
   `);
   return stmt.get(userId, computerId.toUpperCase());
 }
 
+// Find which account a computer ID is registered to
+export function getComputerOwner(computerId) {
+  const stmt = db().prepare(`
+    SELECT * FROM computers
+    WHERE computer_id = ?
+    ORDER BY created_at
+    LIMIT 1
+  `);
+  return stmt.get(computerId.toUpperCase());
+}
+
 // Get all computers for a user
 export function getComputersForUser(userId) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     SELECT * FROM computers
     WHERE user_id = ?
     ORDER BY last_connected DESC
@@ -408,7 +912,7 @@ export function getComputersForUser(userId) {
 // Update computer last connected time
 export function updateComputerLastConnected(userId, computerId) {
   const now = new Date().toISOString();
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     UPDATE computers
     SET last_connected = ?
     WHERE user_id = ? AND computer_id = ?
@@ -418,7 +922,7 @@ export function updateComputerLastConnected(userId, computerId) {
 
 // Rename a computer
 export function renameComputer(userId, computerId, name) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     UPDATE computers
     SET name = ?
     WHERE user_id = ? AND computer_id = ?
@@ -429,17 +933,349 @@ export function renameComputer(userId, computerId, name) {
 
 // Delete a computer
 export function deleteComputer(userId, computerId) {
-  const stmt = db.prepare(`
+  const stmt = db().prepare(`
     DELETE FROM computers
     WHERE user_id = ? AND computer_id = ?
   `);
   stmt.run(userId, computerId.toUpperCase());
 }
 
+// ==================== SESSIONS ====================
+
+// Create a sign-in session (one per device / install)
+export function createSession({ userId, refreshTokenHash, deviceName, userAgent, expiresAt }) {
+  const id = nanoid();
+  const now = new Date().toISOString();
+  const stmt = db().prepare(`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, device_name, user_agent, last_used_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(id, userId, refreshTokenHash, deviceName || null, userAgent || null, now, expiresAt);
+  return getSessionById(id);
+}
+
+export function getSessionById(id) {
+  const stmt = db().prepare('SELECT * FROM sessions WHERE id = ?');
+  return stmt.get(id);
+}
+
+// Replace the refresh token after it has been used
+export function rotateSessionRefreshToken(id, refreshTokenHash, expiresAt) {
+  const stmt = db().prepare(`
+    UPDATE sessions
+    SET refresh_token_hash = ?, expires_at = ?, last_used_at = ?
+    WHERE id = ?
+  `);
+  stmt.run(refreshTokenHash, expiresAt, new Date().toISOString(), id);
+}
+
+// Sessions a user can still sign in with
+export function getActiveSessionsForUser(userId) {
+  const stmt = db().prepare(`
+    SELECT * FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC
+  `);
+  return stmt.all(userId, new Date().toISOString());
+}
+
+export function revokeSession(id) {
+  const stmt = db().prepare(`
+    UPDATE sessions SET revoked_at = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `);
+  stmt.run(new Date().toISOString(), id);
+}
+
+export function revokeAllSessionsForUser(userId) {
+  const stmt = db().prepare(`
+    UPDATE sessions SET revoked_at = ?
+    WHERE user_id = ? AND revoked_at IS NULL
+  `);
+  stmt.run(new Date().toISOString(), userId);
+}
+
+// ==================== EMAIL SIGN-IN ====================
+
+// Store a one-time sign-in code (and its magic-link token), both hashed
+export function createEmailLoginCode({ email, codeHash, linkTokenHash, expiresAt }) {
+  const id = nanoid();
+  const stmt = db().prepare(`
+    INSERT INTO email_login_codes (id, email, code_hash, link_token_hash, expires_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  stmt.run(id, email, codeHash, linkTokenHash, expiresAt);
+  return getEmailLoginCodeById(id);
+}
+
+export function getEmailLoginCodeById(id) {
+  const stmt = db().prepare('SELECT * FROM email_login_codes WHERE id = ?');
+  return stmt.get(id);
+}
+
+// Newest code for an address that can still be used
+export function getLatestEmailLoginCode(email) {
+  const stmt = db().prepare(`
+    SELECT * FROM email_login_codes
+    WHERE email = ? AND consumed_at IS NULL AND expires_at > ?
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT 1
+  `);
+  return stmt.get(email, new Date().toISOString());
+}
+
+// How many codes an address has been sent since a point in time
+export function countEmailLoginCodesSince(email, since) {
+  const stmt = db().prepare(`
+    SELECT COUNT(*) as count FROM email_login_codes
+    WHERE email = ? AND created_at >= datetime(?)
+  `);
+  return stmt.get(email, since).count;
+}
+
+export function recordEmailLoginAttempt(id) {
+  const stmt = db().prepare('UPDATE email_login_codes SET attempts = attempts + 1 WHERE id = ?');
+  stmt.run(id);
+}
+
+// Mark a code used; returns false if it was already used
+export function consumeEmailLoginCode(id) {
+  const stmt = db().prepare(`
+    UPDATE email_login_codes SET consumed_at = ?
+    WHERE id = ? AND consumed_at IS NULL
+  `);
+  return stmt.run(new Date().toISOString(), id).changes > 0;
+}
+
+// Forget codes that expired more than a day ago
+export function deleteExpiredEmailLoginCodes() {
+  const stmt = db().prepare('DELETE FROM email_login_codes WHERE expires_at < ?');
+  stmt.run(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+}
+
+// ==================== DEVICE LINKS ====================
+
+// A device waiting for a signed-in browser to approve it
+export function createDeviceLink({ userCode, pollTokenHash, deviceId, deviceName, expiresAt }) {
+  const id = nanoid();
+  const stmt = db().prepare(`
+    INSERT INTO device_links (id, user_code, poll_token_hash, device_id, device_name, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(id, userCode, pollTokenHash, deviceId, deviceName || null, expiresAt);
+  return getDeviceLinkById(id);
+}
+
+export function getDeviceLinkById(id) {
+  const stmt = db().prepare('SELECT * FROM device_links WHERE id = ?');
+  return stmt.get(id);
+}
+
+// Pending link for the code a user typed, if it hasn't expired
+export function getPendingDeviceLinkByCode(userCode) {
+  const stmt = db().prepare(`
+    SELECT * FROM device_links
+    WHERE user_code = ? AND status = 'pending' AND expires_at > ?
+  `);
+  return stmt.get(userCode, new Date().toISOString());
+}
+
+export function approveDeviceLink(id, userId) {
+  const stmt = db().prepare(`
+    UPDATE device_links SET status = 'approved', user_id = ?, approved_at = ?
+    WHERE id = ? AND status = 'pending'
+  `);
+  return stmt.run(userId, new Date().toISOString(), id).changes > 0;
+}
+
+// Hand an approved link to its device exactly once
+export function claimDeviceLink(id) {
+  const stmt = db().prepare(`
+    UPDATE device_links SET status = 'claimed'
+    WHERE id = ? AND status = 'approved'
+  `);
+  return stmt.run(id).changes > 0;
+}
+
+export function deleteExpiredDeviceLinks() {
+  const stmt = db().prepare('DELETE FROM device_links WHERE expires_at < ?');
+  stmt.run(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+}
+
+// ==================== ORGANIZATIONS ====================
+// Teams buy seats on one subscription. Members with a seat get Pro while the
+// organization's subscription is active. A user belongs to one organization.
+
+export function createOrganization({ name, ownerUserId }) {
+  const id = nanoid();
+  db().transaction(() => {
+    db().prepare(`
+      INSERT INTO organizations (id, name, owner_user_id) VALUES (?, ?, ?)
+    `).run(id, name, ownerUserId);
+    db().prepare(`
+      INSERT INTO organization_members (org_id, user_id, role) VALUES (?, ?, 'owner')
+    `).run(id, ownerUserId);
+  })();
+  return getOrganizationById(id);
+}
+
+export function getOrganizationById(id) {
+  const stmt = db().prepare('SELECT * FROM organizations WHERE id = ?');
+  return stmt.get(id);
+}
+
+export function getOrganizationByStripeSubscriptionId(stripeSubscriptionId) {
+  const stmt = db().prepare('SELECT * FROM organizations WHERE stripe_subscription_id = ?');
+  return stmt.get(stripeSubscriptionId);
+}
+
+// The user's membership joined with its organization, if any
+export function getMembershipForUser(userId) {
+  const stmt = db().prepare(`
+    SELECT m.*, o.name, o.owner_user_id, o.seat_count, o.status, o.current_period_end
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.org_id
+    WHERE m.user_id = ?
+  `);
+  return stmt.get(userId);
+}
+
+// Seat on an organization whose subscription is live
+export function getActiveSeatForUser(userId) {
+  const membership = getMembershipForUser(userId);
+  if (!membership || !membership.has_seat) return null;
+  return ACTIVE_SUBSCRIPTION_STATUSES.includes(membership.status) ? membership : null;
+}
+
+export function getOrganizationMembers(orgId) {
+  const stmt = db().prepare(`
+    SELECT m.user_id, m.role, m.has_seat, m.joined_at, u.email, u.name
+    FROM organization_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.org_id = ?
+    ORDER BY m.joined_at
+  `);
+  return stmt.all(orgId);
+}
+
+export function addOrganizationMember(orgId, userId, role = 'member') {
+  const stmt = db().prepare(`
+    INSERT INTO organization_members (org_id, user_id, role) VALUES (?, ?, ?)
+  `);
+  stmt.run(orgId, userId, role);
+}
+
+export function removeOrganizationMember(orgId, userId) {
+  const stmt = db().prepare('DELETE FROM organization_members WHERE org_id = ? AND user_id = ?');
+  stmt.run(orgId, userId);
+}
+
+export function countAssignedSeats(orgId) {
+  const stmt = db().prepare('SELECT COUNT(*) as count FROM organization_members WHERE org_id = ? AND has_seat = 1');
+  return stmt.get(orgId).count;
+}
+
+// Give a member a seat if one is free; returns whether they hold one now
+export function assignSeat(orgId, userId) {
+  return db().transaction(() => {
+    const member = db().prepare('SELECT has_seat FROM organization_members WHERE org_id = ? AND user_id = ?').get(orgId, userId);
+    if (!member) return false;
+    if (member.has_seat) return true;
+
+    const org = getOrganizationById(orgId);
+    if (countAssignedSeats(orgId) >= org.seat_count) return false;
+
+    db().prepare('UPDATE organization_members SET has_seat = 1 WHERE org_id = ? AND user_id = ?').run(orgId, userId);
+    return true;
+  }).immediate();
+}
+
+export function unassignSeat(orgId, userId) {
+  const stmt = db().prepare('UPDATE organization_members SET has_seat = 0 WHERE org_id = ? AND user_id = ?');
+  stmt.run(orgId, userId);
+}
+
+// Drop seats beyond the paid count, owner last and newest members first
+export function trimAssignedSeats(orgId, seatCount) {
+  const stmt = db().prepare(`
+    UPDATE organization_members SET has_seat = 0
+    WHERE org_id = ? AND user_id IN (
+      SELECT user_id FROM organization_members
+      WHERE org_id = ? AND has_seat = 1
+      ORDER BY role = 'owner', joined_at DESC
+      LIMIT max(0, (SELECT COUNT(*) FROM organization_members WHERE org_id = ? AND has_seat = 1) - ?)
+    )
+  `);
+  stmt.run(orgId, orgId, orgId, seatCount);
+}
+
+export function updateOrganizationBilling(orgId, { seatCount, status, stripeCustomerId, stripeSubscriptionId, periodEnd }) {
+  const stmt = db().prepare(`
+    UPDATE organizations
+    SET seat_count = COALESCE(?, seat_count),
+        status = COALESCE(?, status),
+        stripe_customer_id = COALESCE(?, stripe_customer_id),
+        stripe_subscription_id = COALESCE(?, stripe_subscription_id),
+        current_period_end = COALESCE(?, current_period_end)
+    WHERE id = ?
+  `);
+  stmt.run(seatCount ?? null, status ?? null, stripeCustomerId ?? null, stripeSubscriptionId ?? null, periodEnd ?? null, orgId);
+  return getOrganizationById(orgId);
+}
+
+export function getAllOrganizations() {
+  const stmt = db().prepare(`
+    SELECT o.*, u.email as owner_email,
+      (SELECT COUNT(*) FROM organization_members m WHERE m.org_id = o.id) as member_count,
+      (SELECT COUNT(*) FROM organization_members m WHERE m.org_id = o.id AND m.has_seat = 1) as seats_assigned
+    FROM organizations o
+    JOIN users u ON u.id = o.owner_user_id
+    ORDER BY o.created_at DESC
+  `);
+  return stmt.all();
+}
+
+export function createOrganizationInvite({ orgId, tokenHash, email, role, createdBy, expiresAt }) {
+  const id = nanoid();
+  const stmt = db().prepare(`
+    INSERT INTO organization_invites (id, org_id, token_hash, email, role, created_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(id, orgId, tokenHash, email || null, role, createdBy, expiresAt);
+  return getOrganizationInviteById(id);
+}
+
+export function getOrganizationInviteById(id) {
+  const stmt = db().prepare('SELECT * FROM organization_invites WHERE id = ?');
+  return stmt.get(id);
+}
+
+// Invites that can still be accepted
+export function getPendingOrganizationInvites(orgId) {
+  const stmt = db().prepare(`
+    SELECT * FROM organization_invites
+    WHERE org_id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY created_at DESC
+  `);
+  return stmt.all(orgId, new Date().toISOString());
+}
+
+export function markOrganizationInviteAccepted(id) {
+  const stmt = db().prepare('UPDATE organization_invites SET accepted_at = ? WHERE id = ? AND accepted_at IS NULL');
+  return stmt.run(new Date().toISOString(), id).changes > 0;
+}
+
+export function revokeOrganizationInvite(orgId, id) {
+  const stmt = db().prepare(`
+    UPDATE organization_invites SET revoked_at = ?
+    WHERE id = ? AND org_id = ? AND revoked_at IS NULL
+  `);
+  return stmt.run(new Date().toISOString(), id, orgId).changes > 0;
+}
+
 // Check if user has feature access
 export function hasFeature(user, feature) {
   const license = getLicenseForUser(user);
   return license.features.includes(feature);
 }
 
-export default db;
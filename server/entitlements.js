@@ -0,0 +1,68 @@
+import { getUserById, getLicenseForUser } from './db.js';
+
+// ==================== RELAY ENTITLEMENTS ====================
+// The relay checks commands against the license of the account that owns the
+// session: the signed-in browser display for a room, the registered owner for
+// a desktop. Commands not listed here are available on every tier.
+
+// Web remote: controller -> browser
+const ROOM_COMMAND_FEATURES = {
+  keyboard: 'keyboard',
+  switchTab: 'tab_switch',
+  openTab: 'open_tab'
+};
+
+// Site-specific actions need the matching site feature
+const SITE_FEATURES = ['youtube', 'netflix', 'slides', 'zoom', 'meet'];
+
+// Desktop streaming: phone -> desktop
+const DESKTOP_COMMAND_FEATURES = {
+  'file-start': 'file_transfer',
+  'file-chunk': 'file_transfer',
+  'file-end': 'file_transfer',
+  'file-request': 'file_transfer',
+  'clipboard-get': 'clipboard',
+  'clipboard-set': 'clipboard',
+  'wake': 'system_controls',
+  'lock-screen': 'system_controls'
+};
+
+// How long a socket trusts its looked-up license before checking again
+const LICENSE_CACHE_MS = 60 * 1000;
+
+export function getRequiredRoomFeature(msg) {
+  if (msg.type === 'action') {
+    const action = String(msg.action).toLowerCase();
+    return SITE_FEATURES.find(site => action.includes(site)) || null;
+  }
+  return ROOM_COMMAND_FEATURES[msg.type] || null;
+}
+
+export function getRequiredDesktopFeature(msg) {
+  return DESKTOP_COMMAND_FEATURES[msg.type] || null;
+}
+
+// License governing a session, cached on the socket that sends the commands.
+// Sessions without an account get the free tier.
+export function getSessionLicense(ws, userId) {
+  const cached = ws.licenseCache;
+  if (cached && cached.userId === userId && Date.now() - cached.checkedAt < LICENSE_CACHE_MS) {
+    return cached.license;
+  }
+
+  const user = userId ? getUserById(userId) : null;
+  const license = getLicenseForUser(user);
+  ws.licenseCache = { userId, license, checkedAt: Date.now() };
+  return license;
+}
+
+// Frame sent back to a phone whose command the owner's tier doesn't include
+export function upgradeRequiredFrame(feature, license, userId) {
+  return JSON.stringify({
+    type: 'upgradeRequired',
+    feature,
+    tier: license.tier,
+    signInRequired: !userId,
+    upgradeUrl: '/upgrade'
+  });
+}
@@ -10,34 +10,146 @@ import os from 'os';
 // Import new modules
 import {
   getUserById,
-  getUserByEmail,
   getLicenseForUser,
-  updateUserSubscription,
-  createSubscription,
-  updateSubscriptionStatus,
-  getUserByStripeCustomerId,
   FEATURES,
   // Admin functions
   getAllUsers,
   getAllSubscriptions,
   getAdminStats,
   getRecentDownloads,
-  trackDownload,
-  trackPageView
+  // Sessions
+  getSessionById,
+  getActiveSessionsForUser,
+  revokeSession,
+  // Computers
+  saveComputer,
+  getComputerOwner,
+  getComputerByUserAndId,
+  getComputersForUser,
+  updateComputerLastConnected,
+  renameComputer,
+  deleteComputer,
+  // Organizations
+  getOrganizationById,
+  getAllOrganizations
 } from './db.js';
-import { authenticateWithGoogle, verifyToken, authMiddleware } from './auth.js';
+import {
+  authenticateWithGoogle,
+  requestEmailSignIn,
+  authenticateWithEmail,
+  startDeviceLink,
+  approveDeviceLinkForUser,
+  pollDeviceLink,
+  refreshUserSession,
+  getSessionForRefreshToken,
+  verifyAccessToken,
+  authMiddleware,
+  generateDesktopToken,
+  verifyDesktopToken
+} from './auth.js';
 import {
   createCheckoutSession,
+  createTeamCheckoutSession,
+  updateSubscriptionSeats,
   createPortalSession,
+  findPromotionCode,
   getCheckoutSession,
   constructWebhookEvent,
-  stripe
+  isWebhookEnabled
 } from './stripe.js';
+import {
+  createRoom,
+  getRoom,
+  updateRoom,
+  deleteRoom,
+  getRoomCount,
+  getControllerUrl,
+  verifyOwnerToken,
+  verifyPairingSecret,
+  rotatePairingSecret,
+  roomScope,
+  desktopScope,
+  userScope,
+  attachSocket,
+  detachSocket,
+  getMembers,
+  updateMember,
+  removeMember,
+  sendToMembers,
+  sendControl,
+  onControl,
+  trackSessionSocket,
+  untrackSessionSocket,
+  closeSessionSockets,
+  JOIN_ERRORS
+} from './rooms.js';
+import {
+  getRequiredRoomFeature,
+  getRequiredDesktopFeature,
+  getSessionLicense,
+  upgradeRequiredFrame
+} from './entitlements.js';
+import {
+  createOrganizationForUser,
+  getOrganizationForUser,
+  describeOrganization,
+  requireManager,
+  parseSeatCount,
+  checkSeatCountChange,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  acceptInvite,
+  assignMemberSeat,
+  removeMemberSeat,
+  leaveOrRemoveMember,
+  syncOrganizationSubscription
+} from './orgs.js';
+import { handleStripeEvent } from './stripe-webhook.js';
+import { applyReferralCredits, getReferralSummary } from './referrals.js';
+import { applyDeviceTrialPolicy, getCheckoutTrialDays, getPublicTrialPolicy } from './trials.js';
+import {
+  getUserDetail,
+  grantTrial,
+  compLifetime,
+  forceDowngrade,
+  deleteUser,
+  updateOrganization,
+  assignOrganizationSeat,
+  removeOrganizationSeat,
+  listAuditLog
+} from './admin.js';
+import {
+  recordPageView,
+  recordDownload,
+  startAnalyticsPurge,
+  parseAnalyticsQuery,
+  getTimeSeries,
+  getFunnel,
+  getReferrers,
+  toCsv
+} from './analytics.js';
+import {
+  adminAuth,
+  signInAdmin,
+  getAdminProfile,
+  changeOwnPassword,
+  listAdmins,
+  addAdmin,
+  changeAdminRole,
+  resetAdminPassword,
+  removeAdmin
+} from './admin-auth.js';
+import { exportAccountData, deleteOwnAccount } from './account.js';
+import { signLicenseToken, getLicensePublicKey, checkLicenseSigningKey } from './license-token.js';
+import { rateLimit, clientIp, trustProxySetting } from './rate-limit.js';
+import { parseMessage, PROTOCOL_ERRORS } from '../extension/protocol.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
+app.set('trust proxy', trustProxySetting());
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
@@ -45,96 +157,49 @@ const wss = new WebSocketServer({ server });
 app.post('/api/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
   const signature = req.headers['stripe-signature'];
 
-  if (!process.env.STRIPE_WEBHOOK_SECRET) {
-    console.log('Stripe webhook received (no secret configured, accepting all)');
-    // In development without webhook secret, just accept
-    return res.json({ received: true });
-  }
-
-  try {
-    const event = constructWebhookEvent(req.body, signature);
-
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        const userId = session.metadata?.userId || session.client_reference_id;
-        const planType = session.metadata?.planType;
-
-        console.log('Checkout completed:', { userId, planType });
-
-        if (userId) {
-          const tier = planType === 'lifetime' ? 'lifetime' : 'pro';
-          updateUserSubscription(userId, tier, session.customer);
-
-          if (planType === 'monthly' && session.subscription) {
-            const subscription = await stripe.subscriptions.retrieve(session.subscription);
-            createSubscription({
-              userId,
-              stripeSubscriptionId: subscription.id,
-              planType: 'monthly',
-              status: 'active',
-              periodStart: new Date(subscription.current_period_start * 1000).toISOString(),
-              periodEnd: new Date(subscription.current_period_end * 1000).toISOString()
-            });
-          } else if (planType === 'lifetime') {
-            createSubscription({
-              userId,
-              stripeSubscriptionId: null,
-              planType: 'lifetime',
-              status: 'active',
-              periodStart: new Date().toISOString(),
-              periodEnd: null
-            });
-          }
-        }
-        break;
-      }
-
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        if (invoice.subscription) {
-          updateSubscriptionStatus(invoice.subscription, 'past_due');
-        }
-        break;
-      }
+  if (!isWebhookEnabled()) {
+    return res.status(503).json({ error: 'Stripe webhooks are not configured' });
+  }
+  if (!signature) {
+    return res.status(400).json({ error: 'Missing Stripe-Signature header' });
+  }
 
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        updateSubscriptionStatus(subscription.id, 'canceled', new Date().toISOString());
+  let event;
+  try {
+    event = constructWebhookEvent(req.body, signature);
+  } catch (err) {
+    console.error('Webhook signature error:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
 
-        // Downgrade user to free
-        const user = getUserByStripeCustomerId(subscription.customer);
-        if (user) {
-          updateUserSubscription(user.id, 'free');
-        }
-        break;
-      }
+  try {
+    const result = await handleStripeEvent(event);
 
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        if (subscription.status === 'active') {
-          updateSubscriptionStatus(subscription.id, 'active');
-        }
-        break;
-      }
+    // Another delivery of this event is mid-flight; have Stripe retry later
+    if (result === 'in_progress') {
+      return res.status(409).json({ error: 'Event is already being processed' });
     }
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate: result === 'duplicate' });
   } catch (err) {
-    console.error('Webhook error:', err.message);
-    res.status(400).send(`Webhook Error: ${err.message}`);
+    console.error('Webhook error:', err);
+    res.status(500).json({ error: 'Webhook handler failed' });
   }
 });
 
 app.use(express.json());
 app.use(express.static(join(__dirname, '../public')));
 
-// Rooms: { roomId: { displays: Set, controllers: Set } }
-const rooms = new Map();
-
-// Desktop streaming sessions: { computerId: { desktop: ws, phone: ws } }
-const desktopSessions = new Map();
 
+// Errors thrown with a status (see httpError in orgs.js and admin.js) are
+// the client's to see; anything else is logged and reported as `fallback`
+function sendHttpError(res, error, fallback) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
 
 // Helper to get base URL
 function getBaseUrl(req) {
@@ -154,7 +219,10 @@ app.post('/api/auth/google', async (req, res) => {
       return res.status(400).json({ error: 'Token required' });
     }
 
-    const result = await authenticateWithGoogle(token);
+    const result = await authenticateWithGoogle(token, {
+      deviceName: req.body.deviceName,
+      userAgent: req.headers['user-agent']
+    }, { referralCode: req.body.referralCode });
     res.json(result);
   } catch (error) {
     console.error('Auth error:', error);
@@ -162,6 +230,48 @@ app.post('/api/auth/google', async (req, res) => {
   }
 });
 
+// Throttle endpoints that send email or accept guessable codes
+const signInRateLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+const pollRateLimit = rateLimit({ windowMs: 60 * 1000, max: 60 });
+const adminSignInRateLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+
+// Email sign-in, step 1: mail a one-time code and magic link
+app.post('/api/auth/email/request', signInRateLimit, async (req, res) => {
+  try {
+    await requestEmailSignIn(req.body.email, { baseUrl: getBaseUrl(req) });
+    res.json({ sent: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Email sign-in request error:', error);
+    res.status(500).json({ error: 'Could not send sign-in email' });
+  }
+});
+
+// Email sign-in, step 2: exchange { email, code } or a magic-link { token }
+app.post('/api/auth/email/verify', signInRateLimit, (req, res) => {
+  try {
+    const { email, code, token, referralCode } = req.body;
+
+    if (!token && (!email || !code)) {
+      return res.status(400).json({ error: 'Email and code required' });
+    }
+
+    const result = authenticateWithEmail({ email, code, token, referralCode }, {
+      deviceName: req.body.deviceName,
+      userAgent: req.headers['user-agent']
+    });
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Email sign-in error:', error);
+    res.status(500).json({ error: 'Sign in failed' });
+  }
+});
+
 // Validate token and get license
 app.get('/api/auth/validate', authMiddleware, (req, res) => {
   try {
@@ -189,18 +299,120 @@ app.get('/api/auth/validate', authMiddleware, (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access token (and rotated refresh token)
+app.post('/api/auth/refresh', (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const result = refreshUserSession(refreshToken);
+    if (!result) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Refresh failed' });
+  }
+});
+
+// List the devices signed in to this account
+app.get('/api/auth/sessions', authMiddleware, (req, res) => {
+  try {
+    const sessions = getActiveSessionsForUser(req.userId).map(session => ({
+      id: session.id,
+      deviceName: session.device_name,
+      userAgent: session.user_agent,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      current: session.id === req.sessionId
+    }));
+    res.json({ sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Sign out a device (its access token and WebSockets stop working immediately)
+app.delete('/api/auth/sessions/:sessionId', authMiddleware, (req, res) => {
+  try {
+    const session = getSessionById(req.params.sessionId);
+    if (!session || session.user_id !== req.userId) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    revokeSession(session.id);
+    closeSessionSockets(session.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Sign out this device. Takes the refresh token so it works even after the
+// access token has expired.
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    const session = getSessionForRefreshToken(req.body.refreshToken);
+    if (session) {
+      revokeSession(session.id);
+      closeSessionSockets(session.id);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// ==================== ACCOUNT DATA ====================
+
+// Everything stored about the signed-in account, as a JSON download
+app.get('/api/account/export', authMiddleware, (req, res) => {
+  try {
+    const data = exportAccountData(req.userId);
+    res.attachment(`orbitxe-account-${data.exportedAt.slice(0, 10)}.json`);
+    res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to export account data');
+  }
+});
+
+// Delete the signed-in account. Takes { confirmEmail }, the account's email
+// typed by the user. Billing is cancelled and every session signed out.
+app.post('/api/account/delete', authMiddleware, async (req, res) => {
+  try {
+    const sessions = getActiveSessionsForUser(req.userId);
+    await deleteOwnAccount(req.userId, { confirmEmail: req.body.confirmEmail });
+    sessions.forEach(session => closeSessionSockets(session.id));
+    res.json({ success: true });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to delete account');
+  }
+});
+
 // ==================== PAYMENT ENDPOINTS ====================
 
-// Create checkout session
+// Create checkout session, optionally with a promotion code. deviceId is the
+// extension's, when it opened the upgrade page, so its trial counts too.
 app.post('/api/payment/create-checkout', authMiddleware, async (req, res) => {
   try {
-    const { planType } = req.body;
+    const { planType, promoCode, deviceId } = req.body;
 
     if (!['monthly', 'lifetime'].includes(planType)) {
       return res.status(400).json({ error: 'Invalid plan type' });
     }
 
-    const user = getUserById(req.userId);
+    let user = getUserById(req.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -211,8 +423,25 @@ app.post('/api/payment/create-checkout', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'You already have an active subscription' });
     }
 
+    let promotionCode = null;
+    if (typeof promoCode === 'string' && promoCode.trim()) {
+      promotionCode = await findPromotionCode(promoCode.trim());
+      if (!promotionCode) {
+        return res.status(400).json({ error: 'That promo code is not valid' });
+      }
+    }
+
+    // Referral credit waiting for this user goes on their balance first, so
+    // their first invoice uses it
+    if (planType === 'monthly') {
+      user = await applyReferralCredits(user.id, { createCustomerIfMissing: true });
+    }
+
     const baseUrl = getBaseUrl(req);
-    const session = await createCheckoutSession(user, planType, baseUrl);
+    const session = await createCheckoutSession(user, planType, baseUrl, {
+      promotionCodeId: promotionCode?.id,
+      trialDays: getCheckoutTrialDays(user, { deviceId: isValidDeviceId(deviceId) ? deviceId : null })
+    });
 
     res.json({ checkoutUrl: session.url });
   } catch (error) {
@@ -240,56 +469,432 @@ app.get('/api/payment/portal', authMiddleware, async (req, res) => {
   }
 });
 
-// Check license by email (for desktop app restore)
-app.post('/api/license/check', (req, res) => {
+// ==================== TEAM ENDPOINTS ====================
+// One organization per user. Owners and admins buy seats, invite people and
+// decide who holds a seat; a seat gives its holder Pro.
+
+// Create an organization owned by the signed-in user
+app.post('/api/orgs', authMiddleware, (req, res) => {
+  try {
+    const user = getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    createOrganizationForUser(user, req.body.name);
+    res.status(201).json({ organization: getOrganizationForUser(user.id) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to create organization');
+  }
+});
+
+// The signed-in user's organization, if any
+app.get('/api/orgs/mine', authMiddleware, (req, res) => {
+  try {
+    res.json({ organization: getOrganizationForUser(req.userId) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to load organization');
+  }
+});
+
+// Start the team subscription with a number of seats
+app.post('/api/orgs/:orgId/checkout', authMiddleware, async (req, res) => {
   try {
-    const { email } = req.body;
-    if (!email) {
-      return res.status(400).json({ error: 'Email required' });
+    requireManager(req.params.orgId, req.userId);
+    const org = getOrganizationById(req.params.orgId);
+    if (org.stripe_subscription_id && org.status !== 'canceled') {
+      return res.status(400).json({ error: 'This organization already has a subscription' });
     }
 
-    const user = getUserByEmail(email);
+    const seats = parseSeatCount(req.body.seats);
+    const session = await createTeamCheckoutSession(org, getUserById(req.userId), seats, getBaseUrl(req));
+    res.json({ checkoutUrl: session.url });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to create checkout session');
+  }
+});
+
+// Change how many seats the organization pays for
+app.patch('/api/orgs/:orgId/seats', authMiddleware, async (req, res) => {
+  try {
+    requireManager(req.params.orgId, req.userId);
+    const org = getOrganizationById(req.params.orgId);
+    if (!org.stripe_subscription_id || org.status === 'canceled') {
+      return res.status(400).json({ error: 'This organization has no active subscription' });
+    }
+
+    const seats = checkSeatCountChange(org.id, req.body.seats);
+    const subscription = await updateSubscriptionSeats(org.stripe_subscription_id, seats);
+    syncOrganizationSubscription(org.id, {
+      seatCount: subscription.items.data[0]?.quantity,
+      status: subscription.status
+    });
+
+    res.json({ organization: getOrganizationForUser(req.userId) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to update seats');
+  }
+});
+
+// Billing portal for the organization's subscription
+app.get('/api/orgs/:orgId/portal', authMiddleware, async (req, res) => {
+  try {
+    requireManager(req.params.orgId, req.userId);
+    const org = getOrganizationById(req.params.orgId);
+    if (!org.stripe_customer_id) {
+      return res.status(400).json({ error: 'No subscription found' });
+    }
+
+    const session = await createPortalSession(org.stripe_customer_id, `${getBaseUrl(req)}/team`);
+    res.json({ portalUrl: session.url });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to create portal session');
+  }
+});
+
+// Pending invites
+app.get('/api/orgs/:orgId/invites', authMiddleware, (req, res) => {
+  try {
+    res.json({ invites: listInvites(req.params.orgId, req.userId) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to list invites');
+  }
+});
+
+// Create an invite link, optionally locked to one email address
+app.post('/api/orgs/:orgId/invites', authMiddleware, (req, res) => {
+  try {
+    const invite = createInvite(req.params.orgId, req.userId, req.body, { baseUrl: getBaseUrl(req) });
+    res.status(201).json({ invite });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to create invite');
+  }
+});
+
+app.delete('/api/orgs/:orgId/invites/:inviteId', authMiddleware, (req, res) => {
+  try {
+    revokeInvite(req.params.orgId, req.userId, req.params.inviteId);
+    res.json({ success: true });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to revoke invite');
+  }
+});
+
+// Accept an invite link
+app.post('/api/orgs/join', authMiddleware, (req, res) => {
+  try {
+    const user = getUserById(req.userId);
     if (!user) {
-      return res.status(404).json({ error: 'No account found with this email' });
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const license = getLicenseForUser(user);
+    const organization = acceptInvite(user, req.body.invite);
+    res.json({ organization, license: getLicenseForUser(user) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to join organization');
+  }
+});
 
-    if (license.tier === 'free') {
-      return res.status(404).json({ error: 'No active subscription' });
+// Give a member a seat
+app.post('/api/orgs/:orgId/members/:userId/seat', authMiddleware, (req, res) => {
+  try {
+    assignMemberSeat(req.params.orgId, req.userId, req.params.userId);
+    res.json({ organization: getOrganizationForUser(req.userId) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to assign seat');
+  }
+});
+
+// Take a member's seat back
+app.delete('/api/orgs/:orgId/members/:userId/seat', authMiddleware, (req, res) => {
+  try {
+    removeMemberSeat(req.params.orgId, req.userId, req.params.userId);
+    res.json({ organization: getOrganizationForUser(req.userId) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to remove seat');
+  }
+});
+
+// Remove a member, or leave the organization
+app.delete('/api/orgs/:orgId/members/:userId', authMiddleware, (req, res) => {
+  try {
+    leaveOrRemoveMember(req.params.orgId, req.userId, req.params.userId);
+    res.json({ organization: getOrganizationForUser(req.userId) });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to remove member');
+  }
+});
+
+// ==================== REFERRALS ====================
+
+// The signed-in user's referral link and how it's doing
+app.get('/api/referrals', authMiddleware, (req, res) => {
+  try {
+    const user = getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
+    res.json(getReferralSummary(user, { baseUrl: getBaseUrl(req) }));
+  } catch (error) {
+    console.error('Referrals error:', error);
+    res.status(500).json({ error: 'Failed to load referrals' });
+  }
+});
+
+// ==================== DESKTOP LICENSES ====================
+// The desktop app holds a signed license token bound to its device ID and
+// verifies it offline. It gets one by signing in (emailed code) or by being
+// approved from a signed-in browser (device link).
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+// The license for one device and its signed token. Trials are limited to
+// one per device, so this can differ from the account's license.
+function issueDeviceLicense(user, deviceId) {
+  const license = applyDeviceTrialPolicy(user, getLicenseForUser(user), deviceId);
+  return { license, licenseToken: signLicenseToken({ user, license, deviceId }) };
+}
+
+// Trial length and features, for clients to show before sign-in
+app.get('/api/license/trial-policy', (req, res) => {
+  res.json(getPublicTrialPolicy());
+});
+
+// Public half of the license signing key
+app.get('/api/license/public-key', (req, res) => {
+  try {
+    res.type('text/plain').send(getLicensePublicKey());
+  } catch (error) {
+    console.error('License public key error:', error);
+    res.status(500).json({ error: 'License signing is not configured' });
+  }
+});
+
+// Issue a license token for this device
+app.post('/api/license/token', authMiddleware, (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: 'Valid device ID required' });
+    }
+
+    const user = getUserById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(issueDeviceLicense(user, deviceId));
+  } catch (error) {
+    console.error('License token error:', error);
+    res.status(500).json({ error: 'Failed to issue license' });
+  }
+});
+
+// Device link, step 1 (desktop): get a code to show the user
+app.post('/api/license/link', signInRateLimit, (req, res) => {
+  try {
+    const { deviceId, deviceName } = req.body;
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: 'Valid device ID required' });
+    }
+
+    const link = startDeviceLink({ deviceId, deviceName });
+    res.json({ ...link, verificationUrl: `${getBaseUrl(req)}/link` });
+  } catch (error) {
+    console.error('Device link error:', error);
+    res.status(500).json({ error: 'Failed to start device link' });
+  }
+});
+
+// Device link, step 2 (signed-in browser): approve the code
+app.post('/api/license/link/approve', authMiddleware, signInRateLimit, (req, res) => {
+  try {
+    const link = approveDeviceLinkForUser(req.body.userCode, req.userId);
+    if (!link) {
+      return res.status(404).json({ error: 'Code not found or expired' });
+    }
+    res.json({ success: true, deviceName: link.device_name });
+  } catch (error) {
+    console.error('Device link approve error:', error);
+    res.status(500).json({ error: 'Failed to approve device' });
+  }
+});
+
+// Device link, step 3 (desktop): poll until approved, then receive a
+// session and a license token for the device
+app.post('/api/license/link/poll', pollRateLimit, (req, res) => {
+  try {
+    const result = pollDeviceLink(req.body.pollToken);
+    if (!result) {
+      return res.status(404).json({ error: 'Unknown device link' });
+    }
+    if (result.status === 'pending') {
+      return res.status(202).json({ status: 'pending' });
+    }
+    if (result.status === 'expired') {
+      return res.status(410).json({ status: 'expired', error: 'Device link expired' });
+    }
+
+    const { link, ...auth } = result;
+    const user = getUserById(auth.user.id);
+    res.json({
+      ...auth,
+      ...issueDeviceLicense(user, link.device_id)
+    });
+  } catch (error) {
+    console.error('Device link poll error:', error);
+    res.status(500).json({ error: 'Failed to check device link' });
+  }
+});
+
+// ==================== COMPUTER ENDPOINTS ====================
+
+const COMPUTER_ID_PATTERN = /^[A-Z0-9]{4,16}$/;
+const MAX_COMPUTER_NAME_LENGTH = 64;
+
+// Whether a desktop currently holds the signaling slot for this code
+function isComputerOnline(computerId) {
+  return getMembers(desktopScope(computerId), { role: 'desktop' }).length > 0;
+}
+
+function formatComputer(computer) {
+  return {
+    computerId: computer.computer_id,
+    name: computer.name,
+    createdAt: computer.created_at,
+    lastConnected: computer.last_connected,
+    online: isComputerOnline(computer.computer_id)
+  };
+}
+
+// List the signed-in user's computers
+app.get('/api/computers', authMiddleware, (req, res) => {
+  try {
+    const computers = getComputersForUser(req.userId).map(formatComputer);
+    res.json({ computers });
+  } catch (error) {
+    console.error('List computers error:', error);
+    res.status(500).json({ error: 'Failed to list computers' });
+  }
+});
+
+// Which of the signed-in user's computers have a live desktop right now
+app.get('/api/computers/presence', authMiddleware, (req, res) => {
+  try {
+    const computers = getComputersForUser(req.userId).map(c => ({
+      computerId: c.computer_id,
+      online: isComputerOnline(c.computer_id)
+    }));
+    res.json({ computers });
+  } catch (error) {
+    console.error('Presence error:', error);
+    res.status(500).json({ error: 'Failed to load presence' });
+  }
+});
+
+// Register a computer (desktop app, once signed in). Returns the token the
+// desktop presents when it connects for streaming.
+app.post('/api/computers', authMiddleware, (req, res) => {
+  try {
+    const computerId = String(req.body.computerId || '').toUpperCase();
+    const { name } = req.body;
+
+    if (!COMPUTER_ID_PATTERN.test(computerId)) {
+      return res.status(400).json({ error: 'Invalid computer ID' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > MAX_COMPUTER_NAME_LENGTH)) {
+      return res.status(400).json({ error: 'Invalid computer name' });
+    }
+
+    const owner = getComputerOwner(computerId);
+    if (owner && owner.user_id !== req.userId) {
+      return res.status(409).json({ error: 'This computer is registered to another account' });
+    }
+
+    const computer = saveComputer({ userId: req.userId, computerId, name: name || owner?.name });
+    publishComputerList(req.userId);
     res.json({
-      tier: license.tier,
-      expiresAt: license.expiresAt || license.trialEndsAt
+      computer: formatComputer(computer),
+      desktopToken: generateDesktopToken(computer)
+    });
+  } catch (error) {
+    console.error('Register computer error:', error);
+    res.status(500).json({ error: 'Failed to register computer' });
+  }
+});
+
+// Rename a computer
+app.patch('/api/computers/:computerId', authMiddleware, (req, res) => {
+  try {
+    const { name } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_COMPUTER_NAME_LENGTH) {
+      return res.status(400).json({ error: 'Invalid computer name' });
+    }
+
+    if (!getComputerByUserAndId(req.userId, req.params.computerId)) {
+      return res.status(404).json({ error: 'Computer not found' });
+    }
+
+    const computer = renameComputer(req.userId, req.params.computerId, name.trim());
+    publishComputerList(req.userId);
+    res.json({ computer: formatComputer(computer) });
+  } catch (error) {
+    console.error('Rename computer error:', error);
+    res.status(500).json({ error: 'Failed to rename computer' });
+  }
+});
+
+// Remove a computer. Its desktop token stops working and a live desktop is disconnected.
+app.delete('/api/computers/:computerId', authMiddleware, (req, res) => {
+  try {
+    const computer = getComputerByUserAndId(req.userId, req.params.computerId);
+    if (!computer) {
+      return res.status(404).json({ error: 'Computer not found' });
+    }
+
+    deleteComputer(req.userId, computer.computer_id);
+    publishComputerList(req.userId);
+
+    const scope = desktopScope(computer.computer_id);
+    getMembers(scope, { role: 'desktop' }).forEach(m => {
+      sendControl(scope, m.socketId, 'unregistered');
     });
+
+    res.json({ success: true });
   } catch (error) {
-    console.error('License check error:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Remove computer error:', error);
+    res.status(500).json({ error: 'Failed to remove computer' });
   }
 });
 
 // ==================== EXISTING ROUTES ====================
 
 // Create room
+// The owner token is only returned here; the display presents it on join.
+// The pairing secret is embedded in controllerUrl (the QR code).
 app.post('/api/rooms', (req, res) => {
-  const roomId = nanoid(6).toUpperCase();
+  const room = createRoom();
   const baseUrl = getBaseUrl(req);
 
-  rooms.set(roomId, {
-    displays: new Set(),
-    controllers: new Set(),
-    activeTab: null,
-    createdAt: Date.now()
-  });
-
   res.json({
-    roomId,
-    controllerUrl: `${baseUrl}/remote/${roomId}`,
-    websocketUrl: `${baseUrl.replace(/^http/, 'ws')}/ws/${roomId}`
+    roomId: room.id,
+    ownerToken: room.ownerToken,
+    pairingSecret: room.pairingSecret,
+    controllerUrl: getControllerUrl(baseUrl, room),
+    websocketUrl: `${baseUrl.replace(/^http/, 'ws')}/ws/${room.id}`
   });
 });
 
+// QR code drawing for the TV dashboard, shared with the extension
+app.get('/qr.js', (req, res) => {
+  res.sendFile(join(__dirname, '../extension/qr.js'));
+});
+
 // Controller route (browser extension)
 app.get('/remote/:roomId', (req, res) => {
   res.sendFile(join(__dirname, '../public/remote.html'));
@@ -315,6 +920,21 @@ app.get('/upgrade', (req, res) => {
   res.sendFile(join(__dirname, '../public/upgrade.html'));
 });
 
+// Magic-link landing page for email sign-in
+app.get('/signin', (req, res) => {
+  res.sendFile(join(__dirname, '../public/signin.html'));
+});
+
+// Approve a desktop app from a signed-in browser
+app.get('/link', (req, res) => {
+  res.sendFile(join(__dirname, '../public/link.html'));
+});
+
+// Team management and invite links
+app.get('/team', (req, res) => {
+  res.sendFile(join(__dirname, '../public/team.html'));
+});
+
 // OrbitEN Connect page
 app.get('/connect', (req, res) => {
   res.sendFile(join(__dirname, '../public/connect.html'));
@@ -332,20 +952,11 @@ app.get('/payment/cancel', (req, res) => {
 // ==================== TV DASHBOARD ====================
 
 // TV Dashboard - auto create room
+// Credentials go in the URL fragment so they never reach server logs
 app.get('/tv', (req, res) => {
-  const roomId = nanoid(6).toUpperCase();
-  const baseUrl = getBaseUrl(req);
-
-  rooms.set(roomId, {
-    displays: new Set(),
-    controllers: new Set(),
-    tvDisplays: new Set(),
-    activeTab: null,
-    activeApp: null,
-    createdAt: Date.now()
-  });
+  const room = createRoom({ activeApp: null });
 
-  res.redirect(`/tv/${roomId}`);
+  res.redirect(`/tv/${room.id}#owner=${room.ownerToken}&key=${encodeURIComponent(room.pairingSecret)}`);
 });
 
 // TV Dashboard with room ID
@@ -355,7 +966,7 @@ app.get('/tv/:roomId', (req, res) => {
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', rooms: rooms.size });
+  res.json({ status: 'ok', rooms: getRoomCount() });
 });
 
 // Get local network info for local sync
@@ -377,24 +988,29 @@ function getLocalIPs() {
 }
 
 // ==================== ADMIN ENDPOINTS ====================
+// Each route names the least admin role it needs (see admin-auth.js)
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'orbitxe-admin-2024';
-
-// Admin auth middleware
-function adminAuth(req, res, next) {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Admin authentication required' });
+// Admin sign-in: { email, password }
+app.post('/api/admin/session', adminSignInRateLimit, (req, res) => {
+  try {
+    res.json(signInAdmin(req.body.email, req.body.password, { ipAddress: clientIp(req) }));
+  } catch (error) {
+    sendHttpError(res, error, 'Admin sign-in failed');
   }
+});
+
+app.get('/api/admin/me', adminAuth('viewer'), (req, res) => {
+  res.json(getAdminProfile(req.admin));
+});
 
-  const password = authHeader.split(' ')[1];
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid admin password' });
+// Change your own admin password: { currentPassword, newPassword }
+app.post('/api/admin/me/password', adminAuth('viewer'), (req, res) => {
+  try {
+    res.json(changeOwnPassword(req.adminActor, req.admin, req.body));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to change password');
   }
-
-  next();
-}
+});
 
 // Admin dashboard page
 app.get('/admin', (req, res) => {
@@ -402,7 +1018,7 @@ app.get('/admin', (req, res) => {
 });
 
 // Admin stats
-app.get('/api/admin/stats', adminAuth, (req, res) => {
+app.get('/api/admin/stats', adminAuth('viewer'), (req, res) => {
   try {
     const stats = getAdminStats();
     res.json(stats);
@@ -413,7 +1029,7 @@ app.get('/api/admin/stats', adminAuth, (req, res) => {
 });
 
 // Admin users list
-app.get('/api/admin/users', adminAuth, (req, res) => {
+app.get('/api/admin/users', adminAuth('viewer'), (req, res) => {
   try {
     const users = getAllUsers();
     res.json(users);
@@ -424,7 +1040,7 @@ app.get('/api/admin/users', adminAuth, (req, res) => {
 });
 
 // Admin subscriptions list
-app.get('/api/admin/subscriptions', adminAuth, (req, res) => {
+app.get('/api/admin/subscriptions', adminAuth('viewer'), (req, res) => {
   try {
     const subscriptions = getAllSubscriptions();
     res.json(subscriptions);
@@ -434,8 +1050,157 @@ app.get('/api/admin/subscriptions', adminAuth, (req, res) => {
   }
 });
 
+// Admin view of one account: computers, subscription history, trial
+// extensions and what support has done to it
+app.get('/api/admin/users/:userId', adminAuth('viewer'), (req, res) => {
+  try {
+    res.json(getUserDetail(req.params.userId));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to get user');
+  }
+});
+
+// Admin account actions, each recorded in the audit log. Bodies take an
+// optional { reason }.
+app.post('/api/admin/users/:userId/trial', adminAuth('support'), (req, res) => {
+  try {
+    res.json(grantTrial(req.adminActor, req.params.userId, req.body));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to extend trial');
+  }
+});
+
+app.post('/api/admin/users/:userId/lifetime', adminAuth('owner'), async (req, res) => {
+  try {
+    res.json(await compLifetime(req.adminActor, req.params.userId, req.body));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to grant lifetime license');
+  }
+});
+
+app.post('/api/admin/users/:userId/downgrade', adminAuth('support'), async (req, res) => {
+  try {
+    res.json(await forceDowngrade(req.adminActor, req.params.userId, req.body));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to downgrade user');
+  }
+});
+
+app.delete('/api/admin/users/:userId', adminAuth('owner'), async (req, res) => {
+  try {
+    const sessions = getActiveSessionsForUser(req.params.userId);
+    const detail = await deleteUser(req.adminActor, req.params.userId, req.body || {});
+    sessions.forEach(session => closeSessionSockets(session.id));
+    res.json(detail);
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to delete user');
+  }
+});
+
+// Admin audit log, newest first
+app.get('/api/admin/audit-log', adminAuth('viewer'), (req, res) => {
+  try {
+    res.json(listAuditLog({ limit: req.query.limit }));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to get audit log');
+  }
+});
+
+// Admin accounts (owners only)
+app.get('/api/admin/admins', adminAuth('owner'), (req, res) => {
+  try {
+    res.json(listAdmins());
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to get admins');
+  }
+});
+
+// Add an admin: { email, role }. The response carries a one-time password.
+app.post('/api/admin/admins', adminAuth('owner'), (req, res) => {
+  try {
+    res.json(addAdmin(req.adminActor, req.body));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to add admin');
+  }
+});
+
+app.patch('/api/admin/admins/:userId', adminAuth('owner'), (req, res) => {
+  try {
+    res.json(changeAdminRole(req.adminActor, req.params.userId, req.body.role));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to change role');
+  }
+});
+
+app.post('/api/admin/admins/:userId/password', adminAuth('owner'), (req, res) => {
+  try {
+    res.json(resetAdminPassword(req.adminActor, req.params.userId));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to reset password');
+  }
+});
+
+app.delete('/api/admin/admins/:userId', adminAuth('owner'), (req, res) => {
+  try {
+    removeAdmin(req.adminActor, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to remove admin');
+  }
+});
+
+// Admin organizations list
+app.get('/api/admin/orgs', adminAuth('viewer'), (req, res) => {
+  try {
+    res.json(getAllOrganizations());
+  } catch (error) {
+    console.error('Admin orgs error:', error);
+    res.status(500).json({ error: 'Failed to get organizations' });
+  }
+});
+
+// Admin organization detail with members and seats
+app.get('/api/admin/orgs/:orgId', adminAuth('viewer'), (req, res) => {
+  try {
+    const organization = describeOrganization(req.params.orgId);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    res.json(organization);
+  } catch (error) {
+    console.error('Admin org error:', error);
+    res.status(500).json({ error: 'Failed to get organization' });
+  }
+});
+
+// Admin seat count override (e.g. invoiced teams billed outside Stripe)
+app.patch('/api/admin/orgs/:orgId', adminAuth('owner'), (req, res) => {
+  try {
+    res.json(updateOrganization(req.adminActor, req.params.orgId, req.body));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to update organization');
+  }
+});
+
+// Admin seat assignment
+app.post('/api/admin/orgs/:orgId/members/:userId/seat', adminAuth('support'), (req, res) => {
+  try {
+    res.json(assignOrganizationSeat(req.adminActor, req.params.orgId, req.params.userId));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to assign seat');
+  }
+});
+
+app.delete('/api/admin/orgs/:orgId/members/:userId/seat', adminAuth('support'), (req, res) => {
+  try {
+    res.json(removeOrganizationSeat(req.adminActor, req.params.orgId, req.params.userId));
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to remove seat');
+  }
+});
+
 // Admin recent downloads
-app.get('/api/admin/downloads', adminAuth, (req, res) => {
+app.get('/api/admin/downloads', adminAuth('viewer'), (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const downloads = getRecentDownloads(limit);
@@ -446,44 +1211,64 @@ app.get('/api/admin/downloads', adminAuth, (req, res) => {
   }
 });
 
-// Track download (public endpoint - called when user downloads)
-app.post('/api/track-download', (req, res) => {
+// Analytics reports take ?from=&to= (YYYY-MM-DD, default the last 30 days)
+// and come back as JSON, or as a CSV download with ?format=csv
+function sendAnalytics(req, res, name, report, columns, rows) {
+  if (req.query.format !== 'csv') return res.json(report);
+
+  res.attachment(`orbitxe-${name}-${report.from}-to-${report.to}.csv`);
+  res.type('text/csv').send(toCsv(columns, rows));
+}
+
+// Downloads, page views, visitors, sign-ups and new paid subscriptions per
+// period; ?interval=day|week, and ?platform= narrows the downloads
+app.get('/api/admin/analytics/timeseries', adminAuth('viewer'), (req, res) => {
   try {
-    const { platform, fileName } = req.body;
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-    const userAgent = req.headers['user-agent'];
+    const report = getTimeSeries(parseAnalyticsQuery(req.query));
+    sendAnalytics(req, res, report.interval === 'week' ? 'weekly' : 'daily', report,
+      ['period', 'downloads', 'pageViews', 'visitors', 'signups', 'newSubscriptions'], report.series);
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to get analytics');
+  }
+});
 
-    trackDownload({
-      platform: platform || 'unknown',
-      fileName: fileName || 'unknown',
-      ipAddress,
-      userAgent,
-      country: null // Could use IP geolocation service
-    });
+// Trial-to-paid funnel for the users who signed up in the range
+app.get('/api/admin/analytics/funnel', adminAuth('viewer'), (req, res) => {
+  try {
+    const report = getFunnel(parseAnalyticsQuery(req.query));
+    sendAnalytics(req, res, 'funnel', report, ['step', 'users', 'percent'], report.steps);
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to get funnel');
+  }
+});
 
-    res.json({ success: true });
+// Page views by referring site
+app.get('/api/admin/analytics/referrers', adminAuth('viewer'), (req, res) => {
+  try {
+    const report = getReferrers(parseAnalyticsQuery(req.query), { siteHost: req.hostname, limit: req.query.limit });
+    sendAnalytics(req, res, 'referrers', report, ['referrer', 'views', 'visitors'], report.referrers);
+  } catch (error) {
+    sendHttpError(res, error, 'Failed to get referrers');
+  }
+});
+
+// Track download (public endpoint - called when user downloads). Honors the
+// same opt-outs as page views.
+app.post('/api/track-download', (req, res) => {
+  try {
+    res.json({ success: true, tracked: recordDownload(req) });
   } catch (error) {
     console.error('Track download error:', error);
     res.status(500).json({ error: 'Failed to track download' });
   }
 });
 
-// Track page view (public endpoint - called on page load)
+// Track page view (public endpoint - called on page load). Nothing is
+// recorded with Do Not Track or Global Privacy Control on, or when the
+// page sends { consent: false }.
 app.post('/api/track-view', (req, res) => {
   try {
-    const { page } = req.body;
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-    const userAgent = req.headers['user-agent'];
-    const referrer = req.headers['referer'] || null;
-
-    trackPageView({
-      page: page || '/',
-      ipAddress,
-      userAgent,
-      referrer
-    });
-
-    res.json({ success: true });
+    res.json({ success: true, tracked: recordPageView(req) });
   } catch (error) {
     console.error('Track view error:', error);
     res.status(500).json({ error: 'Failed to track view' });
@@ -525,85 +1310,300 @@ app.get('/api/network', (req, res) => {
 });
 
 // ==================== DESKTOP STREAMING ====================
-// Handle WebRTC signaling for desktop-to-phone streaming
+// Handle WebRTC signaling for desktop-to-phone streaming.
+// A session holds one desktop and any number of phone viewers. Each viewer
+// negotiates its own peer connection (messages carry its viewerId) and only
+// the viewer holding the controller role may send input to the desktop.
 
-function handleDesktopConnection(ws, code, role) {
+// Messages a view-only viewer may still send (its own WebRTC negotiation)
+const VIEWER_MESSAGES = ['webrtc-answer', 'webrtc-ice'];
+
+function handleDesktopConnection(ws, code, role, { mode, token }) {
   console.log(`[Desktop] ${code} - ${role} connected`);
 
-  // Create session if doesn't exist
-  if (!desktopSessions.has(code)) {
-    desktopSessions.set(code, { desktop: null, phone: null, computerId: code });
+  if (role === 'desktop') {
+    handleDesktopHost(ws, code, token);
+  } else {
+    handleDesktopViewer(ws, code, mode);
   }
-  const session = desktopSessions.get(code);
+}
 
-  // Set up the connection based on role
-  if (role === 'desktop') {
-    session.desktop = ws;
-    // Notify phone if already connected
-    if (session.phone?.readyState === 1) {
-      session.phone.send(JSON.stringify({ type: 'desktop-connected' }));
-      ws.send(JSON.stringify({ type: 'phone-connected' }));
-    }
-  } else if (role === 'phone') {
-    session.phone = ws;
-    // Notify desktop if already connected
-    if (session.desktop?.readyState === 1) {
-      session.desktop.send(JSON.stringify({ type: 'phone-connected' }));
-      ws.send(JSON.stringify({ type: 'desktop-connected' }));
-    }
+// Desktops prove they own their code with the token issued at their latest
+// registration
+function authenticateDesktop(code, token) {
+  const decoded = token ? verifyDesktopToken(token) : null;
+  if (!decoded || decoded.computerId !== code) return null;
+  const computer = getComputerByUserAndId(decoded.ownerId, code);
+  if (!computer || (decoded.nonce || null) !== computer.token_nonce) return null;
+  return computer;
+}
+
+function handleDesktopHost(ws, code, token) {
+  const scope = desktopScope(code);
+
+  const computer = authenticateDesktop(code, token);
+  if (!computer) {
+    console.log(`[Desktop] ${code} - desktop rejected (not registered to this token)`);
+    ws.send(JSON.stringify({ type: 'auth-failed', reason: 'Sign in to register this computer' }));
+    ws.close(4001, 'auth-failed');
+    return;
+  }
+  updateComputerLastConnected(computer.user_id, code);
+
+  // A new desktop takes over the session from any previous one
+  getMembers(scope, { role: 'desktop' }).forEach(m => {
+    removeMember(scope, m.socketId);
+    sendControl(scope, m.socketId, 'replaced');
+  });
+  attachSocket(scope, ws, { role: 'desktop', ownerId: computer.user_id });
+  publishPresence(computer.user_id, code, true);
+
+  // Introduce every viewer that is already waiting
+  const viewers = getMembers(scope, { role: 'phone' });
+  if (viewers.length > 0) {
+    sendToMembers(scope, { role: 'phone' }, JSON.stringify({ type: 'desktop-connected' }));
+    viewers.forEach(v => {
+      ws.send(JSON.stringify({ type: 'viewer-joined', viewerId: v.viewerId, role: v.viewerRole }));
+    });
   }
 
-  // Relay all messages between desktop and phone
   ws.on('message', (data, isBinary) => {
-    const s = desktopSessions.get(code);
-    if (!s) return;
+    if (isBinary) {
+      sendToMembers(scope, { role: 'phone' }, data, { binary: true });
+      return;
+    }
 
-    // Relay from desktop to phone
-    if (role === 'desktop' && s.phone?.readyState === 1) {
-      s.phone.send(data, { binary: isBinary });
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (e) {
+      return;
     }
-    // Relay from phone to desktop
-    else if (role === 'phone' && s.desktop?.readyState === 1) {
-      s.desktop.send(data, { binary: isBinary });
+
+    // Hand input control to another viewer
+    if (msg.type === 'set-controller') {
+      setController(scope, msg.viewerId);
+      return;
     }
+
+    // Messages addressed to one viewer (offers, ICE, replies) go only there
+    const target = typeof msg.viewerId === 'string'
+      ? { role: 'phone', viewerId: msg.viewerId }
+      : { role: 'phone' };
+    sendToMembers(scope, target, data.toString());
   });
 
-  // Handle disconnection
   ws.on('close', () => {
-    console.log(`[Desktop] ${code} - ${role} disconnected`);
-    const s = desktopSessions.get(code);
-    if (!s) return;
-
-    if (role === 'desktop') {
-      s.desktop = null;
-      if (s.phone?.readyState === 1) {
-        s.phone.send(JSON.stringify({ type: 'desktop-disconnected' }));
-      }
-    } else {
-      s.phone = null;
-      if (s.desktop?.readyState === 1) {
-        s.desktop.send(JSON.stringify({ type: 'phone-disconnected' }));
+    console.log(`[Desktop] ${code} - desktop disconnected`);
+    // Only announce if this socket still held the session
+    if (detachSocket(scope, ws)) {
+      sendToMembers(scope, { role: 'phone' }, JSON.stringify({ type: 'desktop-disconnected' }));
+      publishPresence(computer.user_id, code, false);
+    }
+  });
+}
+
+function handleDesktopViewer(ws, code, mode) {
+  const scope = desktopScope(code);
+
+  // The first viewer drives input unless it asked to watch only
+  const hasController = getMembers(scope, { role: 'phone', viewerRole: 'controller' }).length > 0;
+  const viewerRole = mode !== 'view' && !hasController ? 'controller' : 'viewer';
+
+  ws.socketId = nanoid(12);
+  attachSocket(scope, ws, { role: 'phone', viewerId: ws.socketId, viewerRole });
+  const viewerId = ws.socketId;
+
+  ws.send(JSON.stringify({ type: 'viewer-assigned', viewerId, role: viewerRole }));
+
+  const desktop = getMembers(scope, { role: 'desktop' })[0];
+  if (desktop) {
+    ws.send(JSON.stringify({ type: 'desktop-connected' }));
+    sendToMembers(scope, { role: 'desktop' }, JSON.stringify({ type: 'viewer-joined', viewerId, role: viewerRole }));
+    updateComputerLastConnected(desktop.ownerId, code);
+  }
+
+  ws.on('message', (data, isBinary) => {
+    const isController = ws.member.viewerRole === 'controller';
+
+    if (isBinary) {
+      if (isController) sendToMembers(scope, { role: 'desktop' }, data, { binary: true });
+      return;
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+    if (!msg || typeof msg !== 'object') return;
+
+    if (!isController && !VIEWER_MESSAGES.includes(msg.type)) {
+      ws.send(JSON.stringify({ type: 'error', code: 'VIEW_ONLY', message: 'Another viewer is in control' }));
+      return;
+    }
+
+    // Drop commands the desktop owner's tier doesn't include
+    const feature = getRequiredDesktopFeature(msg);
+    if (feature) {
+      const ownerId = getMembers(scope, { role: 'desktop' })[0]?.ownerId || null;
+      const license = getSessionLicense(ws, ownerId);
+      if (!license.features.includes(feature)) {
+        ws.send(upgradeRequiredFrame(feature, license, ownerId));
+        return;
       }
     }
 
-    // Clean up empty sessions
-    if (!s.desktop && !s.phone) {
-      desktopSessions.delete(code);
+    // Tag the message so the desktop knows which viewer sent it
+    sendToMembers(scope, { role: 'desktop' }, JSON.stringify({ ...msg, viewerId }));
+  });
+
+  ws.on('close', () => {
+    console.log(`[Desktop] ${code} - viewer ${viewerId} disconnected`);
+    const wasController = ws.member.viewerRole === 'controller';
+    if (!detachSocket(scope, ws)) return;
+
+    sendToMembers(scope, { role: 'desktop' }, JSON.stringify({ type: 'viewer-left', viewerId }));
+
+    // Pass control to the longest-connected remaining viewer
+    if (wasController) {
+      const next = getMembers(scope, { role: 'phone' })[0];
+      if (next) setController(scope, next.viewerId);
     }
   });
 }
 
+// Make one viewer the controller and demote whoever held the role
+function setController(scope, viewerId) {
+  const viewers = getMembers(scope, { role: 'phone' });
+  if (!viewers.some(v => v.viewerId === viewerId)) return;
+
+  viewers.forEach(v => {
+    const viewerRole = v.viewerId === viewerId ? 'controller' : 'viewer';
+    if (v.viewerRole === viewerRole) return;
+    updateMember(scope, v.socketId, { viewerRole });
+    sendControl(scope, v.socketId, 'viewer-role', { viewerRole });
+    sendToMembers(scope, { role: 'desktop' }, JSON.stringify({ type: 'viewer-role', viewerId: v.viewerId, role: viewerRole }));
+  });
+}
+
+// ==================== PRESENCE ====================
+// Signed-in phones subscribe to /presence and are told whenever one of their
+// computers comes online or goes offline, so they can pick it from a list.
+
+function publishPresence(userId, computerId, online) {
+  sendToMembers(userScope(userId), { role: 'presence' },
+    JSON.stringify({ type: 'presence', computerId, online }));
+}
+
+function presenceSnapshot(userId) {
+  return JSON.stringify({
+    type: 'presence-snapshot',
+    computers: getComputersForUser(userId).map(formatComputer)
+  });
+}
+
+// Resend the whole list after a computer is added, renamed or removed
+function publishComputerList(userId) {
+  sendToMembers(userScope(userId), { role: 'presence' }, presenceSnapshot(userId));
+}
+
+function handlePresenceConnection(ws, token) {
+  const decoded = token ? verifyAccessToken(token) : null;
+  if (!decoded) {
+    ws.send(JSON.stringify({ type: 'auth-failed', reason: 'Sign in to see your computers' }));
+    ws.close(4001, 'auth-failed');
+    return;
+  }
+
+  const scope = userScope(decoded.userId);
+  ws.scope = scope;
+  attachSocket(scope, ws, { role: 'presence' });
+  trackSessionSocket(ws, decoded.sid);
+
+  // Current state first, then changes as they happen
+  ws.send(presenceSnapshot(decoded.userId));
+
+  ws.on('close', () => {
+    untrackSessionSocket(ws);
+    detachSocket(scope, ws);
+  });
+}
+
 // ==================== WEBSOCKET ====================
 
+// Control messages from other processes aimed at one of our sockets
+// A desktop replaced by another one for the same code. It's already out of
+// the session, so closing it doesn't tell the viewers anything.
+onControl('replaced', (ws) => {
+  detachSocket(ws.scope, ws);
+  ws.send(JSON.stringify({ type: 'replaced', reason: 'This computer connected again from another window' }));
+  ws.close(4002, 'replaced');
+});
+
+// The close handler detaches the desktop and tells its viewers
+onControl('unregistered', (ws) => {
+  ws.send(JSON.stringify({ type: 'auth-failed', reason: 'This computer was removed from your account' }));
+  ws.close(4001, 'auth-failed');
+});
+
+// The session whose access token opened this socket was signed out. A room
+// display also stops carrying the account's license; it reconnects with
+// whatever token it holds now.
+onControl('session-revoked', (ws) => {
+  untrackSessionSocket(ws);
+  if (ws.member?.role === 'display') {
+    updateRoom(ws.roomId, { ownerUserId: null });
+    ws.close(4001, 'session-revoked');
+    return;
+  }
+  ws.send(JSON.stringify({ type: 'auth-failed', reason: 'This device was signed out' }));
+  ws.close(4001, 'auth-failed');
+});
+
+onControl('viewer-role', (ws, message) => {
+  ws.member.viewerRole = message.viewerRole;
+  ws.send(JSON.stringify({ type: 'viewer-role', viewerId: ws.member.viewerId, role: message.viewerRole }));
+});
+
+onControl('approved', (ws) => {
+  ws.member.status = 'active';
+  console.log(`Controller ${ws.member.deviceName} approved in room ${ws.roomId}`);
+
+  // If TV is already connected, notify this controller
+  if (getMembers(ws.scope, { role: 'display', subtype: 'tv' }).length > 0) {
+    ws.send(JSON.stringify({ type: 'tvConnected', roomId: ws.roomId }));
+  }
+
+  const counts = broadcastStatus(ws.scope);
+  ws.send(JSON.stringify({ type: 'joined', ...counts }));
+});
+
+onControl('reject', (ws, message) => {
+  ws.joined = false;
+  detachSocket(ws.scope, ws);
+  rejectJoin(ws, message.code, message.message);
+});
+
 wss.on('connection', (ws, req) => {
   const url = new URL(req.url, 'http://localhost');
-  const code = url.searchParams.get('code'); // Computer ID for desktop streaming
+  const code = url.searchParams.get('code')?.toUpperCase(); // Computer ID for desktop streaming
   const streamRole = url.searchParams.get('role'); // 'desktop' or 'phone'
+  const viewMode = url.searchParams.get('mode'); // 'view' to join without input control
+  const token = url.searchParams.get('token'); // Desktop token or, for presence, the user's token
+
+  // ==================== PRESENCE MODE ====================
+  if (url.pathname === '/presence') {
+    handlePresenceConnection(ws, token);
+    return;
+  }
 
   // ==================== DESKTOP STREAMING MODE ====================
   // If code and role params exist, this is a desktop streaming connection
   if (code && streamRole) {
-    handleDesktopConnection(ws, code, streamRole);
+    ws.scope = desktopScope(code);
+    handleDesktopConnection(ws, code, streamRole, { mode: viewMode, token });
     return;
   }
 
@@ -611,38 +1611,77 @@ wss.on('connection', (ws, req) => {
   // Otherwise, use path-based room ID for web remote
   const pathParts = req.url.split('/');
   const roomId = pathParts[pathParts.length - 1].split('?')[0]; // Remove query string
+  const scope = roomScope(roomId);
 
   ws.roomId = roomId;
-  ws.role = null;
+  ws.scope = scope;
+  ws.joined = false;
+  ws.userAgent = req.headers['user-agent'] || '';
 
   ws.on('message', (data) => {
     try {
-      const msg = JSON.parse(data);
+      // Validate against the shared schema; only declared fields survive
+      const parsed = parseMessage(data);
+      if (!parsed.valid) {
+        ws.send(JSON.stringify({ type: 'error', code: PROTOCOL_ERRORS.INVALID_MESSAGE, message: parsed.error }));
+        return;
+      }
+      const msg = parsed.message;
 
       // Handle join
-      if (msg.type === 'join') {
-        ws.role = msg.role;
-        let room = rooms.get(roomId);
+      if (msg.type === 'join' && !ws.joined) {
+        const room = getRoom(roomId);
 
         if (!room) {
-          room = { displays: new Set(), controllers: new Set(), activeTab: null, createdAt: Date.now() };
-          rooms.set(roomId, room);
+          rejectJoin(ws, JOIN_ERRORS.ROOM_NOT_FOUND, 'Room not found');
+          return;
         }
 
         if (msg.role === 'display') {
-          room.displays.add(ws);
+          if (!verifyOwnerToken(room, msg.ownerToken)) {
+            rejectJoin(ws, JOIN_ERRORS.NOT_ROOM_OWNER, 'Only the room owner can join as a display');
+            return;
+          }
+          attachSocket(scope, ws, { role: 'display', subtype: msg.subtype || null, status: 'active' });
+          ws.joined = true;
+
+          // A signed-in browser puts the room under its account's license
+          if (msg.authToken) setRoomOwnerUser(ws, msg.authToken);
+
+          // Catch the display up on controllers still waiting for approval
+          getMembers(scope, { role: 'controller', status: 'pending' }).forEach(c => {
+            ws.send(getControllerRequest(c));
+          });
+
+          const counts = broadcastStatus(scope);
+          ws.send(JSON.stringify({ type: 'joined', ...counts }));
+
+          // TV display joined - notify controllers
+          if (msg.subtype === 'tv') {
+            sendToMembers(scope, { role: 'controller', status: 'active' }, JSON.stringify({ type: 'tvConnected', roomId }));
+          }
         } else {
-          room.controllers.add(ws);
-          // If TV is already connected, notify this controller
-          const hasTv = [...room.displays].some(d => d.subtype === 'tv');
-          if (hasTv) {
-            ws.send(JSON.stringify({ type: 'tvConnected', roomId }));
+          if (!verifyPairingSecret(room, msg.pairingSecret)) {
+            rejectJoin(ws, JOIN_ERRORS.INVALID_PAIRING_SECRET, 'Invalid or expired pairing code - scan the QR code again');
+            return;
           }
-        }
 
-        // Send status to all
-        broadcastStatus(room);
-        ws.send(JSON.stringify({ type: 'joined', controllers: room.controllers.size, displays: room.displays.size }));
+          // Hold the controller until a display accepts it
+          attachSocket(scope, ws, {
+            role: 'controller',
+            status: 'pending',
+            requestId: nanoid(10),
+            deviceId: msg.deviceId || '',
+            deviceName: msg.deviceName || 'Unknown device',
+            userAgent: ws.userAgent.slice(0, 512)
+          });
+          ws.joined = true;
+
+          const displays = getMembers(scope, { role: 'display' }).length;
+          ws.send(JSON.stringify({ type: 'pendingApproval', displays }));
+          sendToMembers(scope, { role: 'display' }, getControllerRequest(ws.member));
+        }
+        return;
       }
 
       // Handle ping (keep-alive)
@@ -651,141 +1690,108 @@ wss.on('connection', (ws, req) => {
         return;
       }
 
-      // Relay messages from phone to browser
-      const room = rooms.get(roomId);
-      if (!room) return;
-
-      // Actions, mouse, keyboard, scroll - relay to displays
-      if (['action', 'mouse', 'keyboard', 'scroll', 'showCursor'].includes(msg.type)) {
-        console.log(`Relaying ${msg.type} to ${room.displays.size} displays:`, msg);
-        const payload = JSON.stringify(msg);
-        room.displays.forEach(d => {
-          if (d.readyState === 1) d.send(payload);
-        });
+      // Nothing is relayed until the socket has joined and been approved
+      if (!ws.joined || ws.member.status !== 'active') return;
+      const isDisplay = ws.member.role === 'display';
+
+      const displays = { role: 'display' };
+      const tvDisplays = { role: 'display', subtype: 'tv' };
+      const browserDisplays = { role: 'display', subtype: null };
+      const controllers = { role: 'controller', status: 'active' };
+
+      // Display accepts or denies a pending controller
+      if (msg.type === 'approveController' || msg.type === 'denyController') {
+        if (!isDisplay) return;
+        const [controller] = getMembers(scope, { role: 'controller', status: 'pending', requestId: msg.requestId });
+        if (!controller) return;
+        notifyRequestResolved(scope, msg.requestId);
+
+        if (msg.type === 'approveController') {
+          updateMember(scope, controller.socketId, { status: 'active' });
+          sendControl(scope, controller.socketId, 'approved');
+        } else {
+          console.log(`Controller ${controller.deviceName} denied in room ${roomId}`);
+          removeMember(scope, controller.socketId);
+          sendControl(scope, controller.socketId, 'reject', {
+            code: JOIN_ERRORS.CONTROLLER_DENIED,
+            message: 'The browser declined this device'
+          });
+        }
+        return;
       }
 
-      // Tab switching - relay to displays
-      if (msg.type === 'switchTab') {
-        const payload = JSON.stringify({ type: 'switchTab', tabId: msg.tabId });
-        room.displays.forEach(d => {
-          if (d.readyState === 1) d.send(payload);
-        });
+      // Browser signed in or out - display only
+      if (msg.type === 'authenticate') {
+        if (!isDisplay) return;
+        setRoomOwnerUser(ws, msg.authToken);
+        return;
       }
 
-      // Open new tab - relay to displays
-      if (msg.type === 'openTab') {
-        console.log('Opening tab:', msg.url);
-        const payload = JSON.stringify({ type: 'openTab', url: msg.url });
-        room.displays.forEach(d => {
-          if (d.readyState === 1) d.send(payload);
+      // Rotate pairing secret - display only, kicks existing controllers
+      if (msg.type === 'rotateSecret') {
+        if (!isDisplay) return;
+        const pairingSecret = rotatePairingSecret(roomId);
+        console.log(`Pairing secret rotated for room ${roomId}`);
+        sendToMembers(scope, displays, JSON.stringify({ type: 'pairingSecret', pairingSecret }));
+
+        getMembers(scope, { role: 'controller' }).forEach(c => {
+          if (c.status === 'pending') notifyRequestResolved(scope, c.requestId);
+          removeMember(scope, c.socketId);
+          sendControl(scope, c.socketId, 'reject', {
+            code: JOIN_ERRORS.PAIRING_SECRET_ROTATED,
+            message: 'The pairing code was changed - scan the new QR code'
+          });
         });
+        broadcastStatus(scope);
+        return;
       }
 
-      // Get tabs request - relay to displays
-      if (msg.type === 'getTabs') {
-        room.displays.forEach(d => {
-          if (d.readyState === 1) d.send(JSON.stringify({ type: 'getTabs' }));
-        });
+      // Commands the room owner's tier doesn't include never reach the browser
+      const feature = isDisplay ? null : getRequiredRoomFeature(msg);
+      if (feature) {
+        const ownerUserId = getRoom(roomId)?.ownerUserId || null;
+        const license = getSessionLicense(ws, ownerUserId);
+        if (!license.features.includes(feature)) {
+          ws.send(upgradeRequiredFrame(feature, license, ownerUserId));
+          return;
+        }
       }
 
-      // showKeyboard - relay to controllers (phone)
-      if (msg.type === 'showKeyboard') {
-        console.log('Relaying showKeyboard to controllers');
-        const payload = JSON.stringify({ type: 'showKeyboard' });
-        room.controllers.forEach(c => {
-          if (c.readyState === 1) c.send(payload);
-        });
+      // Actions, mouse, keyboard, scroll, tab commands - relay to displays
+      if (['action', 'mouse', 'keyboard', 'scroll', 'showCursor', 'switchTab', 'openTab', 'getTabs', 'getLicense'].includes(msg.type)) {
+        console.log(`Relaying ${msg.type} to displays`);
+        sendToMembers(scope, displays, JSON.stringify(msg));
       }
 
-      // Active tab info / tab list - relay to controllers
-      if (['activeTab', 'tabList'].includes(msg.type)) {
-        console.log(`Relaying ${msg.type} to ${room.controllers.size} controllers`);
+      // showKeyboard, active tab info, tab list, license - relay to controllers (phone)
+      if (['showKeyboard', 'activeTab', 'tabList', 'license', 'featureBlocked'].includes(msg.type)) {
+        console.log(`Relaying ${msg.type} to controllers`);
         if (msg.type === 'tabList') {
           console.log(`Tab count: ${msg.tabs?.length || 0}`);
         }
-        const payload = JSON.stringify(msg);
-        room.controllers.forEach(c => {
-          if (c.readyState === 1) {
-            console.log('Sending to controller');
-            c.send(payload);
-          }
-        });
+        sendToMembers(scope, controllers, JSON.stringify(msg));
       }
 
       // ==================== TV DASHBOARD MESSAGES ====================
 
-      // TV display joined - notify controllers
-      if (msg.type === 'join' && msg.subtype === 'tv') {
-        ws.subtype = 'tv';
-        if (room.tvDisplays) {
-          room.tvDisplays.add(ws);
-        }
-        // Notify controllers that TV is connected
-        const tvNotify = JSON.stringify({ type: 'tvConnected', roomId });
-        room.controllers.forEach(c => {
-          if (c.readyState === 1) c.send(tvNotify);
-        });
-      }
-
       // D-pad navigation - relay to TV displays AND browser extension
       if (msg.type === 'dpad') {
-        console.log('D-pad:', msg.direction);
-        const payload = JSON.stringify(msg);
-        // Send to TV displays
-        room.displays.forEach(d => {
-          if (d.readyState === 1 && d.subtype === 'tv') d.send(payload);
-        });
+        sendToMembers(scope, tvDisplays, JSON.stringify(msg));
         // Also send as action to browser extension (non-TV displays)
-        const actionPayload = JSON.stringify({ type: 'action', action: msg.direction });
-        room.displays.forEach(d => {
-          if (d.readyState === 1 && !d.subtype) d.send(actionPayload);
-        });
-      }
-
-      // Launch app - relay to TV displays
-      if (msg.type === 'launchApp') {
-        console.log('Launch app:', msg.appId);
-        room.activeApp = msg.appId;
-        const payload = JSON.stringify(msg);
-        room.displays.forEach(d => {
-          if (d.readyState === 1 && d.subtype === 'tv') d.send(payload);
-        });
-      }
-
-      // Volume control - relay to TV displays
-      if (msg.type === 'volume') {
-        console.log('Volume:', msg.action);
-        const payload = JSON.stringify(msg);
-        room.displays.forEach(d => {
-          if (d.readyState === 1 && d.subtype === 'tv') d.send(payload);
-        });
-      }
-
-      // Voice search - relay to TV displays
-      if (msg.type === 'voice') {
-        console.log('Voice search:', msg.query);
-        const payload = JSON.stringify(msg);
-        room.displays.forEach(d => {
-          if (d.readyState === 1 && d.subtype === 'tv') d.send(payload);
-        });
+        sendToMembers(scope, browserDisplays, JSON.stringify({ type: 'action', action: msg.direction }));
       }
 
-      // Home button - relay to TV displays
-      if (msg.type === 'home') {
-        console.log('Home button pressed');
-        room.activeApp = null;
-        const payload = JSON.stringify(msg);
-        room.displays.forEach(d => {
-          if (d.readyState === 1 && d.subtype === 'tv') d.send(payload);
-        });
+      // Launch app, volume, voice search, home - relay to TV displays
+      if (['launchApp', 'volume', 'voice', 'home'].includes(msg.type)) {
+        console.log(`Relaying ${msg.type} to TV displays`);
+        if (msg.type === 'launchApp') updateRoom(roomId, { activeApp: msg.appId });
+        if (msg.type === 'home') updateRoom(roomId, { activeApp: null });
+        sendToMembers(scope, tvDisplays, JSON.stringify(msg));
       }
 
       // TV state update - relay to controllers
       if (['tvState', 'nowPlaying'].includes(msg.type)) {
-        const payload = JSON.stringify(msg);
-        room.controllers.forEach(c => {
-          if (c.readyState === 1) c.send(payload);
-        });
+        sendToMembers(scope, controllers, JSON.stringify(msg));
       }
 
     } catch (e) {
@@ -794,42 +1800,88 @@ wss.on('connection', (ws, req) => {
   });
 
   ws.on('close', () => {
-    const room = rooms.get(roomId);
-    if (!room) return;
-
-    if (ws.role === 'display') {
-      room.displays.delete(ws);
-    } else {
-      room.controllers.delete(ws);
+    untrackSessionSocket(ws);
+    if (!ws.joined) return;
+    const member = ws.member;
+    detachSocket(scope, ws);
+
+    // Withdraw a request that was never answered
+    if (member.status === 'pending') {
+      notifyRequestResolved(scope, member.requestId);
     }
 
-    broadcastStatus(room);
+    broadcastStatus(scope);
 
     // Clean up empty rooms after delay
-    if (room.displays.size === 0 && room.controllers.size === 0) {
+    if (getMembers(scope).length === 0) {
       setTimeout(() => {
-        const r = rooms.get(roomId);
-        if (r && r.displays.size === 0 && r.controllers.size === 0) {
-          rooms.delete(roomId);
+        if (getMembers(scope).length === 0) {
+          deleteRoom(roomId);
         }
-      }, 60000);
+      }, 60000).unref();
     }
   });
 });
 
-function broadcastStatus(room) {
-  const status = JSON.stringify({
-    type: 'status',
-    controllers: room.controllers.size,
-    displays: room.displays.size
+// Record which account's license governs a display's room (none if the
+// token is missing or invalid). The display lasts only as long as that
+// session.
+function setRoomOwnerUser(ws, authToken) {
+  const decoded = authToken ? verifyAccessToken(authToken) : null;
+  updateRoom(ws.roomId, { ownerUserId: decoded?.userId || null });
+  trackSessionSocket(ws, decoded?.sid || null);
+}
+
+// Send a typed error frame and close a socket whose join was refused
+function rejectJoin(ws, code, message) {
+  if (ws.readyState === 1) {
+    ws.send(JSON.stringify({ type: 'error', code, message }));
+  }
+  ws.close(4001, code);
+}
+
+// Approval prompt sent to displays for a pending controller
+function getControllerRequest(controller) {
+  return JSON.stringify({
+    type: 'controllerRequest',
+    requestId: controller.requestId,
+    deviceId: controller.deviceId,
+    deviceName: controller.deviceName,
+    userAgent: controller.userAgent
   });
-  room.displays.forEach(d => d.readyState === 1 && d.send(status));
-  room.controllers.forEach(c => c.readyState === 1 && c.send(status));
 }
 
+// Tell every display a request was answered, denied or withdrawn
+function notifyRequestResolved(scope, requestId) {
+  sendToMembers(scope, { role: 'display' }, JSON.stringify({ type: 'controllerRequestResolved', requestId }));
+}
+
+// Send member counts to everyone in the room, across all processes
+function broadcastStatus(scope) {
+  const members = getMembers(scope);
+  const counts = {
+    controllers: members.filter(m => m.role === 'controller' && m.status === 'active').length,
+    displays: members.filter(m => m.role === 'display').length
+  };
+  sendToMembers(scope, { status: 'active' }, JSON.stringify({ type: 'status', ...counts }));
+  return counts;
+}
+
+// Importing this module sets up the app without listening, so routes can be
+// exercised against another database (see useDatabase in db.js)
+export { app, server };
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`
+if (process.argv[1] === __filename) {
+  try {
+    checkLicenseSigningKey();
+  } catch (error) {
+    console.error(`[License] ${error.message}`);
+    process.exit(1);
+  }
+  startAnalyticsPurge();
+  server.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                                                               ║
 ║    ██████╗ ██████╗ ██████╗ ██╗████████╗██╗  ██╗███████╗       ║
@@ -843,5 +1895,6 @@ server.listen(PORT, () => {
 ║   Server running on port ${PORT}                                 ║
 ║                                                               ║
 ╚═══════════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
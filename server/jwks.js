@@ -0,0 +1,89 @@
+import { createPublicKey } from 'crypto';
+import { readFileSync } from 'fs';
+
+// ==================== GOOGLE SIGNING KEYS ====================
+// Google ID tokens are verified locally against Google's published key set.
+// The set is cached and refreshed when it expires or a token names a key
+// we haven't seen yet.
+//
+//   GOOGLE_JWKS_FILE=path to a JWKS JSON file (offline / local testing)
+//   GOOGLE_JWKS_URL=key set URL (defaults to Google's)
+
+const DEFAULT_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_MAX_AGE_MS = 60 * 60 * 1000;
+// Don't hammer the key endpoint when tokens name unknown keys
+const MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+let cachedKeys = new Map(); // kid -> KeyObject
+let expiresAt = 0;
+let lastFetchAt = 0;
+let pendingFetch = null;
+
+function parseKeySet(jwks) {
+  const keys = new Map();
+  for (const jwk of jwks.keys || []) {
+    if (!jwk.kid || jwk.kty !== 'RSA') continue;
+    keys.set(jwk.kid, createPublicKey({ key: jwk, format: 'jwk' }));
+  }
+  return keys;
+}
+
+// Honour Cache-Control: max-age from Google's response
+function getMaxAge(response) {
+  const match = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  return match ? Number(match[1]) * 1000 : DEFAULT_MAX_AGE_MS;
+}
+
+async function loadKeySet(env) {
+  if (env.GOOGLE_JWKS_FILE) {
+    const jwks = JSON.parse(readFileSync(env.GOOGLE_JWKS_FILE, 'utf8'));
+    return { keys: parseKeySet(jwks), maxAge: DEFAULT_MAX_AGE_MS };
+  }
+
+  const response = await fetch(env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed: ${response.status}`);
+  }
+  return { keys: parseKeySet(await response.json()), maxAge: getMaxAge(response) };
+}
+
+async function refreshKeys(env) {
+  if (!pendingFetch) {
+    pendingFetch = loadKeySet(env)
+      .then(({ keys, maxAge }) => {
+        cachedKeys = keys;
+        lastFetchAt = Date.now();
+        expiresAt = lastFetchAt + maxAge;
+      })
+      .finally(() => {
+        pendingFetch = null;
+      });
+  }
+  return pendingFetch;
+}
+
+// Public key for a token's kid, or null if the key set doesn't have it
+export async function getGoogleSigningKey(kid, env = process.env) {
+  const now = Date.now();
+  const stale = now >= expiresAt;
+  const unknown = !cachedKeys.has(kid) && now - lastFetchAt >= MIN_REFRESH_INTERVAL_MS;
+
+  if (stale || unknown) {
+    try {
+      await refreshKeys(env);
+    } catch (error) {
+      // Keep using the last good key set if a refresh fails
+      if (cachedKeys.size === 0) throw error;
+      console.error('JWKS refresh error:', error.message);
+    }
+  }
+
+  return cachedKeys.get(kid) || null;
+}
+
+// Forget cached keys (e.g. after pointing GOOGLE_JWKS_FILE somewhere else)
+export function clearGoogleSigningKeys() {
+  cachedKeys = new Map();
+  expiresAt = 0;
+  lastFetchAt = 0;
+}
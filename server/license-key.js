@@ -0,0 +1,58 @@
+// Provision the license signing key pair (see license-token.js).
+//
+//   node server/license-key.js generate <private-key-file>
+//   node server/license-key.js pin <private-key-file>
+//   node server/license-key.js check
+//
+// generate makes a new pair, writes the private key to the file (which must
+// not exist yet) and pins the public half in both clients. pin does the same
+// for an existing private key. check tells whether LICENSE_SIGNING_KEY or
+// LICENSE_SIGNING_KEY_FILE matches the pinned key.
+
+import 'dotenv/config';
+import { createPrivateKey, generateKeyPairSync } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { publicKeyBase64, checkLicenseSigningKey } from './license-token.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Each client's copy of the pinned key, and how to find it in the file
+const CLIENT_KEY_FILES = [
+  ['extension/license-public-key.js', /(export const LICENSE_PUBLIC_KEY = ')[^']*(';)/],
+  ['desktop-app/license-public-key.js', /(module\.exports = ')[^']*(';)/]
+];
+
+function pin(privateKey) {
+  const publicKey = publicKeyBase64(privateKey);
+  for (const [file, pattern] of CLIENT_KEY_FILES) {
+    const path = join(ROOT, file);
+    writeFileSync(path, readFileSync(path, 'utf8').replace(pattern, `$1${publicKey}$2`));
+  }
+  console.log(`Pinned ${publicKey} in ${CLIENT_KEY_FILES.map(([file]) => file).join(' and ')}.`);
+  console.log('Commit them, give the server the private key and ship new client builds.');
+}
+
+const [command, file] = process.argv.slice(2);
+
+try {
+  if (command === 'generate' && file) {
+    const { privateKey } = generateKeyPairSync('ed25519');
+    writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }), { flag: 'wx', mode: 0o600 });
+    console.log(`Wrote the private key to ${file}. Keep it out of the repo.`);
+    pin(privateKey);
+  } else if (command === 'pin' && file) {
+    pin(createPrivateKey(readFileSync(file, 'utf8')));
+  } else if (command === 'check') {
+    delete process.env.LICENSE_DEV_KEY;
+    checkLicenseSigningKey();
+    console.log('The configured signing key matches the pinned public key.');
+  } else {
+    console.log('Usage: node server/license-key.js generate <private-key-file> | pin <private-key-file> | check');
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
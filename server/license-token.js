@@ -0,0 +1,124 @@
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'crypto';
+import { readFileSync } from 'fs';
+import { LICENSE_PUBLIC_KEY as CLIENT_PUBLIC_KEY } from '../extension/license-public-key.js';
+
+// ==================== LICENSE TOKENS ====================
+// A license token is a signed statement of one account's license, bound to
+// one device. The desktop app and the extension verify it offline with the
+// public key built into them, so editing a saved license can't unlock anything.
+//
+// Format: base64url(JSON payload) + '.' + base64url(Ed25519 signature)
+//
+// Clients treat a token as valid until `exp`, then keep honouring it for
+// `grace` more seconds while they can't reach us. After that, or if the
+// signature or device doesn't match, they fall back to the free tier.
+//
+//   LICENSE_SIGNING_KEY=PEM Ed25519 private key
+//   LICENSE_SIGNING_KEY_FILE=path to one
+//   LICENSE_DEV_KEY=true to sign with a throwaway key when neither is set
+//
+// The signing key must be the private half of the public key pinned in the
+// clients (extension/license-public-key.js, shared with this file, and
+// desktop-app/license-public-key.js), or no client would accept what we
+// sign. Without LICENSE_DEV_KEY=true the server won't start with a missing
+// or different key.
+//
+// The private key never goes in the repo. Whoever runs production makes the
+// pair once and keeps the private half in the host's secret store:
+//
+//   npm run license-key -- generate /secure/path/license-signing-key.pem
+//
+// That writes the private key (readable only by you) and pins its public
+// half in both clients. Commit the two client files, set LICENSE_SIGNING_KEY
+// (the PEM, newlines as \n if need be) or LICENSE_SIGNING_KEY_FILE on the
+// server and ship new client builds. `npm run license-key -- check` tells
+// whether the configured key matches the pinned one.
+//
+// With LICENSE_DEV_KEY=true and no key configured, a new key is made each
+// time the server starts and never written anywhere. Point a development
+// build of the clients at its public half (GET /api/license/public-key):
+// ORBITXE_LICENSE_PUBLIC_KEY for the desktop app, devLicensePublicKey in
+// chrome.storage.local for an unpacked extension.
+
+// How long a device may run offline before it must fetch a fresh token
+const LICENSE_TOKEN_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+// Extra offline time for paid licenses once the token expires
+const LICENSE_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+export function publicKeyBase64(key) {
+  return createPublicKey(key).export({ type: 'spki', format: 'der' }).toString('base64');
+}
+
+function loadSigningKey(env) {
+  let privateKey = null;
+  if (env.LICENSE_SIGNING_KEY) {
+    privateKey = createPrivateKey(env.LICENSE_SIGNING_KEY.replace(/\\n/g, '\n'));
+  } else if (env.LICENSE_SIGNING_KEY_FILE) {
+    privateKey = createPrivateKey(readFileSync(env.LICENSE_SIGNING_KEY_FILE, 'utf8'));
+  }
+
+  if (env.LICENSE_DEV_KEY === 'true') {
+    if (!privateKey) {
+      privateKey = generateKeyPairSync('ed25519').privateKey;
+      console.log(`[License] Signing with a throwaway development key: ${publicKeyBase64(privateKey)}`);
+    }
+    return privateKey;
+  }
+
+  if (!privateKey) {
+    throw new Error('LICENSE_SIGNING_KEY or LICENSE_SIGNING_KEY_FILE is required (or LICENSE_DEV_KEY=true); see server/license-token.js');
+  }
+  if (publicKeyBase64(privateKey) !== CLIENT_PUBLIC_KEY) {
+    throw new Error('The license signing key does not match the public key pinned in the clients (npm run license-key -- check)');
+  }
+  return privateKey;
+}
+
+// Loaded on first use, so importing this module (e.g. in tests) needs no
+// key. The server checks it at startup with checkLicenseSigningKey().
+let signingKey = null;
+
+function getSigningKey() {
+  if (!signingKey) signingKey = loadSigningKey(process.env);
+  return signingKey;
+}
+
+// Throws, saying what's wrong, if licenses can't be signed
+export function checkLicenseSigningKey() {
+  getSigningKey();
+}
+
+// PEM public key the clients pin (handy when running a local server)
+export function getLicensePublicKey() {
+  return createPublicKey(getSigningKey()).export({ type: 'spki', format: 'pem' });
+}
+
+// Sign a license for one device. Trials never outlive their end date and
+// get no grace period.
+export function signLicenseToken({ user, license, deviceId }) {
+  const now = Date.now();
+  const isTrial = license.tier === 'trial';
+  let expiresAt = now + LICENSE_TOKEN_TTL_MS;
+  if (isTrial && license.trialEndsAt) {
+    expiresAt = Math.min(expiresAt, new Date(license.trialEndsAt).getTime());
+  }
+
+  const payload = {
+    v: 1,
+    sub: user.id,
+    email: user.email,
+    tier: license.tier,
+    features: license.features,
+    trialEndsAt: license.trialEndsAt || null,
+    trialDays: license.trialDays || null,
+    expiresAt: license.expiresAt || null,
+    deviceId,
+    iat: Math.floor(now / 1000),
+    exp: Math.floor(expiresAt / 1000),
+    grace: isTrial || license.tier === 'free' ? 0 : LICENSE_GRACE_SECONDS
+  };
+
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = sign(null, Buffer.from(body), getSigningKey()).toString('base64url');
+  return `${body}.${signature}`;
+}
@@ -0,0 +1,84 @@
+import { appendFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// ==================== MAIL TRANSPORTS ====================
+// A transport delivers one message: send({ to, subject, text, html }).
+//
+//   MAIL_TRANSPORT=console (default) | file | resend
+//   MAIL_FROM=sender address
+//   MAIL_FILE=path the file transport appends to (defaults to ../mail.log)
+//   RESEND_API_KEY=API key for the resend transport
+
+const DEFAULT_FROM = 'OrbitXE <noreply@orbitxe.com>';
+
+// Print messages to the server log - local development only
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send({ to, subject, text }) {
+      console.log(`[Mail] To: ${to}\n[Mail] Subject: ${subject}\n${text}`);
+    }
+  };
+}
+
+// Append messages to a file, one JSON object per line (handy for tests)
+export function createFileTransport({ path }) {
+  return {
+    name: 'file',
+
+    async send(message) {
+      appendFileSync(path, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+    }
+  };
+}
+
+// Send through the Resend HTTP API
+export function createResendTransport({ apiKey, from }) {
+  return {
+    name: 'resend',
+
+    async send({ to, subject, text, html }) {
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ from, to, subject, text, html })
+      });
+      if (!response.ok) {
+        throw new Error(`Mail request failed: ${response.status}`);
+      }
+    }
+  };
+}
+
+// Pick a transport from configuration
+export function createMailer(env = process.env) {
+  const type = env.MAIL_TRANSPORT || 'console';
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  if (type === 'console') {
+    return createConsoleTransport();
+  }
+
+  if (type === 'file') {
+    const path = env.MAIL_FILE || join(__dirname, '../mail.log');
+    console.log(`[Mail] Writing mail to ${path}`);
+    return createFileTransport({ path });
+  }
+
+  if (type === 'resend') {
+    if (!env.RESEND_API_KEY) {
+      throw new Error('RESEND_API_KEY is required for MAIL_TRANSPORT=resend');
+    }
+    return createResendTransport({ apiKey: env.RESEND_API_KEY, from });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+}
@@ -0,0 +1,50 @@
+// Manage admin console accounts from the command line, e.g. to create the
+// first owner.
+//
+//   node server/manage-admins.js list
+//   node server/manage-admins.js add <email> <viewer|support|owner>
+//   node server/manage-admins.js role <email> <viewer|support|owner>
+//   node server/manage-admins.js reset-password <email>
+//   node server/manage-admins.js remove <email>
+//
+// Uses the same DATABASE_PATH as the server.
+
+import { getUserByEmail, closeDatabase } from './db.js';
+import { listAdmins, addAdmin, changeAdminRole, resetAdminPassword, removeAdmin } from './admin-auth.js';
+
+const [command, email, role] = process.argv.slice(2);
+const actor = { name: 'cli', ipAddress: null };
+
+function userIdFor(address) {
+  const user = address ? getUserByEmail(address) : null;
+  if (!user) throw new Error(`No account with email ${address}`);
+  return user.id;
+}
+
+try {
+  if (command === 'list') {
+    for (const admin of listAdmins()) {
+      console.log(`${admin.email.padEnd(40)} ${admin.role.padEnd(8)} ${admin.lockedUntil ? `locked out from an address until ${admin.lockedUntil}` : ''}`);
+    }
+  } else if (command === 'add') {
+    const { admin, password } = addAdmin(actor, { email, role });
+    console.log(`Added ${admin.email} as ${admin.role}. One-time password: ${password}`);
+  } else if (command === 'role') {
+    const admin = changeAdminRole(actor, userIdFor(email), role);
+    console.log(`${admin.email} is now ${admin.role}`);
+  } else if (command === 'reset-password') {
+    const { admin, password } = resetAdminPassword(actor, userIdFor(email));
+    console.log(`New one-time password for ${admin.email}: ${password}`);
+  } else if (command === 'remove') {
+    removeAdmin(actor, userIdFor(email));
+    console.log(`Removed ${email}`);
+  } else {
+    console.error('Usage: manage-admins.js list | add <email> <role> | role <email> <role> | reset-password <email> | remove <email>');
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  closeDatabase();
+}
@@ -0,0 +1,37 @@
+// Run or inspect database migrations without starting the server.
+//
+//   node server/migrate.js          apply pending migrations
+//   node server/migrate.js status   list applied and pending migrations
+//
+// Uses the same DATABASE_PATH as the server.
+
+import { createDatabase } from './db.js';
+import { runMigrations, getMigrationStatus } from './migrations.js';
+
+const command = process.argv[2] || 'up';
+
+const db = createDatabase(undefined, { migrate: false });
+
+try {
+  if (command === 'up') {
+    const applied = runMigrations(db);
+    if (applied.length === 0) {
+      console.log('Database is up to date');
+    }
+    for (const migration of applied) {
+      console.log(`Applied ${migration.version} ${migration.name}`);
+    }
+  } else if (command === 'status') {
+    for (const migration of getMigrationStatus(db)) {
+      console.log(`${String(migration.version).padStart(4)}  ${migration.name.padEnd(30)} ${migration.appliedAt || 'pending'}`);
+    }
+  } else {
+    console.error(`Unknown command: ${command} (use "up" or "status")`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,453 @@
+import { randomBytes } from 'crypto';
+import { userAgentBuckets, referrerOrigin, hashVisitor } from './privacy.js';
+
+// ==================== MIGRATIONS ====================
+// Schema changes are numbered migrations, applied in order and recorded in
+// schema_migrations. Pending ones run together in one transaction when the
+// server starts, so a failed upgrade leaves the database as it was.
+//
+// Add a change by appending a migration with the next version. Never edit
+// one that has shipped: databases that already ran it won't run it again.
+//
+//   npm run migrate            apply pending migrations
+//   npm run migrate -- status  list applied and pending migrations
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // The schema as it stood before migrations existed. Databases from that
+    // time can be at any earlier point, so each later change checks first.
+    up(db) {
+      db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        google_id TEXT UNIQUE,
+        name TEXT,
+        picture_url TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        trial_started_at TEXT,
+        trial_ends_at TEXT,
+        subscription_tier TEXT DEFAULT 'trial',
+        stripe_customer_id TEXT,
+        referral_code TEXT,
+        referred_by TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        stripe_subscription_id TEXT,
+        plan_type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        current_period_start TEXT,
+        current_period_end TEXT,
+        canceled_at TEXT,
+        cancel_at_period_end INTEGER DEFAULT 0,
+        stripe_payment_intent_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+      CREATE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id);
+      CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+
+      CREATE TABLE IF NOT EXISTS downloads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        platform TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        country TEXT,
+        downloaded_at TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_downloads_platform ON downloads(platform);
+      CREATE INDEX IF NOT EXISTS idx_downloads_date ON downloads(downloaded_at);
+
+      CREATE TABLE IF NOT EXISTS page_views (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        page TEXT NOT NULL,
+        ip_address TEXT,
+        user_agent TEXT,
+        referrer TEXT,
+        viewed_at TEXT DEFAULT (datetime('now'))
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_page_views_date ON page_views(viewed_at);
+
+      CREATE TABLE IF NOT EXISTS computers (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        computer_id TEXT NOT NULL,
+        name TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_connected TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        UNIQUE(user_id, computer_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_computers_user_id ON computers(user_id);
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        device_name TEXT,
+        user_agent TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        last_used_at TEXT,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+
+      CREATE TABLE IF NOT EXISTS email_login_codes (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        link_token_hash TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL,
+        consumed_at TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_login_codes_email ON email_login_codes(email);
+
+      CREATE TABLE IF NOT EXISTS device_links (
+        id TEXT PRIMARY KEY,
+        user_code TEXT UNIQUE NOT NULL,
+        poll_token_hash TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        device_name TEXT,
+        user_id TEXT,
+        status TEXT DEFAULT 'pending',
+        created_at TEXT DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL,
+        approved_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS organizations (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        owner_user_id TEXT NOT NULL,
+        seat_count INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'inactive',
+        stripe_customer_id TEXT,
+        stripe_subscription_id TEXT,
+        current_period_end TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (owner_user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS organization_members (
+        org_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        has_seat INTEGER DEFAULT 0,
+        joined_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (org_id, user_id),
+        FOREIGN KEY (org_id) REFERENCES organizations(id),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+
+      CREATE TABLE IF NOT EXISTS organization_invites (
+        id TEXT PRIMARY KEY,
+        org_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        email TEXT,
+        role TEXT NOT NULL DEFAULT 'member',
+        created_by TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        expires_at TEXT NOT NULL,
+        accepted_at TEXT,
+        revoked_at TEXT,
+        FOREIGN KEY (org_id) REFERENCES organizations(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS referrals (
+        id TEXT PRIMARY KEY,
+        referrer_user_id TEXT NOT NULL,
+        referred_user_id TEXT UNIQUE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'signed_up',
+        credit_cents INTEGER,
+        stripe_balance_transaction_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        converted_at TEXT,
+        credited_at TEXT,
+        FOREIGN KEY (referrer_user_id) REFERENCES users(id),
+        FOREIGN KEY (referred_user_id) REFERENCES users(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_user_id);
+
+      CREATE TABLE IF NOT EXISTS trial_claims (
+        kind TEXT NOT NULL,
+        value_hash TEXT NOT NULL,
+        user_id TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        PRIMARY KEY (kind, value_hash)
+      );
+
+      CREATE TABLE IF NOT EXISTS trial_extensions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        days INTEGER NOT NULL,
+        reason TEXT,
+        trial_ends_at TEXT NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS stripe_events (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        claimed_at TEXT,
+        processed_at TEXT
+      );
+      `);
+
+      // Columns added to subscriptions after it was first created
+      const subscriptionColumns = db.pragma('table_info(subscriptions)').map(c => c.name);
+      if (!subscriptionColumns.includes('cancel_at_period_end')) {
+        db.exec('ALTER TABLE subscriptions ADD COLUMN cancel_at_period_end INTEGER DEFAULT 0');
+      }
+      if (!subscriptionColumns.includes('stripe_payment_intent_id')) {
+        db.exec('ALTER TABLE subscriptions ADD COLUMN stripe_payment_intent_id TEXT');
+      }
+      if (!db.pragma('table_info(stripe_events)').some(c => c.name === 'claimed_at')) {
+        db.exec('ALTER TABLE stripe_events ADD COLUMN claimed_at TEXT');
+      }
+
+      // Accounts created by email sign-in have no Google ID. Databases created
+      // before that required one, so rebuild the users table once to drop the
+      // NOT NULL constraint.
+      const googleIdColumn = db.pragma('table_info(users)').find(c => c.name === 'google_id');
+      if (googleIdColumn?.notnull) {
+        db.exec(`
+          CREATE TABLE users_new (
+            id TEXT PRIMARY KEY,
+            email TEXT UNIQUE NOT NULL,
+            google_id TEXT UNIQUE,
+            name TEXT,
+            picture_url TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            trial_started_at TEXT,
+            trial_ends_at TEXT,
+            subscription_tier TEXT DEFAULT 'trial',
+            stripe_customer_id TEXT
+          );
+          INSERT INTO users_new SELECT id, email, google_id, name, picture_url, created_at,
+            trial_started_at, trial_ends_at, subscription_tier, stripe_customer_id FROM users;
+          DROP TABLE users;
+          ALTER TABLE users_new RENAME TO users;
+          CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+          CREATE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id);
+        `);
+      }
+
+      // Referral columns were added to users later
+      const userColumns = db.pragma('table_info(users)').map(c => c.name);
+      if (!userColumns.includes('referral_code')) {
+        db.exec('ALTER TABLE users ADD COLUMN referral_code TEXT');
+      }
+      if (!userColumns.includes('referred_by')) {
+        db.exec('ALTER TABLE users ADD COLUMN referred_by TEXT');
+      }
+      db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_referral_code ON users(referral_code)');
+    }
+  },
+  {
+    version: 2,
+    name: 'admin_audit_log',
+    // Triggers keep the log append-only
+    up(db) {
+      db.exec(`
+        ALTER TABLE users ADD COLUMN deleted_at TEXT;
+
+        CREATE TABLE admin_audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          actor TEXT NOT NULL,
+          action TEXT NOT NULL,
+          target_user_id TEXT,
+          details TEXT,
+          ip_address TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX idx_admin_audit_log_target ON admin_audit_log(target_user_id);
+
+        CREATE TRIGGER admin_audit_log_no_update BEFORE UPDATE ON admin_audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+        END;
+
+        CREATE TRIGGER admin_audit_log_no_delete BEFORE DELETE ON admin_audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'admin_users',
+    up(db) {
+      db.exec(`
+        CREATE TABLE admin_users (
+          user_id TEXT PRIMARY KEY,
+          role TEXT NOT NULL CHECK (role IN ('viewer', 'support', 'owner')),
+          password_hash TEXT NOT NULL,
+          session_version INTEGER NOT NULL DEFAULT 1,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until TEXT,
+          last_login_at TEXT,
+          created_by TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'private_analytics',
+    // Page views and downloads stop keeping IP addresses and user agents
+    // (see privacy.js). Existing rows are converted the same way, hashing
+    // visitors with a salt that is never stored.
+    up(db) {
+      db.exec(`
+        ALTER TABLE page_views ADD COLUMN visitor_hash TEXT;
+        ALTER TABLE page_views ADD COLUMN browser TEXT;
+        ALTER TABLE page_views ADD COLUMN os TEXT;
+        ALTER TABLE downloads ADD COLUMN browser TEXT;
+        ALTER TABLE downloads ADD COLUMN os TEXT;
+
+        CREATE TABLE analytics_salts (
+          day TEXT PRIMARY KEY,
+          salt TEXT NOT NULL
+        );
+      `);
+
+      const salt = randomBytes(32).toString('base64url');
+      const updatePageView = db.prepare('UPDATE page_views SET visitor_hash = ?, browser = ?, os = ?, referrer = ? WHERE id = ?');
+      for (const row of db.prepare('SELECT id, ip_address, user_agent, referrer, DATE(viewed_at) as day FROM page_views').all()) {
+        const { browser, os } = userAgentBuckets(row.user_agent);
+        updatePageView.run(hashVisitor(`${salt}${row.day}`, row.ip_address, row.user_agent), browser, os,
+          referrerOrigin(row.referrer), row.id);
+      }
+      const updateDownload = db.prepare('UPDATE downloads SET browser = ?, os = ? WHERE id = ?');
+      for (const row of db.prepare('SELECT id, user_agent FROM downloads').all()) {
+        const { browser, os } = userAgentBuckets(row.user_agent);
+        updateDownload.run(browser, os, row.id);
+      }
+
+      db.exec(`
+        ALTER TABLE page_views DROP COLUMN ip_address;
+        ALTER TABLE page_views DROP COLUMN user_agent;
+        ALTER TABLE downloads DROP COLUMN ip_address;
+        ALTER TABLE downloads DROP COLUMN user_agent;
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'computer_token_nonce',
+    // Desktop tokens carry the nonce of the registration that issued them, so
+    // a token from before a computer was removed can't come back to life
+    // when it's registered again. Computers registered before this keep
+    // accepting their nonce-less tokens until they register again.
+    up(db) {
+      db.exec('ALTER TABLE computers ADD COLUMN token_nonce TEXT');
+    }
+  },
+  {
+    version: 6,
+    name: 'admin_login_failures',
+    // Failed admin sign-ins count per account and address, so a lockout only
+    // shuts out the address the wrong passwords came from
+    up(db) {
+      db.exec(`
+        CREATE TABLE admin_login_failures (
+          user_id TEXT NOT NULL,
+          ip_address TEXT NOT NULL,
+          failed_attempts INTEGER NOT NULL DEFAULT 0,
+          locked_until TEXT,
+          PRIMARY KEY (user_id, ip_address),
+          FOREIGN KEY (user_id) REFERENCES admin_users(user_id)
+        );
+
+        ALTER TABLE admin_users DROP COLUMN failed_attempts;
+        ALTER TABLE admin_users DROP COLUMN locked_until;
+      `);
+    }
+  }
+];
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+function getAppliedMigrations(db) {
+  return db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+}
+
+// Every migration with whether and when it was applied
+export function getMigrationStatus(db) {
+  ensureMigrationsTable(db);
+  const applied = new Map(getAppliedMigrations(db).map(m => [m.version, m]));
+  return MIGRATIONS.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    appliedAt: applied.get(migration.version)?.applied_at || null
+  }));
+}
+
+// Apply pending migrations in one transaction and return the ones applied.
+// A database migrated by newer code is refused rather than guessed at.
+export function runMigrations(db) {
+  ensureMigrationsTable(db);
+  const applied = getAppliedMigrations(db);
+  const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const unknown = applied.find(m => m.version > latest);
+  if (unknown) {
+    throw new Error(`Database is at migration ${unknown.version} (${unknown.name}) but this code only knows up to ${latest}`);
+  }
+
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const pending = MIGRATIONS.filter(m => !appliedVersions.has(m.version));
+  if (pending.length === 0) return [];
+
+  // Rebuilding a table drops the old one, which foreign key enforcement
+  // would block. It can't be switched off inside a transaction, so it's
+  // off for the whole run.
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+      for (const migration of pending) {
+        migration.up(db);
+        record.run(migration.version, migration.name);
+      }
+    })();
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  return pending;
+}
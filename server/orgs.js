@@ -0,0 +1,260 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import {
+  createOrganization,
+  getOrganizationById,
+  getMembershipForUser,
+  getOrganizationMembers,
+  addOrganizationMember,
+  removeOrganizationMember,
+  countAssignedSeats,
+  assignSeat,
+  unassignSeat,
+  updateOrganizationBilling,
+  trimAssignedSeats,
+  createOrganizationInvite,
+  getOrganizationInviteById,
+  getPendingOrganizationInvites,
+  markOrganizationInviteAccepted,
+  revokeOrganizationInvite,
+  ACTIVE_SUBSCRIPTION_STATUSES
+} from './db.js';
+
+// ==================== TEAM ORGANIZATIONS ====================
+// Owners and admins manage billing, invites and seats. Anyone in the
+// organization can see who else is in it.
+//
+// Invite links are '<inviteId>.<secret>'; only a hash of the secret is stored.
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_SEATS = 500;
+const MANAGER_ROLES = ['owner', 'admin'];
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
+
+export function parseSeatCount(seats) {
+  const count = Number(seats);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SEATS) {
+    throw httpError(`Seats must be a whole number from 1 to ${MAX_SEATS}`, 400);
+  }
+  return count;
+}
+
+// The caller's membership in an organization, or a 403/404
+function requireMember(orgId, userId) {
+  const membership = getMembershipForUser(userId);
+  if (!membership || membership.org_id !== orgId) {
+    throw httpError('Organization not found', 404);
+  }
+  return membership;
+}
+
+export function requireManager(orgId, userId) {
+  const membership = requireMember(orgId, userId);
+  if (!MANAGER_ROLES.includes(membership.role)) {
+    throw httpError('Only owners and admins can manage this organization', 403);
+  }
+  return membership;
+}
+
+// Organization summary as shown to its members
+export function describeOrganization(orgId) {
+  const org = getOrganizationById(orgId);
+  if (!org) return null;
+
+  return {
+    id: org.id,
+    name: org.name,
+    ownerUserId: org.owner_user_id,
+    status: org.status,
+    active: ACTIVE_SUBSCRIPTION_STATUSES.includes(org.status),
+    seatCount: org.seat_count,
+    seatsAssigned: countAssignedSeats(org.id),
+    currentPeriodEnd: org.current_period_end,
+    createdAt: org.created_at,
+    members: getOrganizationMembers(org.id).map(member => ({
+      userId: member.user_id,
+      email: member.email,
+      name: member.name,
+      role: member.role,
+      hasSeat: !!member.has_seat,
+      joinedAt: member.joined_at
+    }))
+  };
+}
+
+export function createOrganizationForUser(user, name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100) {
+    throw httpError('Organization name is required (100 characters max)', 400);
+  }
+  if (getMembershipForUser(user.id)) {
+    throw httpError('You already belong to an organization', 409);
+  }
+  return createOrganization({ name: trimmed, ownerUserId: user.id });
+}
+
+export function getOrganizationForUser(userId) {
+  const membership = getMembershipForUser(userId);
+  if (!membership) return null;
+  return { ...describeOrganization(membership.org_id), role: membership.role };
+}
+
+// ==================== INVITES ====================
+
+export function createInvite(orgId, userId, { email, role = 'member' } = {}, { baseUrl }) {
+  requireManager(orgId, userId);
+  if (!['admin', 'member'].includes(role)) {
+    throw httpError('Role must be admin or member', 400);
+  }
+
+  const secret = randomBytes(24).toString('base64url');
+  const invite = createOrganizationInvite({
+    orgId,
+    tokenHash: hashSecret(secret),
+    email: typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null,
+    role,
+    createdBy: userId,
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+  });
+
+  return {
+    id: invite.id,
+    email: invite.email,
+    role: invite.role,
+    expiresAt: invite.expires_at,
+    url: `${baseUrl}/team?invite=${invite.id}.${secret}`
+  };
+}
+
+export function listInvites(orgId, userId) {
+  requireManager(orgId, userId);
+  return getPendingOrganizationInvites(orgId).map(invite => ({
+    id: invite.id,
+    email: invite.email,
+    role: invite.role,
+    createdAt: invite.created_at,
+    expiresAt: invite.expires_at
+  }));
+}
+
+export function revokeInvite(orgId, userId, inviteId) {
+  requireManager(orgId, userId);
+  if (!revokeOrganizationInvite(orgId, inviteId)) {
+    throw httpError('Invite not found', 404);
+  }
+}
+
+// Join the organization behind an invite link. A seat is handed out
+// straight away when one is free.
+export function acceptInvite(user, inviteToken) {
+  const [id, secret] = String(inviteToken || '').split('.');
+  const invite = id && secret ? getOrganizationInviteById(id) : null;
+  if (!invite || !safeEqual(invite.token_hash, hashSecret(secret)) ||
+      invite.accepted_at || invite.revoked_at || new Date(invite.expires_at) < new Date()) {
+    throw httpError('This invite is invalid or has expired', 410);
+  }
+  if (invite.email && invite.email !== user.email.toLowerCase()) {
+    throw httpError(`This invite was sent to ${invite.email}`, 403);
+  }
+
+  const membership = getMembershipForUser(user.id);
+  if (membership) {
+    if (membership.org_id === invite.org_id) return getOrganizationForUser(user.id);
+    throw httpError('You already belong to another organization', 409);
+  }
+
+  if (!markOrganizationInviteAccepted(invite.id)) {
+    throw httpError('This invite is invalid or has expired', 410);
+  }
+  addOrganizationMember(invite.org_id, user.id, invite.role);
+  assignSeat(invite.org_id, user.id);
+
+  return getOrganizationForUser(user.id);
+}
+
+// ==================== SEATS ====================
+// The *ForOrganization functions skip the membership check and back the
+// site admin endpoints. The others first check the caller manages the org.
+
+export function assignSeatForOrganization(orgId, memberUserId) {
+  const org = getOrganizationById(orgId);
+  if (!org) throw httpError('Organization not found', 404);
+
+  const member = getOrganizationMembers(orgId).find(m => m.user_id === memberUserId);
+  if (!member) throw httpError('Member not found', 404);
+
+  if (!assignSeat(orgId, memberUserId)) {
+    throw httpError('No free seats. Add seats to the plan first.', 409);
+  }
+  return describeOrganization(orgId);
+}
+
+export function removeSeatForOrganization(orgId, memberUserId) {
+  const org = getOrganizationById(orgId);
+  if (!org) throw httpError('Organization not found', 404);
+
+  unassignSeat(orgId, memberUserId);
+  return describeOrganization(orgId);
+}
+
+export function assignMemberSeat(orgId, userId, memberUserId) {
+  requireManager(orgId, userId);
+  return assignSeatForOrganization(orgId, memberUserId);
+}
+
+export function removeMemberSeat(orgId, userId, memberUserId) {
+  requireManager(orgId, userId);
+  return removeSeatForOrganization(orgId, memberUserId);
+}
+
+// Managers can remove anyone but the owner; members can remove themselves
+export function leaveOrRemoveMember(orgId, userId, memberUserId) {
+  const membership = requireMember(orgId, userId);
+  if (memberUserId !== userId && !MANAGER_ROLES.includes(membership.role)) {
+    throw httpError('Only owners and admins can remove members', 403);
+  }
+
+  const org = getOrganizationById(orgId);
+  if (memberUserId === org.owner_user_id) {
+    throw httpError('The owner cannot leave the organization', 400);
+  }
+
+  removeOrganizationMember(orgId, memberUserId);
+  return describeOrganization(orgId);
+}
+
+// Seat count can't drop below the seats already handed out
+export function checkSeatCountChange(orgId, seats) {
+  const count = parseSeatCount(seats);
+  const assigned = countAssignedSeats(orgId);
+  if (count < assigned) {
+    throw httpError(`${assigned} seats are assigned. Remove seats from members first.`, 409);
+  }
+  return count;
+}
+
+// Record billing changes from Stripe. A new subscription also gives the
+// owner the first seat; if seats were cut elsewhere (e.g. the billing
+// portal), the most recently joined members lose theirs.
+export function syncOrganizationSubscription(orgId, { seatCount, status, stripeCustomerId, stripeSubscriptionId, periodEnd }) {
+  const org = updateOrganizationBilling(orgId, { seatCount, status, stripeCustomerId, stripeSubscriptionId, periodEnd });
+  if (!org) return null;
+
+  trimAssignedSeats(org.id, org.seat_count);
+  if (ACTIVE_SUBSCRIPTION_STATUSES.includes(org.status)) {
+    assignSeat(org.id, org.owner_user_id);
+  }
+  return org;
+}
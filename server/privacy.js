@@ -0,0 +1,64 @@
+import { createHash } from 'crypto';
+
+// ==================== ANALYTICS PRIVACY ====================
+// What page view and download tracking keeps about a visitor. These are
+// pure helpers so the migration that cleaned up older rows can use them too.
+//
+// - No IP address or user agent is stored. A visitor is a hash of both with
+//   a salt that changes every day and is then deleted, so one person counts
+//   once a day and can't be followed from one day to the next.
+// - A user agent is reduced to a browser and OS family.
+// - A referrer is reduced to its origin, dropping paths and search terms.
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Macintosh|Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+const BOTS = /bot|crawl|spider|slurp|curl|wget|python|headless/i;
+
+// Order matters above: Edge and Opera also claim to be Chrome, and Chrome
+// claims to be Safari
+export function userAgentBuckets(userAgent) {
+  if (!userAgent) return { browser: 'Unknown', os: 'Unknown' };
+  if (BOTS.test(userAgent)) return { browser: 'Bot', os: 'Other' };
+
+  const match = list => list.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Other';
+  return { browser: match(BROWSERS), os: match(OPERATING_SYSTEMS) };
+}
+
+export function referrerOrigin(referrer) {
+  if (!referrer) return null;
+  try {
+    const { protocol, origin } = new URL(referrer);
+    return protocol === 'http:' || protocol === 'https:' ? origin : null;
+  } catch {
+    return null;
+  }
+}
+
+export function hashVisitor(salt, ipAddress, userAgent) {
+  return createHash('sha256')
+    .update(`${salt}\n${ipAddress || ''}\n${userAgent || ''}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+// Do Not Track and Global Privacy Control, or a page saying the visitor
+// hasn't agreed to analytics
+export function trackingDeclined(req) {
+  return req.headers['dnt'] === '1' || req.headers['sec-gpc'] === '1' || req.body?.consent === false;
+}
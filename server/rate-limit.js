@@ -0,0 +1,53 @@
+// ==================== RATE LIMITING ====================
+// Fixed-window request counters kept in memory, per process. Enough to slow
+// down guessing codes or probing accounts from one address.
+//
+//   TRUST_PROXY=proxies in front of the server: a hop count (1 on Railway),
+//     or their addresses / subnets, as Express's "trust proxy" takes them.
+//     Unset, X-Forwarded-For is ignored.
+
+// The "trust proxy" setting for TRUST_PROXY
+export function trustProxySetting(value = process.env.TRUST_PROXY) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// The client's address. Behind trusted proxies that's the last address in
+// X-Forwarded-For they didn't add themselves (Express's req.ip); without
+// any, the header is anyone's to write, so it's the socket address.
+export function clientIp(req) {
+  return req.ip || req.socket.remoteAddress;
+}
+
+// Express middleware allowing `max` requests per `windowMs` for each key
+// (the client IP unless keyFn says otherwise)
+export function rateLimit({ windowMs, max, keyFn = clientIp }) {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // Drop finished windows so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const key = keyFn(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ error: 'Too many requests. Try again later.' });
+    }
+    next();
+  };
+}
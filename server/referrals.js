@@ -0,0 +1,107 @@
+import { customAlphabet } from 'nanoid';
+import {
+  getUserById,
+  getUserByReferralCode,
+  setUserReferralCode,
+  setUserStripeCustomerId,
+  createReferral,
+  getReferralForReferredUser,
+  markReferralConverted,
+  getUncreditedReferrals,
+  markReferralCredited,
+  getReferralStatsForUser,
+  TRIAL_POLICY
+} from './db.js';
+import { createCustomer, creditCustomerBalance } from './stripe.js';
+import { createUserWithTrial } from './trials.js';
+
+// ==================== REFERRALS ====================
+// Every user gets a referral code. Someone who signs up with it gets a longer
+// trial; once they first pay, the referrer earns credit on their Stripe
+// balance, which comes off their next invoice. Referrers without a Stripe
+// customer yet keep the credit pending until their own checkout. The
+// referred trial length is part of TRIAL_POLICY.
+//
+//   REFERRAL_CREDIT_CENTS=credit per paying referral (default 500)
+
+const REFERRAL_CREDIT_CENTS = parseInt(process.env.REFERRAL_CREDIT_CENTS) || 500;
+
+// No 0/O or 1/I so codes survive being read aloud
+const generateReferralCode = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 8);
+
+export function normalizeReferralCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+// The user's referral code, created on first use
+export function getReferralCode(user) {
+  if (user.referral_code) return user.referral_code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return setUserReferralCode(user.id, generateReferralCode()).referral_code;
+    } catch (error) {
+      if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw error;
+    }
+  }
+  throw new Error('Could not generate a referral code');
+}
+
+// Create an account, crediting the referral if the code is valid. Unknown
+// codes are ignored so a bad link never blocks sign-up.
+export function createReferredUser(fields, referralCode) {
+  const code = normalizeReferralCode(referralCode);
+  const referrer = code ? getUserByReferralCode(code) : null;
+  if (!referrer) return createUserWithTrial(fields);
+
+  const user = createUserWithTrial({ ...fields, referredBy: referrer.id }, { referred: true });
+  createReferral({ referrerUserId: referrer.id, referredUserId: user.id });
+  console.log('Referred sign-up:', { referrerId: referrer.id, userId: user.id });
+  return user;
+}
+
+// Called when a user makes their first real payment
+export async function recordReferralConversion(userId) {
+  const referral = getReferralForReferredUser(userId);
+  if (!referral) return;
+
+  markReferralConverted(referral.id, REFERRAL_CREDIT_CENTS);
+  await applyReferralCredits(referral.referrer_user_id);
+}
+
+// Move pending credit onto the referrer's Stripe balance. With
+// createCustomerIfMissing, referrers who never paid get a customer first
+// (used just before their own checkout).
+export async function applyReferralCredits(referrerUserId, { createCustomerIfMissing = false } = {}) {
+  const referrals = getUncreditedReferrals(referrerUserId);
+  if (referrals.length === 0) return getUserById(referrerUserId);
+
+  let referrer = getUserById(referrerUserId);
+  if (!referrer.stripe_customer_id) {
+    if (!createCustomerIfMissing) return referrer;
+    const customer = await createCustomer(referrer.email, referrer.name);
+    referrer = setUserStripeCustomerId(referrer.id, customer.id);
+  }
+
+  for (const referral of referrals) {
+    const transaction = await creditCustomerBalance(
+      referrer.stripe_customer_id,
+      referral.credit_cents,
+      'OrbitXE referral credit',
+      `referral-${referral.id}`
+    );
+    markReferralCredited(referral.id, transaction.id);
+  }
+  return referrer;
+}
+
+export function getReferralSummary(user, { baseUrl }) {
+  const code = getReferralCode(user);
+  return {
+    code,
+    url: `${baseUrl}/upgrade?ref=${code}`,
+    trialDays: TRIAL_POLICY.referralDays,
+    creditCents: REFERRAL_CREDIT_CENTS,
+    stats: getReferralStatsForUser(user.id)
+  };
+}
@@ -0,0 +1,213 @@
+import { nanoid } from 'nanoid';
+import { timingSafeEqual } from 'crypto';
+import { createBroker } from './broker.js';
+
+// Shared room registry and fan-out (in-memory unless ROOM_BROKER says otherwise)
+const broker = createBroker();
+
+// Sockets connected to this process: { scope: Map(socketId -> ws) }
+// A scope is a web-remote room ('room:ABC123'), a desktop session ('desktop:CODE')
+// or an account's presence channel ('user:ID').
+const localSockets = new Map();
+
+// Handlers for control messages aimed at a single socket: { control: (ws, message) => {} }
+const controlHandlers = new Map();
+
+// Sockets on this process opened with a user's access token: { sid: Set(ws) }
+const sessionSockets = new Map();
+
+// Error codes sent back to clients whose join is rejected
+export const JOIN_ERRORS = {
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  INVALID_PAIRING_SECRET: 'INVALID_PAIRING_SECRET',
+  NOT_ROOM_OWNER: 'NOT_ROOM_OWNER',
+  PAIRING_SECRET_ROTATED: 'PAIRING_SECRET_ROTATED',
+  CONTROLLER_DENIED: 'CONTROLLER_DENIED'
+};
+
+// Constant-time string comparison for secrets
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return timingSafeEqual(bufA, bufB);
+}
+
+// ==================== ROOMS ====================
+
+export function roomScope(roomId) {
+  return `room:${roomId}`;
+}
+
+export function desktopScope(code) {
+  return `desktop:${code}`;
+}
+
+// Presence subscriptions for one account's computers
+export function userScope(userId) {
+  return `user:${userId}`;
+}
+
+// Create a room with a fresh owner token and pairing secret
+export function createRoom(extra = {}) {
+  const room = {
+    id: nanoid(6).toUpperCase(),
+    activeTab: null,
+    ownerToken: nanoid(32),
+    pairingSecret: nanoid(24),
+    createdAt: Date.now(),
+    ...extra
+  };
+  broker.saveRoom(room);
+  return room;
+}
+
+export function getRoom(roomId) {
+  return broker.getRoom(roomId);
+}
+
+export function updateRoom(roomId, fields) {
+  broker.updateRoom(roomId, fields);
+}
+
+export function deleteRoom(roomId) {
+  broker.deleteRoom(roomId);
+}
+
+export function getRoomCount() {
+  return broker.countRooms();
+}
+
+// Build the URL a phone scans to join as a controller. The secret goes in
+// the fragment, which browsers don't send, so it stays out of access logs.
+export function getControllerUrl(baseUrl, room) {
+  return `${baseUrl}/remote/${room.id}#key=${encodeURIComponent(room.pairingSecret)}`;
+}
+
+// Displays prove ownership with the token issued at room creation
+export function verifyOwnerToken(room, token) {
+  return safeEqual(room.ownerToken, token);
+}
+
+// Controllers must present the current pairing secret from the QR code
+export function verifyPairingSecret(room, secret) {
+  return safeEqual(room.pairingSecret, secret);
+}
+
+// Issue a new pairing secret, invalidating the old QR code
+export function rotatePairingSecret(roomId) {
+  const pairingSecret = nanoid(24);
+  broker.updateRoom(roomId, { pairingSecret });
+  return pairingSecret;
+}
+
+// ==================== MEMBERSHIP ====================
+
+function matchesTarget(member, target) {
+  return Object.entries(target).every(([key, value]) => (member[key] ?? null) === value);
+}
+
+// Hand a published message to the matching sockets on this process
+function deliver(scope, message) {
+  const scoped = localSockets.get(scope);
+  if (!scoped) return;
+
+  scoped.forEach(ws => {
+    if (!matchesTarget(ws.member, message.target)) return;
+    if (message.control) {
+      controlHandlers.get(message.control)?.(ws, message);
+    } else if (ws.readyState === 1) {
+      ws.send(message.payload, { binary: !!message.binary });
+    }
+  });
+}
+
+// Register a local socket as a member of a scope. The member object is
+// visible to every process through the broker.
+export function attachSocket(scope, ws, member) {
+  ws.socketId = ws.socketId || nanoid(12);
+  ws.member = { ...member, socketId: ws.socketId };
+
+  if (!localSockets.has(scope)) {
+    localSockets.set(scope, new Map());
+    broker.subscribe(scope, message => deliver(scope, message));
+  }
+  localSockets.get(scope).set(ws.socketId, ws);
+  broker.addMember(scope, ws.member);
+}
+
+// Remove a local socket; returns whether it was still a member
+export function detachSocket(scope, ws) {
+  const scoped = localSockets.get(scope);
+  if (scoped) {
+    scoped.delete(ws.socketId);
+    if (scoped.size === 0) {
+      localSockets.delete(scope);
+      broker.unsubscribe(scope);
+    }
+  }
+  return broker.removeMember(scope, ws.socketId);
+}
+
+// List members on any process, optionally filtered by field values
+export function getMembers(scope, target = {}) {
+  return broker.getMembers(scope).filter(m => matchesTarget(m, target));
+}
+
+export function updateMember(scope, socketId, fields) {
+  broker.updateMember(scope, socketId, fields);
+}
+
+export function removeMember(scope, socketId) {
+  return broker.removeMember(scope, socketId);
+}
+
+// ==================== FAN-OUT ====================
+
+// Send a payload to every member matching target, whichever process holds it
+export function sendToMembers(scope, target, payload, { binary = false } = {}) {
+  broker.publish(scope, { target, payload, binary });
+}
+
+// Ask the process holding a socket to act on it (approve, reject, ...)
+export function sendControl(scope, socketId, control, data = {}) {
+  broker.publish(scope, { ...data, target: { socketId }, control });
+}
+
+export function onControl(control, handler) {
+  controlHandlers.set(control, handler);
+}
+
+// ==================== SESSIONS ====================
+// A socket opened with a user's access token lives as long as that session.
+// Revoking the session (sign-out, or removing the device from the account)
+// sends the 'session-revoked' control to its sockets on every process.
+
+const SESSIONS_SCOPE = 'sessions';
+
+broker.subscribe(SESSIONS_SCOPE, message => {
+  sessionSockets.get(message.sid)?.forEach(ws => controlHandlers.get(message.control)?.(ws, message));
+});
+
+// Tie a socket to a session, or to none when sid is null
+export function trackSessionSocket(ws, sid) {
+  untrackSessionSocket(ws);
+  if (!sid) return;
+  ws.sid = sid;
+  if (!sessionSockets.has(sid)) sessionSockets.set(sid, new Set());
+  sessionSockets.get(sid).add(ws);
+}
+
+export function untrackSessionSocket(ws) {
+  const sockets = ws.sid && sessionSockets.get(ws.sid);
+  if (sockets) {
+    sockets.delete(ws);
+    if (sockets.size === 0) sessionSockets.delete(ws.sid);
+  }
+  ws.sid = null;
+}
+
+export function closeSessionSockets(sid) {
+  broker.publish(SESSIONS_SCOPE, { target: {}, control: 'session-revoked', sid });
+}
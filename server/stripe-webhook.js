@@ -0,0 +1,311 @@
+import {
+  getUserById,
+  getUserByStripeCustomerId,
+  updateUserSubscription,
+  createSubscription,
+  getSubscriptionByStripeId,
+  getSubscriptionByPaymentIntentId,
+  getSubscriptionsForUser,
+  updateSubscriptionStatus,
+  updateSubscriptionStatusById,
+  updateSubscriptionPeriod,
+  updateSubscriptionCancelAtPeriodEnd,
+  getOrganizationByStripeSubscriptionId,
+  claimStripeEvent,
+  markStripeEventProcessed,
+  releaseStripeEvent,
+  ACTIVE_SUBSCRIPTION_STATUSES
+} from './db.js';
+import { syncOrganizationSubscription } from './orgs.js';
+import { recordReferralConversion } from './referrals.js';
+import { getSubscription } from './stripe.js';
+
+// ==================== STRIPE WEBHOOK EVENTS ====================
+// Every handler records what Stripe tells us and then recomputes the user's
+// tier from their subscriptions, so events arriving twice or out of order
+// settle on the same state.
+//
+//   monthly:  trialing -> active <-> past_due -> canceled | unpaid
+//             (cancel_at_period_end keeps it active until the period ends)
+//   lifetime: active -> refunded | disputed (-> active if the dispute is won)
+//   team:     same statuses as monthly, stored on the organization
+
+function toIso(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Billing periods are kept per subscription item (API 2025-03-31 on); all of
+// ours have a single item
+function subscriptionPeriod(subscription) {
+  const item = subscription.items?.data[0];
+  return { start: toIso(item?.current_period_start), end: toIso(item?.current_period_end) };
+}
+
+// Derive a user's tier from their subscriptions. Trials are left alone.
+function syncUserTier(userId, stripeCustomerId = null) {
+  const user = getUserById(userId);
+  if (!user) return;
+
+  const subscriptions = getSubscriptionsForUser(userId);
+  let tier = user.subscription_tier;
+  if (subscriptions.some(s => s.plan_type === 'lifetime' && s.status === 'active')) {
+    tier = 'lifetime';
+  } else if (subscriptions.some(s => s.plan_type === 'monthly' && ACTIVE_SUBSCRIPTION_STATUSES.includes(s.status))) {
+    tier = 'pro';
+  } else if (tier === 'pro' || tier === 'lifetime') {
+    tier = 'free';
+  }
+
+  if (tier !== user.subscription_tier || stripeCustomerId) {
+    updateUserSubscription(userId, tier, stripeCustomerId);
+  }
+}
+
+// The subscription an invoice bills, if any (API 2025-03-31 on)
+function invoiceSubscriptionId(invoice) {
+  const subscription = invoice.parent?.subscription_details?.subscription;
+  return typeof subscription === 'string' ? subscription : subscription?.id || null;
+}
+
+// Create or update our copy of a personal Stripe subscription
+function recordSubscription(subscription, userId) {
+  const { start: periodStart, end: periodEnd } = subscriptionPeriod(subscription);
+
+  if (getSubscriptionByStripeId(subscription.id)) {
+    updateSubscriptionStatus(subscription.id, subscription.status, toIso(subscription.ended_at || subscription.canceled_at));
+    updateSubscriptionPeriod(subscription.id, periodStart, periodEnd);
+  } else if (userId) {
+    createSubscription({
+      userId,
+      stripeSubscriptionId: subscription.id,
+      planType: 'monthly',
+      status: subscription.status,
+      periodStart,
+      periodEnd
+    });
+  } else {
+    return null;
+  }
+
+  updateSubscriptionCancelAtPeriodEnd(subscription.id, subscription.cancel_at_period_end);
+  return getSubscriptionByStripeId(subscription.id);
+}
+
+// Which user a Stripe subscription belongs to
+function findSubscriptionUserId(subscription) {
+  return getSubscriptionByStripeId(subscription.id)?.user_id ||
+    subscription.metadata?.userId ||
+    getUserByStripeCustomerId(subscription.customer)?.id ||
+    null;
+}
+
+function syncTeamSubscription(orgId, subscription, stripeCustomerId) {
+  syncOrganizationSubscription(orgId, {
+    seatCount: subscription.items?.data[0]?.quantity,
+    status: subscription.status,
+    stripeCustomerId,
+    stripeSubscriptionId: subscription.id,
+    periodEnd: subscriptionPeriod(subscription).end
+  });
+}
+
+async function handleCheckoutCompleted(session) {
+  const userId = session.metadata?.userId || session.client_reference_id;
+  const planType = session.metadata?.planType;
+
+  console.log('Checkout completed:', { userId, planType });
+
+  if (planType === 'team' && session.metadata?.orgId && session.subscription) {
+    const subscription = await getSubscription(session.subscription);
+    syncTeamSubscription(session.metadata.orgId, subscription, session.customer);
+    return;
+  }
+
+  if (!userId) return;
+
+  if (planType === 'monthly' && session.subscription) {
+    const subscription = await getSubscription(session.subscription);
+    recordSubscription(subscription, userId);
+  } else if (planType === 'lifetime' && session.payment_status === 'paid') {
+    if (!session.payment_intent || !getSubscriptionByPaymentIntentId(session.payment_intent)) {
+      createSubscription({
+        userId,
+        stripeSubscriptionId: null,
+        planType: 'lifetime',
+        status: 'active',
+        periodStart: new Date().toISOString(),
+        periodEnd: null,
+        paymentIntentId: session.payment_intent
+      });
+    }
+  }
+
+  syncUserTier(userId, session.customer);
+
+  if (planType === 'lifetime' && session.payment_status === 'paid') {
+    await recordReferralConversion(userId);
+  }
+}
+
+// created / updated / deleted: status changes, trial conversions, plan
+// changes, renewals and scheduled cancellations all arrive here
+function handleSubscriptionChanged(subscription) {
+  const org = getOrganizationByStripeSubscriptionId(subscription.id) ||
+    (subscription.metadata?.orgId ? { id: subscription.metadata.orgId } : null);
+  if (org) {
+    syncTeamSubscription(org.id, subscription);
+    return;
+  }
+
+  const userId = findSubscriptionUserId(subscription);
+  if (recordSubscription(subscription, userId)) {
+    syncUserTier(userId);
+  }
+}
+
+// Renewals: move the period forward, and recover from past_due once paid.
+// The first non-zero invoice also converts a referral.
+async function handleInvoicePaid(invoice) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return;
+  const period = invoice.lines?.data[0]?.period;
+  const periodEnd = toIso(period?.end);
+
+  const org = getOrganizationByStripeSubscriptionId(subscriptionId);
+  if (org) {
+    syncOrganizationSubscription(org.id, {
+      status: invoice.amount_paid > 0 ? 'active' : undefined,
+      periodEnd
+    });
+    return;
+  }
+
+  const subscription = getSubscriptionByStripeId(subscriptionId);
+  if (!subscription) return;
+
+  if (period) {
+    updateSubscriptionPeriod(subscriptionId, toIso(period.start), periodEnd);
+  }
+  // The $0 invoice that starts a trial doesn't make the subscription active
+  if (invoice.amount_paid > 0 && subscription.status === 'past_due') {
+    updateSubscriptionStatus(subscriptionId, 'active', subscription.canceled_at);
+  }
+  syncUserTier(subscription.user_id);
+
+  if (invoice.amount_paid > 0) {
+    await recordReferralConversion(subscription.user_id);
+  }
+}
+
+function handleInvoicePaymentFailed(invoice) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return;
+
+  const org = getOrganizationByStripeSubscriptionId(subscriptionId);
+  if (org) {
+    syncOrganizationSubscription(org.id, { status: 'past_due' });
+    return;
+  }
+
+  const subscription = getSubscriptionByStripeId(subscriptionId);
+  if (!subscription) return;
+  updateSubscriptionStatus(subscriptionId, 'past_due', subscription.canceled_at);
+}
+
+// A fully refunded lifetime purchase loses its license. Monthly refunds are
+// handled by cancelling the subscription, which sends its own event.
+function handleChargeRefunded(charge) {
+  if (!charge.refunded || !charge.payment_intent) return;
+
+  const subscription = getSubscriptionByPaymentIntentId(charge.payment_intent);
+  if (!subscription || subscription.plan_type !== 'lifetime') return;
+
+  console.log('Lifetime license refunded:', { userId: subscription.user_id });
+  updateSubscriptionStatusById(subscription.id, 'refunded', new Date().toISOString());
+  syncUserTier(subscription.user_id);
+}
+
+// Chargebacks suspend a lifetime license; winning the dispute restores it
+function handleDisputeCreated(dispute) {
+  const subscription = dispute.payment_intent && getSubscriptionByPaymentIntentId(dispute.payment_intent);
+  if (!subscription || subscription.plan_type !== 'lifetime' || subscription.status !== 'active') return;
+
+  console.log('Lifetime license disputed:', { userId: subscription.user_id });
+  updateSubscriptionStatusById(subscription.id, 'disputed', new Date().toISOString());
+  syncUserTier(subscription.user_id);
+}
+
+function handleDisputeClosed(dispute) {
+  const subscription = dispute.payment_intent && getSubscriptionByPaymentIntentId(dispute.payment_intent);
+  if (!subscription || subscription.status !== 'disputed') return;
+
+  if (dispute.status === 'won') {
+    updateSubscriptionStatusById(subscription.id, 'active');
+  } else {
+    updateSubscriptionStatusById(subscription.id, 'refunded', new Date().toISOString());
+  }
+  syncUserTier(subscription.user_id);
+}
+
+// A handler that hasn't finished after this long is assumed to have crashed
+const EVENT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Apply one verified event exactly once. Returns 'processed' when this call
+// handled it, 'duplicate' if it already was, or 'in_progress' while another
+// delivery of the same event is being handled.
+export async function handleStripeEvent(event) {
+  const staleBefore = new Date(Date.now() - EVENT_CLAIM_TIMEOUT_MS).toISOString();
+  const claim = claimStripeEvent(event.id, event.type, staleBefore);
+  if (claim === 'processed') {
+    console.log('Stripe event already processed:', event.id);
+    return 'duplicate';
+  }
+  if (claim === 'processing') {
+    return 'in_progress';
+  }
+
+  try {
+    await applyStripeEvent(event);
+  } catch (error) {
+    releaseStripeEvent(event.id);
+    throw error;
+  }
+
+  markStripeEventProcessed(event.id);
+  return 'processed';
+}
+
+async function applyStripeEvent(event) {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+      await handleCheckoutCompleted(object);
+      break;
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      handleSubscriptionChanged(object);
+      break;
+
+    case 'invoice.paid':
+      await handleInvoicePaid(object);
+      break;
+
+    case 'invoice.payment_failed':
+      handleInvoicePaymentFailed(object);
+      break;
+
+    case 'charge.refunded':
+      handleChargeRefunded(object);
+      break;
+
+    case 'charge.dispute.created':
+      handleDisputeCreated(object);
+      break;
+
+    case 'charge.dispute.closed':
+      handleDisputeClosed(object);
+      break;
+  }
+}
@@ -1,17 +1,37 @@
 import Stripe from 'stripe';
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// ==================== CLIENT ====================
+// Nothing talks to Stripe at import time. The first call makes a client from
+// STRIPE_SECRET_KEY; tests can instead hand in their own with useStripe().
+
+let client = null;
+
+function stripe() {
+  if (!client) {
+    if (!process.env.STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY is not set');
+    client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return client;
+}
+
+// Make every call below go through another client from now on
+export function useStripe(stripeClient) {
+  client = stripeClient;
+}
 
 const PRICES = {
   monthly: process.env.STRIPE_MONTHLY_PRICE_ID,
-  lifetime: process.env.STRIPE_LIFETIME_PRICE_ID
+  lifetime: process.env.STRIPE_LIFETIME_PRICE_ID,
+  team: process.env.STRIPE_TEAM_PRICE_ID
 };
 
-export async function createCheckoutSession(user, planType, baseUrl) {
+// promotionCodeId comes from findPromotionCode; without one, customers can
+// still type a code on the Stripe checkout page. trialDays comes from
+// getCheckoutTrialDays in trials.js.
+export async function createCheckoutSession(user, planType, baseUrl, { promotionCodeId, trialDays = 0 } = {}) {
   const isSubscription = planType === 'monthly';
 
   const sessionConfig = {
-    customer_email: user.email,
     client_reference_id: user.id,
     mode: isSubscription ? 'subscription' : 'payment',
     line_items: [{
@@ -26,20 +46,75 @@ export async function createCheckoutSession(user, planType, baseUrl) {
     }
   };
 
-  // For subscriptions, add 7-day free trial and allow promotion codes
-  if (isSubscription) {
+  // Reuse the Stripe customer so referral credit on their balance applies
+  if (user.stripe_customer_id) {
+    sessionConfig.customer = user.stripe_customer_id;
+  } else {
+    sessionConfig.customer_email = user.email;
+  }
+
+  if (promotionCodeId) {
+    sessionConfig.discounts = [{ promotion_code: promotionCodeId }];
+  } else {
     sessionConfig.allow_promotion_codes = true;
+  }
+
+  // For subscriptions, carry over the rest of the account's trial
+  if (isSubscription) {
     sessionConfig.subscription_data = {
-      trial_period_days: 7
+      metadata: { userId: user.id }
     };
+    if (trialDays > 0) {
+      sessionConfig.subscription_data.trial_period_days = trialDays;
+    }
   }
 
-  const session = await stripe.checkout.sessions.create(sessionConfig);
+  const session = await stripe().checkout.sessions.create(sessionConfig);
   return session;
 }
 
+// Team plan: one subscription, billed per seat
+export async function createTeamCheckoutSession(org, owner, seats, baseUrl) {
+  const sessionConfig = {
+    client_reference_id: owner.id,
+    mode: 'subscription',
+    line_items: [{
+      price: PRICES.team,
+      quantity: seats
+    }],
+    allow_promotion_codes: true,
+    success_url: `${baseUrl}/team?checkout=success`,
+    cancel_url: `${baseUrl}/team`,
+    metadata: {
+      userId: owner.id,
+      orgId: org.id,
+      planType: 'team'
+    },
+    subscription_data: {
+      metadata: { orgId: org.id }
+    }
+  };
+
+  if (org.stripe_customer_id) {
+    sessionConfig.customer = org.stripe_customer_id;
+  } else {
+    sessionConfig.customer_email = owner.email;
+  }
+
+  return await stripe().checkout.sessions.create(sessionConfig);
+}
+
+// Change the seat count on a team subscription, prorating the difference
+export async function updateSubscriptionSeats(subscriptionId, seats) {
+  const subscription = await stripe().subscriptions.retrieve(subscriptionId);
+  return await stripe().subscriptions.update(subscriptionId, {
+    items: [{ id: subscription.items.data[0].id, quantity: seats }],
+    proration_behavior: 'create_prorations'
+  });
+}
+
 export async function createPortalSession(stripeCustomerId, returnUrl) {
-  const session = await stripe.billingPortal.sessions.create({
+  const session = await stripe().billingPortal.sessions.create({
     customer: stripeCustomerId,
     return_url: returnUrl
   });
@@ -47,28 +122,98 @@ export async function createPortalSession(stripeCustomerId, returnUrl) {
 }
 
 export async function getCheckoutSession(sessionId) {
-  return await stripe.checkout.sessions.retrieve(sessionId, {
+  return await stripe().checkout.sessions.retrieve(sessionId, {
     expand: ['subscription', 'customer']
   });
 }
 
 export async function getSubscription(subscriptionId) {
-  return await stripe.subscriptions.retrieve(subscriptionId);
+  return await stripe().subscriptions.retrieve(subscriptionId);
+}
+
+// End a subscription now rather than at the period end
+export async function cancelSubscription(subscriptionId) {
+  return await stripe().subscriptions.cancel(subscriptionId);
 }
 
+// ==================== WEBHOOK SIGNATURES ====================
+// Webhook payloads are always verified. A server taking real payments (a
+// live secret key, or STRIPE_WEBHOOK_REQUIRED=true) won't start without the
+// endpoint's signing secret. Otherwise a local test secret will do, e.g. the
+// one `stripe listen` prints, or webhooks stay switched off.
+//
+//   STRIPE_WEBHOOK_SECRET=whsec_... (production endpoint secret)
+//   STRIPE_WEBHOOK_TEST_SECRET=whsec_... (development only)
+//   STRIPE_WEBHOOK_REQUIRED=true to insist on STRIPE_WEBHOOK_SECRET with a test key
+
+function isLiveKey(key) {
+  return typeof key === 'string' && /^(sk|rk)_live_/.test(key);
+}
+
+function loadWebhookConfig(env) {
+  if (env.STRIPE_WEBHOOK_SECRET) {
+    return { mode: 'live', secret: env.STRIPE_WEBHOOK_SECRET };
+  }
+
+  if (isLiveKey(env.STRIPE_SECRET_KEY)) {
+    throw new Error('STRIPE_WEBHOOK_SECRET is required with a live Stripe key');
+  }
+  if (env.STRIPE_WEBHOOK_REQUIRED === 'true') {
+    throw new Error('STRIPE_WEBHOOK_SECRET is required (STRIPE_WEBHOOK_REQUIRED=true)');
+  }
+
+  if (env.STRIPE_WEBHOOK_TEST_SECRET) {
+    console.log('[Stripe] Webhook dev mode: verifying events with STRIPE_WEBHOOK_TEST_SECRET');
+    return { mode: 'dev', secret: env.STRIPE_WEBHOOK_TEST_SECRET };
+  }
+
+  console.log('[Stripe] No webhook secret configured; webhooks are disabled');
+  return { mode: 'disabled', secret: null };
+}
+
+const webhookConfig = loadWebhookConfig(process.env);
+
+export function isWebhookEnabled() {
+  return webhookConfig.mode !== 'disabled';
+}
+
+// Throws if the signature doesn't match or the timestamp is too old to
+// rule out a replay
 export function constructWebhookEvent(payload, signature) {
-  return stripe.webhooks.constructEvent(
-    payload,
-    signature,
-    process.env.STRIPE_WEBHOOK_SECRET
-  );
+  return stripe().webhooks.constructEvent(payload, signature, webhookConfig.secret);
+}
+
+// Look up an active promotion code by the text customers type
+export async function findPromotionCode(code) {
+  const result = await stripe().promotionCodes.list({ code, active: true, limit: 1 });
+  return result.data[0] || null;
+}
+
+// Negative balance is credit Stripe takes off the customer's next invoice
+export async function creditCustomerBalance(stripeCustomerId, amountCents, description, idempotencyKey) {
+  return await stripe().customers.createBalanceTransaction(stripeCustomerId, {
+    amount: -amountCents,
+    currency: process.env.STRIPE_CURRENCY || 'usd',
+    description
+  }, { idempotencyKey });
 }
 
 export async function createCustomer(email, name) {
-  return await stripe.customers.create({
+  return await stripe().customers.create({
     email,
     name
   });
 }
 
-export { stripe, PRICES };
+// Removes the customer's details from Stripe and ends any subscriptions
+// they still have. A customer that's already gone is not an error.
+export async function deleteCustomer(stripeCustomerId) {
+  try {
+    return await stripe().customers.del(stripeCustomerId);
+  } catch (error) {
+    if (error.code === 'resource_missing') return null;
+    throw error;
+  }
+}
+
+export { PRICES };
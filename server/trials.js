@@ -0,0 +1,90 @@
+import { createHash } from 'crypto';
+import {
+  createUser,
+  claimTrial,
+  getTrialClaim,
+  getSubscriptionsForUser,
+  FEATURES,
+  TRIAL_POLICY
+} from './db.js';
+
+// ==================== TRIAL ENFORCEMENT ====================
+// One trial per email address and per device. Claims store a hash of the
+// canonical email or device ID, and outlive the account that made them, so
+// deleting an account or reinstalling an app doesn't buy a new trial.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function claimHash(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+// Collapse the usual ways to spell one mailbox differently:
+// case, +tags, and dots in Gmail addresses
+export function canonicalEmail(email) {
+  const [local, domain] = String(email).trim().toLowerCase().split('@');
+  let name = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    name = name.replace(/\./g, '');
+    return `${name}@gmail.com`;
+  }
+  return `${name}@${domain}`;
+}
+
+// Create an account with the trial it's entitled to: none if this email
+// already had one
+export function createUserWithTrial(fields, { referred = false } = {}) {
+  const emailHash = claimHash(canonicalEmail(fields.email));
+  const alreadyTrialed = TRIAL_POLICY.onePerEmail && getTrialClaim('email', emailHash);
+
+  const trialDays = alreadyTrialed ? 0 : referred ? TRIAL_POLICY.referralDays : TRIAL_POLICY.days;
+  const user = createUser({ ...fields, trialDays });
+  if (alreadyTrialed) {
+    console.log('Trial already used for this email:', { userId: user.id });
+  } else {
+    claimTrial('email', emailHash, user.id);
+  }
+  return user;
+}
+
+// The license a given device gets. A trial only runs on devices that
+// haven't already run another account's trial.
+export function applyDeviceTrialPolicy(user, license, deviceId) {
+  if (license.tier !== 'trial' || !TRIAL_POLICY.onePerDevice || !deviceId) {
+    return license;
+  }
+
+  const owner = claimTrial('device', claimHash(deviceId), user.id);
+  if (owner === user.id) return license;
+
+  return {
+    tier: 'free',
+    features: FEATURES.FREE,
+    trialIneligible: 'device'
+  };
+}
+
+// Free days a monthly checkout starts with: what's left of the account's own
+// trial, so subscribing early doesn't cut it short. None for a returning
+// customer, once the trial is over, or on a device that ran another
+// account's trial (where this one never applied).
+export function getCheckoutTrialDays(user, { deviceId } = {}) {
+  if (user.subscription_tier !== 'trial') return 0;
+  if (getSubscriptionsForUser(user.id).length > 0) return 0;
+  if (TRIAL_POLICY.onePerDevice && deviceId) {
+    const claim = getTrialClaim('device', claimHash(deviceId));
+    if (claim && claim.user_id !== user.id) return 0;
+  }
+
+  const left = new Date(user.trial_ends_at).getTime() - Date.now();
+  return left > 0 ? Math.ceil(left / DAY_MS) : 0;
+}
+
+// What clients show before anyone signs in
+export function getPublicTrialPolicy() {
+  return {
+    days: TRIAL_POLICY.days,
+    referralDays: TRIAL_POLICY.referralDays,
+    features: TRIAL_POLICY.features
+  };
+}
@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import { createUserSession } from '../server/auth.js';
+import { hashAdminPassword } from '../server/admin-auth.js';
+import { useStripe } from '../server/stripe.js';
+import { app } from '../server/index.js';
+
+// Self-service account export and deletion, with Stripe calls recorded
+// instead of sent
+
+let listener;
+let baseUrl;
+let stripeCalls;
+
+before(async () => {
+  db.useDatabase(db.createDatabase(':memory:'));
+  listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+  db.closeDatabase();
+});
+
+beforeEach(() => {
+  stripeCalls = [];
+  useStripe({
+    subscriptions: {
+      cancel: async (id) => {
+        stripeCalls.push(['subscriptions.cancel', id]);
+        return { id, status: 'canceled' };
+      }
+    },
+    customers: {
+      del: async (id) => {
+        stripeCalls.push(['customers.del', id]);
+        return { id, deleted: true };
+      }
+    }
+  });
+});
+
+function request(method, path, token, body) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body)
+  });
+}
+
+// A paying customer with a registered computer
+function subscriber(email) {
+  const user = db.createUser({ email, name: 'Subscriber' });
+  db.setUserStripeCustomerId(user.id, `cus_${user.id}`);
+  db.createSubscription({
+    userId: user.id,
+    stripeSubscriptionId: `sub_${user.id}`,
+    planType: 'monthly',
+    status: 'active',
+    periodStart: '2026-01-01T00:00:00.000Z',
+    periodEnd: '2026-02-01T00:00:00.000Z'
+  });
+  db.updateUserSubscription(user.id, 'pro');
+  db.saveComputer({ userId: user.id, computerId: 'EXPORT1', name: 'Laptop' });
+  return { user, token: createUserSession(user).token };
+}
+
+test('the export is a JSON download of the account', async () => {
+  const { user, token } = subscriber('export@example.com');
+  const response = await request('GET', '/api/account/export', token);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="orbitxe-account-\d{4}-\d{2}-\d{2}\.json"/);
+
+  const data = await response.json();
+  assert.equal(data.account.id, user.id);
+  assert.equal(data.account.email, 'export@example.com');
+  assert.equal(data.account.stripeCustomerId, `cus_${user.id}`);
+  assert.deepEqual(data.subscriptions.map(s => [s.plan, s.status]), [['monthly', 'active']]);
+  assert.deepEqual(data.computers.map(c => [c.id, c.name]), [['EXPORT1', 'Laptop']]);
+  assert.equal(data.sessions.length, 1);
+});
+
+test('deleting needs the account email typed to confirm', async () => {
+  const { user, token } = subscriber('confirm@example.com');
+  const response = await request('POST', '/api/account/delete', token, { confirmEmail: 'someone-else@example.com' });
+  assert.equal(response.status, 400);
+  assert.equal(stripeCalls.length, 0);
+  assert.equal(db.getUserById(user.id).deleted_at, null);
+});
+
+test('deleting cancels billing and anonymizes the account', async () => {
+  const { user, token } = subscriber('delete@example.com');
+  const response = await request('POST', '/api/account/delete', token, { confirmEmail: ' Delete@Example.com ' });
+  assert.equal(response.status, 200);
+
+  assert.deepEqual(stripeCalls, [
+    ['subscriptions.cancel', `sub_${user.id}`],
+    ['customers.del', `cus_${user.id}`]
+  ]);
+
+  const deleted = db.getUserById(user.id);
+  assert.ok(deleted.deleted_at);
+  assert.equal(deleted.email, `deleted-${user.id}@deleted.invalid`);
+  assert.equal(deleted.name, null);
+  assert.deepEqual(db.getComputersForUser(user.id), []);
+  assert.deepEqual(db.getActiveSessionsForUser(user.id), []);
+  assert.equal(db.getSubscriptionsForUser(user.id)[0].status, 'revoked');
+  assert.equal(db.getAdminAuditLog({ targetUserId: user.id })[0].action, 'user.self_delete');
+
+  // Signed out everywhere, including here
+  assert.equal((await request('GET', '/api/account/export', token)).status, 401);
+});
+
+test('the last admin owner cannot delete their account', async () => {
+  const { user, token } = subscriber('last-owner@example.com');
+  db.createAdminUser({ userId: user.id, role: 'owner', passwordHash: hashAdminPassword('correct horse battery') });
+
+  const response = await request('POST', '/api/account/delete', token, { confirmEmail: 'last-owner@example.com' });
+  assert.equal(response.status, 409);
+  assert.match((await response.json()).error, /last admin owner/);
+  assert.equal(stripeCalls.length, 0);
+  assert.equal(db.getUserById(user.id).deleted_at, null);
+});
@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import { hashAdminPassword } from '../server/admin-auth.js';
+import { useStripe } from '../server/stripe.js';
+import { app } from '../server/index.js';
+
+// The admin API on an in-memory database. Requests come through a proxy on
+// this machine (TRUST_PROXY=loopback) that appends the client address to
+// X-Forwarded-For.
+
+const PASSWORD = 'correct horse battery';
+
+let listener;
+let baseUrl;
+let ownerToken;
+let org;
+let member;
+
+before(async () => {
+  db.useDatabase(db.createDatabase(':memory:'));
+  app.set('trust proxy', 'loopback');
+  listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  const owner = db.createUser({ email: 'admin-owner@example.com', name: 'Owner' });
+  db.createAdminUser({ userId: owner.id, role: 'owner', passwordHash: hashAdminPassword(PASSWORD) });
+  ownerToken = (await signIn('admin-owner@example.com', PASSWORD, '198.51.100.7')).token;
+
+  const teamOwner = db.createUser({ email: 'team-owner@example.com', name: 'Team Owner' });
+  member = db.createUser({ email: 'team-member@example.com', name: 'Member' });
+  org = db.createOrganization({ name: 'Audited Team', ownerUserId: teamOwner.id });
+  db.addOrganizationMember(org.id, member.id);
+  db.updateOrganizationBilling(org.id, { seatCount: 3, status: 'active' });
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+  db.closeDatabase();
+});
+
+function request(method, path, { body, token = ownerToken, clientIp = '198.51.100.7' } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Forwarded-For': `203.0.113.66, ${clientIp}`,
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function signIn(email, password, clientIp) {
+  const response = await request('POST', '/api/admin/session', { body: { email, password }, token: null, clientIp });
+  return { status: response.status, ...(await response.json()) };
+}
+
+function latestAudit() {
+  return db.getAdminAuditLog({ limit: 1 })[0];
+}
+
+test('billing overrides are audited against the organization owner', async () => {
+  const response = await request('PATCH', `/api/admin/orgs/${org.id}`, { body: { seats: 5, status: 'past_due' } });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).seatCount, 5);
+
+  const entry = latestAudit();
+  assert.equal(entry.action, 'org.update');
+  assert.equal(entry.actor, 'admin-owner@example.com');
+  assert.equal(entry.target_user_id, org.owner_user_id);
+  assert.deepEqual(entry.details, { orgId: org.id, seats: { from: 3, to: 5 }, status: { from: 'active', to: 'past_due' } });
+});
+
+test('seat changes are audited against the member', async () => {
+  assert.equal((await request('POST', `/api/admin/orgs/${org.id}/members/${member.id}/seat`)).status, 200);
+  assert.equal(latestAudit().action, 'org.seat_assign');
+  assert.equal(latestAudit().target_user_id, member.id);
+
+  assert.equal((await request('DELETE', `/api/admin/orgs/${org.id}/members/${member.id}/seat`)).status, 200);
+  assert.equal(latestAudit().action, 'org.seat_remove');
+  assert.deepEqual(latestAudit().details, { orgId: org.id });
+});
+
+test('a rejected override is not audited', async () => {
+  const before = latestAudit().id;
+  const response = await request('PATCH', `/api/admin/orgs/${org.id}`, { body: { status: 'gifted' } });
+  assert.equal(response.status, 400);
+  assert.equal(latestAudit().id, before);
+});
+
+test('the audit log records the address the proxy saw, not one the client sent', async () => {
+  await request('POST', `/api/admin/orgs/${org.id}/members/${member.id}/seat`);
+  assert.equal(latestAudit().ip_address, '198.51.100.7');
+});
+
+test('without a trusted proxy, X-Forwarded-For is ignored', async () => {
+  app.set('trust proxy', false);
+  try {
+    await request('POST', `/api/admin/orgs/${org.id}/members/${member.id}/seat`);
+    assert.equal(latestAudit().ip_address.replace(/^::ffff:/, ''), '127.0.0.1');
+  } finally {
+    app.set('trust proxy', 'loopback');
+  }
+});
+
+test('wrong passwords lock an admin out only from the address they came from', async () => {
+  const viewer = db.createUser({ email: 'admin-viewer@example.com', name: 'Viewer' });
+  db.createAdminUser({ userId: viewer.id, role: 'viewer', passwordHash: hashAdminPassword(PASSWORD) });
+
+  const statuses = [];
+  for (let i = 0; i < 5; i++) {
+    statuses.push((await signIn('admin-viewer@example.com', 'wrong password', '192.0.2.1')).status);
+  }
+  assert.deepEqual(statuses, [401, 401, 401, 401, 423]);
+  assert.equal(latestAudit().action, 'admin.locked');
+  assert.equal(latestAudit().ip_address, '192.0.2.1');
+
+  assert.equal((await signIn('admin-viewer@example.com', PASSWORD, '192.0.2.1')).status, 423);
+  assert.equal((await signIn('admin-viewer@example.com', PASSWORD, '192.0.2.2')).status, 200);
+});
+
+test('comping a lifetime license cancels the monthly plan first', async () => {
+  const cancelled = [];
+  useStripe({ subscriptions: { cancel: async (id) => { cancelled.push(id); return { id, status: 'canceled' }; } } });
+
+  const user = db.createUser({ email: 'monthly-comp@example.com', name: 'Monthly' });
+  const monthly = db.createSubscription({
+    userId: user.id,
+    stripeSubscriptionId: 'sub_comp',
+    planType: 'monthly',
+    status: 'active',
+    periodStart: '2026-01-01T00:00:00.000Z',
+    periodEnd: '2026-02-01T00:00:00.000Z'
+  });
+  db.updateUserSubscription(user.id, 'pro');
+
+  const response = await request('POST', `/api/admin/users/${user.id}/lifetime`, { body: { reason: 'long-time supporter' } });
+  assert.equal(response.status, 200);
+  assert.deepEqual(cancelled, ['sub_comp']);
+
+  const subscriptions = db.getSubscriptionsForUser(user.id);
+  assert.equal(subscriptions.find(s => s.id === monthly.id).status, 'revoked');
+  const lifetime = subscriptions.find(s => s.plan_type === 'lifetime');
+  assert.equal(lifetime.status, 'active');
+  assert.equal(db.getUserById(user.id).subscription_tier, 'lifetime');
+
+  const entry = latestAudit();
+  assert.equal(entry.action, 'lifetime.comp');
+  assert.deepEqual(entry.details.revokedSubscriptions, [monthly.id]);
+  assert.equal(entry.details.subscriptionId, lifetime.id);
+});
+
+test('the last owner cannot delete their own account', async () => {
+  const [owner] = db.getAdminUsers().filter(a => a.role === 'owner');
+  const response = await request('DELETE', `/api/admin/users/${owner.user_id}`, { body: { reason: 'leaving' } });
+  assert.equal(response.status, 409);
+  assert.equal(db.getUserById(owner.user_id).deleted_at, null);
+  assert.equal(db.anonymizeUser(owner.user_id), null);
+  assert.equal(db.getAdminUser(owner.user_id).role, 'owner');
+});
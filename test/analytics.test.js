@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import {
+  parseAnalyticsQuery,
+  getTimeSeries,
+  getFunnel,
+  purgeExpiredAnalytics,
+  ANALYTICS_RETENTION_DAYS
+} from '../server/analytics.js';
+import { app } from '../server/index.js';
+
+// Website tracking and the admin reports on an in-memory database. Reports
+// cover the default last 30 days.
+
+const CHROME_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+let conn;
+let listener;
+let baseUrl;
+
+before(async () => {
+  conn = db.createDatabase(':memory:');
+  db.useDatabase(conn);
+  listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+  db.closeDatabase();
+});
+
+async function track(path, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'User-Agent': CHROME_ON_WINDOWS, ...headers },
+    body: JSON.stringify(body)
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).tracked;
+}
+
+function count(table) {
+  return conn.prepare(`SELECT COUNT(*) as count FROM ${table}`).get().count;
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function subscribe(email, { planType = 'lifetime', status = 'active', stripeSubscriptionId = null, paymentIntentId = null } = {}) {
+  const user = db.createUser({ email });
+  db.createSubscription({
+    userId: user.id,
+    stripeSubscriptionId,
+    planType,
+    status,
+    periodStart: new Date().toISOString(),
+    periodEnd: null,
+    paymentIntentId
+  });
+  return user;
+}
+
+test('only subscriptions someone paid for and kept count as paid', () => {
+  subscribe('monthly@example.com', { planType: 'monthly', stripeSubscriptionId: 'sub_paid' });
+  subscribe('lifetime@example.com', { paymentIntentId: 'pi_paid' });
+  // Given away by an admin
+  subscribe('comped@example.com');
+  // Paid, then refunded
+  subscribe('refunded@example.com', { status: 'refunded', paymentIntentId: 'pi_refunded' });
+  subscribe('disputed@example.com', { status: 'disputed', paymentIntentId: 'pi_disputed' });
+
+  const filters = parseAnalyticsQuery();
+  const newSubscriptions = getTimeSeries(filters).series.reduce((sum, day) => sum + day.newSubscriptions, 0);
+  assert.equal(newSubscriptions, 2);
+
+  const steps = Object.fromEntries(getFunnel(filters).steps.map(({ step, users }) => [step, users]));
+  assert.equal(steps['Signed up'], 5);
+  assert.equal(steps['Paid after trial'], 2);
+  assert.equal(steps['Still paying'], 2);
+});
+
+test('a page view keeps no address, user agent or search terms', async () => {
+  assert.equal(await track('/api/track-view', { page: '/pricing', referrer: 'https://www.google.com/search?q=orbitxe' }), true);
+
+  const view = conn.prepare('SELECT * FROM page_views ORDER BY id DESC LIMIT 1').get();
+  assert.equal(view.page, '/pricing');
+  assert.equal(view.browser, 'Chrome');
+  assert.equal(view.os, 'Windows');
+  assert.equal(view.referrer, 'https://www.google.com');
+  assert.match(view.visitor_hash, /^[\w-]{22}$/);
+  assert.ok(!JSON.stringify(view).includes('127.0.0.1'));
+});
+
+test('Do Not Track, Global Privacy Control and declined consent are honored', async () => {
+  const views = count('page_views');
+  const downloads = count('downloads');
+
+  assert.equal(await track('/api/track-view', { page: '/' }, { DNT: '1' }), false);
+  assert.equal(await track('/api/track-view', { page: '/' }, { 'Sec-GPC': '1' }), false);
+  assert.equal(await track('/api/track-view', { page: '/', consent: false }), false);
+  assert.equal(await track('/api/track-download', { platform: 'mac' }, { DNT: '1' }), false);
+  assert.equal(await track('/api/track-download', { platform: 'mac' }, { 'Sec-GPC': '1' }), false);
+  assert.equal(count('page_views'), views);
+  assert.equal(count('downloads'), downloads);
+
+  // DNT: 0 is not an opt-out
+  assert.equal(await track('/api/track-download', { platform: 'mac' }, { DNT: '0' }), true);
+  assert.equal(count('downloads'), downloads + 1);
+});
+
+test('page views and downloads past the retention window are purged', () => {
+  const addView = conn.prepare('INSERT INTO page_views (page, visitor_hash, browser, os, viewed_at) VALUES (?, ?, ?, ?, ?)');
+  const addDownload = conn.prepare('INSERT INTO downloads (platform, file_name, browser, os, downloaded_at) VALUES (?, ?, ?, ?, ?)');
+  addView.run('/expired', 'old-visitor', 'Chrome', 'Windows', daysAgo(ANALYTICS_RETENTION_DAYS + 1));
+  addView.run('/kept', 'recent-visitor', 'Chrome', 'Windows', daysAgo(ANALYTICS_RETENTION_DAYS - 1));
+  addDownload.run('linux', 'old.AppImage', 'Firefox', 'Linux', daysAgo(ANALYTICS_RETENTION_DAYS + 1));
+  addDownload.run('linux', 'new.AppImage', 'Firefox', 'Linux', daysAgo(ANALYTICS_RETENTION_DAYS - 1));
+
+  assert.deepEqual(purgeExpiredAnalytics(), { pageViews: 1, downloads: 1 });
+  assert.equal(conn.prepare("SELECT COUNT(*) as count FROM page_views WHERE page = '/expired'").get().count, 0);
+  assert.equal(conn.prepare("SELECT COUNT(*) as count FROM page_views WHERE page = '/kept'").get().count, 1);
+  assert.equal(conn.prepare("SELECT COUNT(*) as count FROM downloads WHERE file_name = 'new.AppImage'").get().count, 1);
+  assert.deepEqual(purgeExpiredAnalytics(), { pageViews: 0, downloads: 0 });
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMemoryBroker, createSqliteBroker } from '../server/broker.js';
+import { createDatabase, useDatabase, closeDatabase, createUser, saveComputer } from '../server/db.js';
+import { generateDesktopToken } from '../server/auth.js';
+import { startServer, connect } from './helpers.js';
+
+// Two server processes sharing one SQLite broker file, the way
+// ROOM_BROKER=sqlite is meant to run behind a load balancer
+
+const dir = mkdtempSync(join(tmpdir(), 'orbitxe-broker-'));
+const env = {
+  ROOM_BROKER: 'sqlite',
+  ROOM_BROKER_PATH: join(dir, 'broker.db'),
+  DATABASE_PATH: join(dir, 'orbitxe.db')
+};
+let serverA;
+let serverB;
+
+before(async () => {
+  // One process at a time so only one of them creates the database
+  serverA = await startServer(env);
+  serverB = await startServer(env);
+});
+
+after(async () => {
+  await Promise.all([serverA?.stop(), serverB?.stop()]);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('a controller on one process drives a display on the other', async () => {
+  const room = await fetch(`${serverA.url}/api/rooms`, { method: 'POST' }).then(r => r.json());
+
+  const display = connect(`${serverA.wsUrl}/ws/${room.roomId}`);
+  await display.opened;
+  display.send({ type: 'join', role: 'display', ownerToken: room.ownerToken });
+  await display.next('joined');
+
+  const controller = connect(`${serverB.wsUrl}/ws/${room.roomId}`);
+  await controller.opened;
+  controller.send({ type: 'join', role: 'controller', pairingSecret: room.pairingSecret, deviceName: 'Phone' });
+  await controller.next('pendingApproval');
+
+  const request = await display.next('controllerRequest');
+  assert.equal(request.deviceName, 'Phone');
+  display.send({ type: 'approveController', requestId: request.requestId });
+  await controller.next('joined');
+
+  controller.send({ type: 'action', action: 'playPause' });
+  const relayed = await display.next('action');
+  assert.equal(relayed.action, 'playPause');
+
+  controller.close();
+  display.close();
+});
+
+test('a desktop connecting on another process replaces the first one', async () => {
+  // Register the computer in the database both servers share
+  useDatabase(createDatabase(env.DATABASE_PATH));
+  const user = createUser({ email: 'desktop@example.com', name: 'Desktop' });
+  const computer = saveComputer({ userId: user.id, computerId: 'BROKER1', name: 'Laptop' });
+  const token = encodeURIComponent(generateDesktopToken(computer));
+  closeDatabase();
+
+  const first = connect(`${serverA.wsUrl}/?code=BROKER1&role=desktop&token=${token}`);
+  await first.opened;
+
+  const second = connect(`${serverB.wsUrl}/?code=BROKER1&role=desktop&token=${token}`);
+  await second.opened;
+
+  const replaced = await first.next('replaced');
+  assert.ok(replaced.reason);
+  assert.deepEqual(await first.closed, { code: 4002, reason: 'replaced' });
+
+  // The new desktop keeps the session
+  const viewer = connect(`${serverA.wsUrl}/?code=BROKER1&role=phone`);
+  await viewer.opened;
+  const joined = await second.next('viewer-joined');
+  assert.ok(joined.viewerId);
+
+  viewer.close();
+  second.close();
+});
+
+test('both brokers share members between handles', () => {
+  const sqlitePath = join(dir, 'unit-broker.db');
+  for (const [name, [one, two]] of [
+    ['memory', (() => { const b = createMemoryBroker(); return [b, b]; })()],
+    ['sqlite', [createSqliteBroker({ path: sqlitePath }), createSqliteBroker({ path: sqlitePath })]]
+  ]) {
+    one.addMember('room:X', { socketId: 's1', role: 'display' });
+    two.addMember('room:X', { socketId: 's2', role: 'controller' });
+    assert.deepEqual(one.getMembers('room:X').map(m => m.socketId), ['s1', 's2'], name);
+
+    two.updateMember('room:X', 's2', { status: 'active' });
+    assert.equal(one.getMembers('room:X')[1].status, 'active', name);
+
+    assert.equal(one.removeMember('room:X', 's2'), true, name);
+    assert.equal(two.removeMember('room:X', 's2'), false, name);
+
+    one.close();
+    if (two !== one) two.close();
+  }
+});
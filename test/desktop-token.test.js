@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDatabase, useDatabase, closeDatabase, createUser } from '../server/db.js';
+import { createUserSession } from '../server/auth.js';
+import { server } from '../server/index.js';
+import { connect } from './helpers.js';
+
+// Desktop tokens against the app itself, on an in-memory database
+
+let baseUrl;
+let authToken;
+
+before(async () => {
+  useDatabase(createDatabase(':memory:'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `127.0.0.1:${server.address().port}`;
+
+  const user = createUser({ email: 'desktop@example.com', name: 'Desktop' });
+  authToken = createUserSession(user).token;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  closeDatabase();
+});
+
+function api(method, path, body) {
+  return fetch(`http://${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function registerComputer(computerId) {
+  const response = await api('POST', '/api/computers', { computerId, name: 'Laptop' });
+  assert.equal(response.status, 200);
+  return (await response.json()).desktopToken;
+}
+
+// Whether the server lets the desktop in: a rejected one is told so straight
+// away, an accepted one hears about the viewer that joins after it
+async function connectDesktop(computerId, desktopToken) {
+  const desktop = connect(`ws://${baseUrl}/?code=${computerId}&role=desktop&token=${encodeURIComponent(desktopToken)}`);
+  await desktop.opened;
+  const viewer = connect(`ws://${baseUrl}/?code=${computerId}&role=phone`);
+  await viewer.opened;
+
+  const accepted = await Promise.race([
+    desktop.next('auth-failed').then(() => false, () => null),
+    desktop.next('viewer-joined').then(() => true, () => null)
+  ]);
+  viewer.close();
+  desktop.close();
+  return accepted;
+}
+
+test('a desktop connects with the token from its registration', async () => {
+  const desktopToken = await registerComputer('TOKEN1');
+  assert.equal(await connectDesktop('TOKEN1', desktopToken), true);
+});
+
+test('a token from before the computer was removed stays revoked after registering again', async () => {
+  const oldToken = await registerComputer('TOKEN2');
+  assert.equal((await api('DELETE', '/api/computers/TOKEN2')).status, 200);
+
+  const newToken = await registerComputer('TOKEN2');
+  assert.equal(await connectDesktop('TOKEN2', oldToken), false);
+  assert.equal(await connectDesktop('TOKEN2', newToken), true);
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import { createUserSession } from '../server/auth.js';
+import { app } from '../server/index.js';
+
+// Linking the desktop app to an account: the app shows a code, a signed-in
+// browser approves it, and the app's next poll gets a session
+
+process.env.LICENSE_DEV_KEY = 'true';
+
+let conn;
+let listener;
+let baseUrl;
+let user;
+let authToken;
+
+before(async () => {
+  conn = db.createDatabase(':memory:');
+  db.useDatabase(conn);
+  listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  user = db.createUser({ email: 'link-owner@example.com', name: 'Link Owner' });
+  authToken = createUserSession(user).token;
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+  db.closeDatabase();
+});
+
+async function request(method, path, { body, token } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function startLink(deviceId = 'desktop-device-1') {
+  return request('POST', '/api/license/link', { body: { deviceId, deviceName: 'Work laptop' } });
+}
+
+function poll(pollToken) {
+  return request('POST', '/api/license/link/poll', { body: { pollToken } });
+}
+
+function approve(userCode, token = authToken) {
+  return request('POST', '/api/license/link/approve', { body: { userCode }, token });
+}
+
+test('an approved device receives a session and license once', async () => {
+  const { status, body: link } = await startLink();
+  assert.equal(status, 200);
+  assert.match(link.userCode, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  assert.equal(link.verificationUrl, `${baseUrl}/link`);
+
+  assert.deepEqual(await poll(link.pollToken), { status: 202, body: { status: 'pending' } });
+
+  // Typed without the dash, in lower case
+  const approved = await approve(link.userCode.replace('-', '').toLowerCase());
+  assert.deepEqual(approved, { status: 200, body: { success: true, deviceName: 'Work laptop' } });
+
+  const claimed = await poll(link.pollToken);
+  assert.equal(claimed.status, 200);
+  assert.equal(claimed.body.user.id, user.id);
+  assert.ok(claimed.body.token && claimed.body.refreshToken && claimed.body.licenseToken);
+  assert.equal(claimed.body.license.tier, 'trial');
+  const session = db.getActiveSessionsForUser(user.id).find(s => s.device_name === 'Work laptop');
+  assert.ok(session);
+
+  // The session goes to the first poll only
+  assert.equal((await poll(link.pollToken)).status, 410);
+});
+
+test('approving needs a signed-in user and a live code', async () => {
+  const { body: link } = await startLink();
+  assert.equal((await approve(link.userCode, null)).status, 401);
+  assert.equal((await approve('ZZZZ-ZZZZ')).status, 404);
+
+  assert.equal((await approve(link.userCode)).status, 200);
+  // Already used
+  assert.equal((await approve(link.userCode)).status, 404);
+});
+
+test('a code nobody approved in time expires', async () => {
+  const { body: link } = await startLink();
+  conn.prepare('UPDATE device_links SET expires_at = ? WHERE id = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), link.pollToken.split('.')[0]);
+
+  assert.equal((await poll(link.pollToken)).status, 410);
+  assert.equal((await approve(link.userCode)).status, 404);
+});
+
+test('polling needs the secret from the start of the link', async () => {
+  const { body: link } = await startLink();
+  const [id] = link.pollToken.split('.');
+  assert.equal((await poll(`${id}.not-the-secret`)).status, 404);
+  assert.equal((await poll('garbage')).status, 404);
+  assert.equal((await startLink('short')).status, 400);
+});
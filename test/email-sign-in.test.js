@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import * as db from '../server/db.js';
+
+// Email sign-in codes and magic links, with mail written to a file. The
+// mailer is set up when auth.js loads, so it's imported after the env.
+
+const mailDir = mkdtempSync(join(tmpdir(), 'orbitxe-mail-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE = join(mailDir, 'mail.log');
+const { requestEmailSignIn, authenticateWithEmail } = await import('../server/auth.js');
+
+let conn;
+
+before(() => {
+  conn = db.createDatabase(':memory:');
+  db.useDatabase(conn);
+});
+
+after(() => {
+  db.closeDatabase();
+  rmSync(mailDir, { recursive: true, force: true });
+});
+
+// Send a sign-in email and read the code and link token out of it
+async function emailSignIn(email) {
+  await requestEmailSignIn(email, { baseUrl: 'https://orbitxe.test' });
+  const messages = readFileSync(process.env.MAIL_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const { to, text } = messages.at(-1);
+  assert.equal(to, email);
+  return {
+    code: /sign-in code is (\d{6})/.exec(text)[1],
+    token: decodeURIComponent(/\/signin\?token=(\S+)/.exec(text)[1])
+  };
+}
+
+function wrongCode(code) {
+  return String((Number(code) + 1) % 1000000).padStart(6, '0');
+}
+
+test('a code signs in once', async () => {
+  const { code } = await emailSignIn('code@example.com');
+  const result = authenticateWithEmail({ email: 'Code@Example.com', code });
+  assert.equal(result.user.email, 'code@example.com');
+  assert.ok(result.token);
+  assert.equal(authenticateWithEmail({ email: 'code@example.com', code }), null);
+});
+
+test('five wrong guesses use up the code', async () => {
+  const { code } = await emailSignIn('guesses@example.com');
+  for (let i = 0; i < 5; i++) {
+    assert.equal(authenticateWithEmail({ email: 'guesses@example.com', code: wrongCode(code) }), null);
+  }
+  assert.equal(authenticateWithEmail({ email: 'guesses@example.com', code }), null);
+});
+
+test('a magic link signs in once, and only with its secret', async () => {
+  const { token } = await emailSignIn('link@example.com');
+  const [id] = token.split('.');
+  assert.equal(authenticateWithEmail({ token: `${id}.not-the-secret` }), null);
+  assert.equal(authenticateWithEmail({ token }).user.email, 'link@example.com');
+  assert.equal(authenticateWithEmail({ token }), null);
+});
+
+test('expired codes and links are refused', async () => {
+  const { code, token } = await emailSignIn('expired@example.com');
+  conn.prepare('UPDATE email_login_codes SET expires_at = ? WHERE email = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), 'expired@example.com');
+
+  assert.equal(authenticateWithEmail({ email: 'expired@example.com', code }), null);
+  assert.equal(authenticateWithEmail({ token }), null);
+});
+
+test('an address gets at most five emails an hour', async () => {
+  for (let i = 0; i < 5; i++) await emailSignIn('busy@example.com');
+  await assert.rejects(
+    requestEmailSignIn('busy@example.com', { baseUrl: 'https://orbitxe.test' }),
+    error => error.status === 429
+  );
+});
@@ -0,0 +1,170 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMessage } from '../extension/protocol.js';
+
+// Runs extension/background.js against a stand-in chrome API and WebSocket,
+// and checks every frame it sends still passes the shared schema. A schema
+// change that rejects real extension traffic fails here.
+
+const SERVER_URL = 'https://orbitxe.com';
+const sockets = [];
+const storage = {};
+const runtimeListeners = [];
+const realFetch = globalThis.fetch;
+const realSetInterval = globalThis.setInterval;
+const realLog = console.log;
+
+class FakeWebSocket {
+  static OPEN = 1;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  // The server's side of the connection
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    return this.onopen();
+  }
+
+  receive(message) {
+    return this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+function pick(keys) {
+  if (keys == null) return { ...storage };
+  const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+  return Object.fromEntries(names.filter(name => name in storage).map(name => [name, storage[name]]));
+}
+
+// chrome.storage calls take a callback or return a promise
+function storageCall(fn) {
+  return (arg, callback) => {
+    const result = fn(arg);
+    if (callback) callback(result);
+    return Promise.resolve(result);
+  };
+}
+
+const listener = () => ({ addListener() {} });
+const TAB = { id: 7, title: 'Video', url: 'https://www.youtube.com/watch?v=1', favIconUrl: 'https://www.youtube.com/favicon.ico', active: true };
+
+globalThis.chrome = {
+  storage: {
+    local: {
+      get: storageCall(pick),
+      set: storageCall(items => { Object.assign(storage, items); }),
+      remove: storageCall(keys => { [].concat(keys).forEach(key => delete storage[key]); }),
+      clear: storageCall(() => { Object.keys(storage).forEach(key => delete storage[key]); })
+    }
+  },
+  runtime: {
+    onMessage: { addListener: fn => runtimeListeners.push(fn) },
+    onInstalled: listener(),
+    onStartup: listener(),
+    getManifest: () => ({ update_url: 'https://clients2.google.com/service/update2/crx' })
+  },
+  tabs: {
+    query: async () => [TAB],
+    sendMessage: async () => ({ siteType: 'youtube' }),
+    get: async () => TAB,
+    onActivated: listener(),
+    onUpdated: listener(),
+    onCreated: listener(),
+    onRemoved: listener()
+  }
+};
+
+// What the popup sends to the background script
+function fromPopup(message) {
+  return new Promise(resolve => runtimeListeners.forEach(fn => fn(message, {}, resolve)));
+}
+
+function sentFrames() {
+  return sockets.flatMap(ws => ws.sent);
+}
+
+function sentTypes() {
+  return sentFrames().map(frame => JSON.parse(frame).type);
+}
+
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.ok(check());
+}
+
+before(async () => {
+  // The background script logs every frame
+  console.log = () => {};
+  globalThis.WebSocket = FakeWebSocket;
+  globalThis.fetch = async (url) => {
+    if (url === `${SERVER_URL}/api/rooms`) {
+      return Response.json({ roomId: 'AB12CD', ownerToken: 'owner-token', controllerUrl: `${SERVER_URL}/remote/AB12CD#key=secret` });
+    }
+    if (url === `${SERVER_URL}/api/license/trial-policy`) {
+      return Response.json({ days: 14 });
+    }
+    return Response.json({}, { status: 404 });
+  };
+  // The keep-alive interval would hold the test process open
+  globalThis.setInterval = (...args) => realSetInterval(...args).unref();
+  await import('../extension/background.js');
+  globalThis.setInterval = realSetInterval;
+});
+
+after(() => {
+  console.log = realLog;
+  globalThis.fetch = realFetch;
+  delete globalThis.WebSocket;
+  delete globalThis.chrome;
+});
+
+test('a room owner session sends only frames the schema accepts', async () => {
+  await fromPopup({ type: 'connect' });
+  await waitFor(() => sockets.length === 1);
+  const ws = sockets[0];
+  await ws.open();
+  await ws.receive({ type: 'joined', controllers: 0, displays: 1 });
+
+  // A free-tier owner: keyboard input is blocked with an upgrade link
+  await ws.receive({ type: 'keyboard', key: 'a' });
+  await ws.receive({ type: 'getLicense' });
+  await ws.receive({ type: 'getTabs' });
+  await ws.receive({ type: 'controllerRequest', requestId: 'req-1', deviceId: 'phone-1', deviceName: 'Phone' });
+  await fromPopup({ type: 'respondToController', requestId: 'req-1', approved: true, trust: true });
+  await ws.receive({ type: 'controllerRequest', requestId: 'req-2', deviceId: 'phone-1', deviceName: 'Phone' });
+  await fromPopup({ type: 'rotateSecret' });
+  await fromPopup({ type: 'showKeyboard' });
+  await fromPopup({ type: 'signOut' });
+
+  await waitFor(() => sentTypes().includes('activeTab') && sentTypes().includes('authenticate'));
+  assert.deepEqual([...new Set(sentTypes())].sort(), [
+    'activeTab', 'approveController', 'authenticate', 'featureBlocked', 'join', 'license', 'rotateSecret',
+    'showKeyboard', 'tabList'
+  ]);
+
+  for (const frame of sentFrames()) {
+    const parsed = parseMessage(frame);
+    assert.ok(parsed.valid, `${frame}: ${parsed.error}`);
+  }
+});
+
+test('the upgrade link reaches the phone', () => {
+  const blocked = sentFrames().map(frame => parseMessage(frame).message).find(m => m.type === 'featureBlocked');
+  assert.equal(blocked.feature, 'keyboard');
+  assert.match(blocked.upgradeUrl, /^https:\/\/orbitxe\.com\/upgrade\?device=/);
+});
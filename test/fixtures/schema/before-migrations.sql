@@ -0,0 +1,224 @@
+-- The schema every database had before migrations existed (just before
+-- migration 1, baseline), as sqlite_master lists it, with a few rows.
+
+CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT UNIQUE NOT NULL,
+    google_id TEXT UNIQUE,
+    name TEXT,
+    picture_url TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    trial_started_at TEXT,
+    trial_ends_at TEXT,
+    subscription_tier TEXT DEFAULT 'trial',
+    stripe_customer_id TEXT,
+    referral_code TEXT,
+    referred_by TEXT
+  );
+
+CREATE TABLE subscriptions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    stripe_subscription_id TEXT,
+    plan_type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    current_period_start TEXT,
+    current_period_end TEXT,
+    canceled_at TEXT,
+    cancel_at_period_end INTEGER DEFAULT 0,
+    stripe_payment_intent_id TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+CREATE INDEX idx_users_email ON users(email);
+
+CREATE INDEX idx_users_google_id ON users(google_id);
+
+CREATE INDEX idx_subscriptions_user_id ON subscriptions(user_id);
+
+CREATE TABLE downloads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    platform TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    country TEXT,
+    downloaded_at TEXT DEFAULT (datetime('now'))
+  );
+
+CREATE INDEX idx_downloads_platform ON downloads(platform);
+
+CREATE INDEX idx_downloads_date ON downloads(downloaded_at);
+
+CREATE TABLE page_views (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    referrer TEXT,
+    viewed_at TEXT DEFAULT (datetime('now'))
+  );
+
+CREATE INDEX idx_page_views_date ON page_views(viewed_at);
+
+CREATE TABLE computers (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    computer_id TEXT NOT NULL,
+    name TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_connected TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    UNIQUE(user_id, computer_id)
+  );
+
+CREATE INDEX idx_computers_user_id ON computers(user_id);
+
+CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    refresh_token_hash TEXT NOT NULL,
+    device_name TEXT,
+    user_agent TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_used_at TEXT,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+
+CREATE TABLE email_login_codes (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    link_token_hash TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    consumed_at TEXT
+  );
+
+CREATE INDEX idx_email_login_codes_email ON email_login_codes(email);
+
+CREATE TABLE device_links (
+    id TEXT PRIMARY KEY,
+    user_code TEXT UNIQUE NOT NULL,
+    poll_token_hash TEXT NOT NULL,
+    device_id TEXT NOT NULL,
+    device_name TEXT,
+    user_id TEXT,
+    status TEXT DEFAULT 'pending',
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    approved_at TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+CREATE TABLE organizations (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner_user_id TEXT NOT NULL,
+    seat_count INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'inactive',
+    stripe_customer_id TEXT,
+    stripe_subscription_id TEXT,
+    current_period_end TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (owner_user_id) REFERENCES users(id)
+  );
+
+CREATE TABLE organization_members (
+    org_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    has_seat INTEGER DEFAULT 0,
+    joined_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (org_id, user_id),
+    FOREIGN KEY (org_id) REFERENCES organizations(id),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+CREATE UNIQUE INDEX idx_organization_members_user_id ON organization_members(user_id);
+
+CREATE TABLE organization_invites (
+    id TEXT PRIMARY KEY,
+    org_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL,
+    email TEXT,
+    role TEXT NOT NULL DEFAULT 'member',
+    created_by TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    accepted_at TEXT,
+    revoked_at TEXT,
+    FOREIGN KEY (org_id) REFERENCES organizations(id)
+  );
+
+CREATE TABLE referrals (
+    id TEXT PRIMARY KEY,
+    referrer_user_id TEXT NOT NULL,
+    referred_user_id TEXT UNIQUE NOT NULL,
+    status TEXT NOT NULL DEFAULT 'signed_up',
+    credit_cents INTEGER,
+    stripe_balance_transaction_id TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    converted_at TEXT,
+    credited_at TEXT,
+    FOREIGN KEY (referrer_user_id) REFERENCES users(id),
+    FOREIGN KEY (referred_user_id) REFERENCES users(id)
+  );
+
+CREATE INDEX idx_referrals_referrer ON referrals(referrer_user_id);
+
+CREATE TABLE trial_claims (
+    kind TEXT NOT NULL,
+    value_hash TEXT NOT NULL,
+    user_id TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (kind, value_hash)
+  );
+
+CREATE TABLE trial_extensions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    days INTEGER NOT NULL,
+    reason TEXT,
+    trial_ends_at TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+
+CREATE TABLE stripe_events (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    claimed_at TEXT,
+    processed_at TEXT
+  );
+
+CREATE UNIQUE INDEX idx_users_referral_code ON users(referral_code);
+
+INSERT INTO users (id, email, google_id, name, trial_started_at, trial_ends_at, subscription_tier, stripe_customer_id, referral_code)
+VALUES
+  ('user-1', 'first@example.com', 'google-1', 'First', '2025-06-01T10:00:00.000Z', '2025-06-08T10:00:00.000Z', 'pro', 'cus_first', 'FIRSTREF'),
+  ('user-2', 'second@example.com', NULL, 'Second', '2025-07-01T10:00:00.000Z', '2025-07-08T10:00:00.000Z', 'trial', NULL, NULL);
+
+INSERT INTO subscriptions (id, user_id, stripe_subscription_id, plan_type, status, current_period_start, current_period_end)
+VALUES ('sub-row-1', 'user-1', 'sub_first', 'monthly', 'active', '2025-09-01T10:00:00.000Z', '2025-10-01T10:00:00.000Z');
+
+INSERT INTO computers (id, user_id, computer_id, name, last_connected)
+VALUES ('computer-1', 'user-1', 'ABC123', 'Laptop', '2025-09-15T10:00:00.000Z');
+
+INSERT INTO referrals (id, referrer_user_id, referred_user_id) VALUES ('referral-1', 'user-1', 'user-2');
+
+INSERT INTO page_views (page, ip_address, user_agent, referrer, viewed_at)
+VALUES
+  ('/', '203.0.113.5', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15', 'https://news.example.com/item?id=42', '2025-09-20 08:00:00'),
+  ('/upgrade', '203.0.113.5', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15', NULL, '2025-09-20 08:01:00');
+
+INSERT INTO downloads (platform, file_name, ip_address, user_agent, downloaded_at)
+VALUES ('mac', 'OrbitXE.dmg', '203.0.113.5', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15', '2025-09-20 08:02:00');
+
+INSERT INTO stripe_events (id, type, claimed_at, processed_at) VALUES ('evt_old', 'invoice.paid', '2025-09-01T10:00:00.000Z', '2025-09-01T10:00:01.000Z');
@@ -0,0 +1,103 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import jwt from 'jsonwebtoken';
+import { verifyGoogleToken, verifyGoogleIdToken } from '../server/auth.js';
+import { clearGoogleSigningKeys } from '../server/jwks.js';
+
+// Chrome extension sign-in: an opaque access token checked with Google's
+// tokeninfo endpoint, then the profile fetched with it
+
+const EXTENSION_CLIENT_ID = '150883201550-hj784psrplgfihdj4et6jvcu88g84m8t.apps.googleusercontent.com';
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function fakeGoogle(tokenInfo) {
+  globalThis.fetch = async (url) => {
+    const body = String(url).includes('tokeninfo')
+      ? tokenInfo
+      : { id: '1234', email: 'someone@example.com', verified_email: true, name: 'Someone' };
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+}
+
+test('accepts an access token issued to the extension', async () => {
+  fakeGoogle({ aud: EXTENSION_CLIENT_ID, azp: EXTENSION_CLIENT_ID, scope: 'email profile' });
+  const user = await verifyGoogleToken('ya29.extension-token');
+  assert.equal(user.googleId, '1234');
+  assert.equal(user.email, 'someone@example.com');
+});
+
+test('rejects an access token issued to another app', async () => {
+  fakeGoogle({ aud: 'other-app.apps.googleusercontent.com', azp: 'other-app.apps.googleusercontent.com' });
+  await assert.rejects(verifyGoogleToken('ya29.other-app-token'), /Invalid Google token/);
+});
+
+// Website sign-in: an ID token verified against a key set we publish
+// ourselves through GOOGLE_JWKS_FILE
+
+const WEB_CLIENT_ID = '167970835846-t6k3tu79a2anfm2sggvgjtqaibdm7ofe.apps.googleusercontent.com';
+const KID = 'test-key';
+
+const googleKey = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = generateKeyPairSync('rsa', { modulusLength: 2048 });
+let jwksDir;
+
+before(() => {
+  jwksDir = mkdtempSync(join(tmpdir(), 'orbitxe-jwks-'));
+  const jwk = { ...googleKey.publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' };
+  process.env.GOOGLE_JWKS_FILE = join(jwksDir, 'certs.json');
+  writeFileSync(process.env.GOOGLE_JWKS_FILE, JSON.stringify({ keys: [jwk] }));
+  clearGoogleSigningKeys();
+});
+
+after(() => {
+  delete process.env.GOOGLE_JWKS_FILE;
+  clearGoogleSigningKeys();
+  rmSync(jwksDir, { recursive: true, force: true });
+});
+
+function idToken(claims = {}, { privateKey = googleKey.privateKey, expiresIn = 3600 } = {}) {
+  const payload = {
+    iss: 'https://accounts.google.com',
+    aud: WEB_CLIENT_ID,
+    sub: '5678',
+    email: 'web@example.com',
+    email_verified: true,
+    name: 'Web User',
+    ...claims
+  };
+  return jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: KID, expiresIn });
+}
+
+test('accepts an ID token signed by Google for the website', async () => {
+  const user = await verifyGoogleToken(idToken());
+  assert.deepEqual(user, { googleId: '5678', email: 'web@example.com', name: 'Web User', picture: undefined });
+});
+
+test('rejects an ID token signed with another key', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({}, { privateKey: otherKey.privateKey })), /invalid signature/);
+});
+
+test('rejects an ID token issued to another app', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({ aud: 'other-app.apps.googleusercontent.com' })), /audience invalid/);
+});
+
+test('rejects an ID token from another issuer', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({ iss: 'https://evil.example.com' })), /issuer invalid/);
+});
+
+test('rejects an expired ID token', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({}, { expiresIn: -60 })), /jwt expired/);
+});
+
+test('rejects an ID token without a verified email', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({ email_verified: false })), /Email not verified/);
+});
@@ -0,0 +1,122 @@
+import { spawn } from 'child_process';
+import { readFileSync } from 'fs';
+import { createServer } from 'net';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import WebSocket from 'ws';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SERVER_ENTRY = join(__dirname, '../server/index.js');
+const STRIPE_FIXTURES = join(__dirname, 'fixtures/stripe');
+
+// ==================== TEST HELPERS ====================
+
+// A port nothing is listening on right now
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start `node server/index.js` and wait until it listens. stop() ends it.
+// Licenses are signed with a throwaway key unless env says otherwise.
+export async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    env: { ...process.env, LICENSE_DEV_KEY: 'true', ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    port,
+    url: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}`,
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+  };
+}
+
+// A WebSocket client that queues what it receives so tests can wait for it
+export function connect(url) {
+  const ws = new WebSocket(url);
+  const received = [];
+  const waiters = [];
+
+  ws.on('message', data => {
+    const message = JSON.parse(data);
+    const index = waiters.findIndex(w => w.match(message));
+    if (index >= 0) {
+      waiters.splice(index, 1)[0].resolve(message);
+    } else {
+      received.push(message);
+    }
+  });
+
+  return {
+    ws,
+    opened: new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    }),
+    closed: new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: String(reason) }))),
+    send(message) {
+      ws.send(JSON.stringify(message));
+    },
+    // The next message of this type (or already received one)
+    next(type, timeoutMs = 5000) {
+      const match = message => message.type === type;
+      const index = received.findIndex(match);
+      if (index >= 0) return Promise.resolve(received.splice(index, 1)[0]);
+
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiters.push(waiter);
+        setTimeout(() => {
+          const at = waiters.indexOf(waiter);
+          if (at < 0) return;
+          waiters.splice(at, 1);
+          reject(new Error(`No ${type} message within ${timeoutMs}ms`));
+        }, timeoutMs).unref();
+      });
+    },
+    close() {
+      ws.close();
+    }
+  };
+}
+
+// A Stripe event from test/fixtures/stripe. The fixtures name their account
+// and organization usr_fixture and org_fixture; pass the real IDs to swap in.
+export function stripeFixture(name, { userId = 'usr_fixture', orgId = 'org_fixture' } = {}) {
+  const text = readFileSync(join(STRIPE_FIXTURES, `${name}.json`), 'utf8')
+    .replaceAll('usr_fixture', userId)
+    .replaceAll('org_fixture', orgId);
+  return JSON.parse(text);
+}
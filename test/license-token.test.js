@@ -0,0 +1,62 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, verify } from 'crypto';
+import { createRequire } from 'module';
+import { LICENSE_PUBLIC_KEY } from '../extension/license-public-key.js';
+import { startServer } from './helpers.js';
+
+// The signing key is read on first use, so each case imports its own copy
+// of the module after setting the environment
+
+const KEY_VARIABLES = ['LICENSE_SIGNING_KEY', 'LICENSE_SIGNING_KEY_FILE', 'LICENSE_DEV_KEY'];
+let copies = 0;
+
+async function loadWith(env) {
+  for (const name of KEY_VARIABLES) delete process.env[name];
+  Object.assign(process.env, env);
+  return import(`../server/license-token.js?copy=${++copies}`);
+}
+
+afterEach(() => {
+  for (const name of KEY_VARIABLES) delete process.env[name];
+});
+
+const license = { tier: 'pro', features: ['keyboard'] };
+const user = { id: 'user-1', email: 'someone@example.com' };
+
+test('importing without a key is fine, signing is refused', async () => {
+  const { signLicenseToken, getLicensePublicKey } = await loadWith({});
+  assert.throws(() => signLicenseToken({ user, license, deviceId: 'device-1' }), /LICENSE_SIGNING_KEY/);
+  assert.throws(() => getLicensePublicKey(), /LICENSE_SIGNING_KEY/);
+});
+
+test('a key that the clients would not accept is refused', async () => {
+  const { privateKey } = generateKeyPairSync('ed25519');
+  const { signLicenseToken } = await loadWith({
+    LICENSE_SIGNING_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  });
+  assert.throws(() => signLicenseToken({ user, license, deviceId: 'device-1' }), /does not match/);
+});
+
+test('development mode signs with a throwaway key', async () => {
+  const { signLicenseToken, getLicensePublicKey } = await loadWith({ LICENSE_DEV_KEY: 'true' });
+  const token = signLicenseToken({ user, license, deviceId: 'device-1' });
+  const [body, signature] = token.split('.');
+
+  assert.ok(verify(null, Buffer.from(body), getLicensePublicKey(), Buffer.from(signature, 'base64url')));
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  assert.equal(payload.deviceId, 'device-1');
+  assert.equal(payload.tier, 'pro');
+});
+
+test('both clients pin the same public key', () => {
+  const require = createRequire(import.meta.url);
+  assert.equal(require('../desktop-app/license-public-key.js'), LICENSE_PUBLIC_KEY);
+});
+
+test('the server will not start without a signing key', async () => {
+  await assert.rejects(
+    startServer({ LICENSE_DEV_KEY: '', DATABASE_PATH: ':memory:' }),
+    /Server exited with 1:[\s\S]*\[License\] LICENSE_SIGNING_KEY or LICENSE_SIGNING_KEY_FILE is required/
+  );
+});
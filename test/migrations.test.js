@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Database from 'better-sqlite3';
+import { MIGRATIONS, runMigrations, getMigrationStatus } from '../server/migrations.js';
+
+const SNAPSHOT = join(dirname(fileURLToPath(import.meta.url)), 'fixtures/schema/before-migrations.sql');
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Every table's column names, ignoring the order ALTER TABLE left them in
+function describe(db) {
+  const tables = db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `).all();
+  return Object.fromEntries(tables.map(({ name }) => [
+    name,
+    db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name).sort()
+  ]));
+}
+
+function migratedEmptyDatabase() {
+  const db = new Database(':memory:');
+  runMigrations(db);
+  return db;
+}
+
+test('an empty database gets every migration, once', () => {
+  const db = new Database(':memory:');
+  const applied = runMigrations(db);
+  assert.deepEqual(applied.map(m => m.version), MIGRATIONS.map(m => m.version));
+  assert.ok(getMigrationStatus(db).every(m => m.appliedAt));
+
+  assert.deepEqual(runMigrations(db), []);
+  db.close();
+});
+
+test('a database from before migrations ends up with the same schema and keeps its data', () => {
+  const db = new Database(':memory:');
+  db.exec(readFileSync(SNAPSHOT, 'utf8'));
+
+  const applied = runMigrations(db);
+  assert.equal(applied.at(-1).version, LATEST);
+
+  const fresh = migratedEmptyDatabase();
+  assert.deepEqual(describe(db), describe(fresh));
+  fresh.close();
+
+  assert.equal(db.prepare('SELECT email FROM users WHERE id = ?').get('user-1').email, 'first@example.com');
+  assert.equal(db.prepare('SELECT status FROM subscriptions WHERE id = ?').get('sub-row-1').status, 'active');
+  assert.equal(db.prepare('SELECT status FROM referrals WHERE id = ?').get('referral-1').status, 'signed_up');
+  assert.equal(db.prepare('SELECT token_nonce FROM computers WHERE id = ?').get('computer-1').token_nonce, null);
+  assert.deepEqual(db.pragma('foreign_key_check'), []);
+
+  // Analytics rows lose the IP address and user agent but still count
+  const views = db.prepare('SELECT * FROM page_views ORDER BY id').all();
+  assert.equal(views.length, 2);
+  assert.equal(views[0].visitor_hash, views[1].visitor_hash);
+  assert.deepEqual([views[0].browser, views[0].os, views[0].referrer], ['Safari', 'macOS', 'https://news.example.com']);
+  assert.equal('ip_address' in views[0], false);
+
+  const [download] = db.prepare('SELECT * FROM downloads').all();
+  assert.deepEqual([download.platform, download.browser, download.os], ['mac', 'Safari', 'macOS']);
+  assert.equal('user_agent' in download, false);
+  db.close();
+});
+
+test('a database migrated by newer code is refused', () => {
+  const db = migratedEmptyDatabase();
+  db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(LATEST + 1, 'from_the_future');
+  assert.throws(() => runMigrations(db), /only knows up to/);
+  db.close();
+});
@@ -0,0 +1,158 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import {
+  createOrganizationForUser,
+  createInvite,
+  listInvites,
+  revokeInvite,
+  acceptInvite,
+  assignMemberSeat,
+  removeMemberSeat,
+  leaveOrRemoveMember,
+  checkSeatCountChange,
+  syncOrganizationSubscription,
+  describeOrganization
+} from '../server/orgs.js';
+
+// Team seats and invites on an in-memory database
+
+const BASE_URL = 'https://orbitxe.test';
+
+let conn;
+
+before(() => {
+  conn = db.createDatabase(':memory:');
+  db.useDatabase(conn);
+});
+
+after(() => {
+  db.closeDatabase();
+});
+
+// An organization paying for `seats`, its owner holding the first one
+function team(name, seats) {
+  const owner = db.createUser({ email: `${name}-owner@example.com`, name: 'Owner' });
+  const org = createOrganizationForUser(owner, name);
+  syncOrganizationSubscription(org.id, { seatCount: seats, status: 'active' });
+  return { org, owner };
+}
+
+// The '<inviteId>.<secret>' token in an invite link
+function inviteToken(invite) {
+  return new URL(invite.url).searchParams.get('invite');
+}
+
+// Invite someone new and have them accept
+function join(org, owner, email, options) {
+  const invite = createInvite(org.id, owner.id, options, { baseUrl: BASE_URL });
+  const user = db.createUser({ email });
+  acceptInvite(user, inviteToken(invite));
+  return user;
+}
+
+test('an accepted invite joins the organization with a free seat', () => {
+  const { org, owner } = team('Seated', 2);
+  const member = join(org, owner, 'seated-member@example.com');
+
+  const description = describeOrganization(org.id);
+  assert.equal(description.seatsAssigned, 2);
+  const seated = description.members.find(m => m.userId === member.id);
+  assert.equal(seated.role, 'member');
+  assert.equal(seated.hasSeat, true);
+
+  const license = db.getLicenseForUser(db.getUserById(member.id));
+  assert.equal(license.tier, 'pro');
+  assert.equal(license.organization.id, org.id);
+});
+
+test('once the seats are taken, new members join without one', () => {
+  const { org, owner } = team('Full', 1);
+  const member = join(org, owner, 'full-member@example.com');
+
+  assert.equal(describeOrganization(org.id).members.find(m => m.userId === member.id).hasSeat, false);
+  assert.throws(() => assignMemberSeat(org.id, owner.id, member.id), error => error.status === 409);
+
+  // Freeing the owner's seat makes room
+  removeMemberSeat(org.id, owner.id, owner.id);
+  assert.equal(assignMemberSeat(org.id, owner.id, member.id).seatsAssigned, 1);
+});
+
+test('only managers hand out seats and invites', () => {
+  const { org, owner } = team('Managed', 3);
+  const member = join(org, owner, 'managed-member@example.com');
+  const admin = join(org, owner, 'managed-admin@example.com', { role: 'admin' });
+  const outsider = db.createUser({ email: 'managed-outsider@example.com' });
+
+  assert.throws(() => createInvite(org.id, member.id, {}, { baseUrl: BASE_URL }), error => error.status === 403);
+  assert.throws(() => removeMemberSeat(org.id, member.id, admin.id), error => error.status === 403);
+  assert.throws(() => listInvites(org.id, outsider.id), error => error.status === 404);
+  assert.throws(() => createInvite(org.id, owner.id, { role: 'owner' }, { baseUrl: BASE_URL }), error => error.status === 400);
+
+  assert.equal(removeMemberSeat(org.id, admin.id, member.id).members.find(m => m.userId === member.id).hasSeat, false);
+});
+
+test('invites work once, for the address they name, until revoked or expired', () => {
+  const { org, owner } = team('Invites', 5);
+  const invite = createInvite(org.id, owner.id, { email: ' Named@Example.com ' }, { baseUrl: BASE_URL });
+  assert.equal(invite.email, 'named@example.com');
+  assert.deepEqual(listInvites(org.id, owner.id).map(i => i.id), [invite.id]);
+
+  const stranger = db.createUser({ email: 'stranger@example.com' });
+  assert.throws(() => acceptInvite(stranger, inviteToken(invite)), error => error.status === 403);
+
+  const [id] = inviteToken(invite).split('.');
+  const named = db.createUser({ email: 'named@example.com' });
+  assert.throws(() => acceptInvite(named, `${id}.not-the-secret`), error => error.status === 410);
+  assert.equal(acceptInvite(named, inviteToken(invite)).id, org.id);
+  assert.deepEqual(listInvites(org.id, owner.id), []);
+
+  const reused = db.createUser({ email: 'reused@example.com' });
+  assert.throws(() => acceptInvite(reused, inviteToken(invite)), error => error.status === 410);
+
+  const revoked = createInvite(org.id, owner.id, {}, { baseUrl: BASE_URL });
+  revokeInvite(org.id, owner.id, revoked.id);
+  assert.throws(() => acceptInvite(reused, inviteToken(revoked)), error => error.status === 410);
+  assert.throws(() => revokeInvite(org.id, owner.id, revoked.id), error => error.status === 404);
+
+  const expired = createInvite(org.id, owner.id, {}, { baseUrl: BASE_URL });
+  conn.prepare('UPDATE organization_invites SET expires_at = ? WHERE id = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), expired.id);
+  assert.throws(() => acceptInvite(reused, inviteToken(expired)), error => error.status === 410);
+});
+
+test('someone in another organization cannot accept an invite', () => {
+  const first = team('First', 2);
+  const second = team('Second', 2);
+  const invite = createInvite(second.org.id, second.owner.id, {}, { baseUrl: BASE_URL });
+  assert.throws(() => acceptInvite(first.owner, inviteToken(invite)), error => error.status === 409);
+});
+
+test('seats cannot be cut below those handed out, except by Stripe', () => {
+  const { org, owner } = team('Shrinking', 3);
+  join(org, owner, 'shrinking-1@example.com');
+  join(org, owner, 'shrinking-2@example.com');
+
+  assert.throws(() => checkSeatCountChange(org.id, 2), error => error.status === 409);
+  assert.equal(checkSeatCountChange(org.id, 3), 3);
+  assert.throws(() => checkSeatCountChange(org.id, 0), error => error.status === 400);
+
+  // Cut in the billing portal: members lose seats, the owner keeps theirs
+  syncOrganizationSubscription(org.id, { seatCount: 1, status: 'active' });
+  const description = describeOrganization(org.id);
+  assert.equal(description.seatsAssigned, 1);
+  assert.equal(description.members.find(m => m.userId === owner.id).hasSeat, true);
+});
+
+test('members can leave, managers can remove them, nobody removes the owner', () => {
+  const { org, owner } = team('Leaving', 3);
+  const leaver = join(org, owner, 'leaver@example.com');
+  const removed = join(org, owner, 'removed@example.com');
+
+  assert.throws(() => leaveOrRemoveMember(org.id, leaver.id, removed.id), error => error.status === 403);
+  leaveOrRemoveMember(org.id, leaver.id, leaver.id);
+  const description = leaveOrRemoveMember(org.id, owner.id, removed.id);
+  assert.deepEqual(description.members.map(m => m.userId), [owner.id]);
+  assert.equal(description.seatsAssigned, 1);
+  assert.throws(() => leaveOrRemoveMember(org.id, owner.id, owner.id), error => error.status === 400);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import QRCode from 'qrcode';
+import { encodeQrCode, qrCodeDataUrl } from '../extension/qr.js';
+
+// extension/qr.js against the qrcode package, module for module
+
+function reference(text, options) {
+  const { modules } = QRCode.create([{ data: Buffer.from(text), mode: 'byte' }], { errorCorrectionLevel: 'M', ...options });
+  return Array.from({ length: modules.size }, (_, y) =>
+    Array.from({ length: modules.size }, (_, x) => modules.get(y, x) === 1));
+}
+
+// Controller URLs, then lengths that reach the larger versions
+const SAMPLES = [
+  'https://orbitxe.com/remote/AB12CD#key=Xq3v9kPz0WmLr7TnY2bH',
+  `https://orbitxe.com/remote/AB12CD#key=${'k'.repeat(43)}`,
+  'é'.repeat(60),
+  ...[150, 300, 700, 1200, 2200].map(length => 'x'.repeat(length))
+];
+
+test('every mask matches the qrcode package', () => {
+  for (const text of SAMPLES) {
+    for (let mask = 0; mask < 8; mask++) {
+      assert.deepEqual(encodeQrCode(text, { mask }), reference(text, { maskPattern: mask }), `${text.length} chars, mask ${mask}`);
+    }
+  }
+});
+
+test('the chosen mask matches the qrcode package', () => {
+  for (const text of SAMPLES) {
+    assert.deepEqual(encodeQrCode(text), reference(text), `${text.length} chars`);
+  }
+});
+
+test('the data URL is an SVG image', () => {
+  const url = qrCodeDataUrl('https://orbitxe.com/remote/AB12CD#key=secret', { dark: '#00ff88' });
+  assert.match(url, /^data:image\/svg\+xml;charset=utf-8,/);
+  assert.match(decodeURIComponent(url), /<path d="M4,4h1v1h-1z.*" fill="#00ff88"\/><\/svg>$/);
+});
+
+test('too much data is refused', () => {
+  assert.throws(() => encodeQrCode('x'.repeat(2400)), /Too much data/);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createDatabase,
+  useDatabase,
+  closeDatabase,
+  createUser,
+  setUserStripeCustomerId,
+  getReferralForReferredUser,
+  getReferralStatsForUser
+} from '../server/db.js';
+import { createReferredUser, getReferralCode } from '../server/referrals.js';
+import { handleStripeEvent } from '../server/stripe-webhook.js';
+import { useStripe } from '../server/stripe.js';
+import { stripeFixture } from './helpers.js';
+
+// A referred user who subscribes monthly earns the referrer credit once
+// their first real invoice is paid
+
+const balanceTransactions = [];
+let referrer;
+let referred;
+
+before(() => {
+  useDatabase(createDatabase(':memory:'));
+  useStripe({
+    customers: {
+      createBalanceTransaction: async (customerId, params, options) => {
+        balanceTransactions.push({ customerId, ...params, ...options });
+        return { id: `cbtxn_${balanceTransactions.length}` };
+      }
+    }
+  });
+
+  referrer = setUserStripeCustomerId(createUser({ email: 'referrer@example.com', name: 'Referrer' }).id, 'cus_referrer');
+  referred = createReferredUser({ email: 'referred@example.com', name: 'Referred' }, getReferralCode(referrer));
+});
+
+after(() => {
+  closeDatabase();
+});
+
+function replay(name) {
+  return handleStripeEvent(stripeFixture(name, { userId: referred.id }));
+}
+
+test('the $0 trial invoice does not convert the referral', async () => {
+  await replay('monthly-01-subscription-created');
+  await replay('monthly-02-invoice-paid-trial');
+  assert.equal(getReferralForReferredUser(referred.id).status, 'signed_up');
+  assert.equal(balanceTransactions.length, 0);
+});
+
+test('the first paid invoice credits the referrer', async () => {
+  await replay('monthly-03-subscription-updated-active');
+  await replay('monthly-04-invoice-paid-first');
+
+  const referral = getReferralForReferredUser(referred.id);
+  assert.equal(referral.status, 'credited');
+  assert.deepEqual(balanceTransactions, [{
+    customerId: 'cus_referrer',
+    amount: -500,
+    currency: 'usd',
+    description: 'OrbitXE referral credit',
+    idempotencyKey: `referral-${referral.id}`
+  }]);
+  assert.deepEqual(getReferralStatsForUser(referrer.id), { signedUp: 1, converted: 1, creditedCents: 500, pendingCents: 0 });
+});
+
+test('later invoices do not credit again', async () => {
+  await replay('monthly-05-invoice-payment-failed');
+  await replay('monthly-08-invoice-paid-retry');
+  assert.equal(balanceTransactions.length, 1);
+});
@@ -0,0 +1,143 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { createDatabase, useDatabase, closeDatabase, createUser, createSubscription, claimTrial, TRIAL_POLICY } from '../server/db.js';
+import { createUserWithTrial } from '../server/trials.js';
+import { createUserSession } from '../server/auth.js';
+import { useStripe } from '../server/stripe.js';
+import { app } from '../server/index.js';
+
+// The HTTP API on an in-memory database, with Stripe calls recorded instead
+// of sent
+
+process.env.LICENSE_DEV_KEY = 'true';
+
+let listener;
+let baseUrl;
+let user;
+let authToken;
+let stripeCalls;
+
+before(async () => {
+  useDatabase(createDatabase(':memory:'));
+  listener = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+
+  user = createUser({ email: 'routes@example.com', name: 'Routes' });
+  authToken = createUserSession(user).token;
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+  closeDatabase();
+});
+
+beforeEach(() => {
+  stripeCalls = [];
+  useStripe({
+    checkout: {
+      sessions: {
+        create: async (config) => {
+          stripeCalls.push(['checkout.sessions.create', config]);
+          return { id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' };
+        }
+      }
+    }
+  });
+});
+
+function request(method, path, { body, token = authToken } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+test('the trial policy is public', async () => {
+  const response = await request('GET', '/api/license/trial-policy', { token: null });
+  assert.equal(response.status, 200);
+  assert.ok((await response.json()).days > 0);
+});
+
+test('creating a room returns its secrets once', async () => {
+  const response = await request('POST', '/api/rooms', { token: null });
+  const room = await response.json();
+  assert.equal(response.status, 200);
+  assert.match(room.roomId, /^[A-Z0-9_-]{6}$/i);
+  assert.ok(room.ownerToken);
+  // Only in the fragment, which never reaches a server
+  assert.ok(room.controllerUrl.endsWith(`/remote/${room.roomId}#key=${encodeURIComponent(room.pairingSecret)}`));
+});
+
+test('the TV dashboard gets the QR code drawing module', async () => {
+  const response = await request('GET', '/qr.js', { token: null });
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), /export function qrCodeDataUrl/);
+});
+
+test('account routes need a signed-in user', async () => {
+  const response = await request('GET', '/api/account/export', { token: null });
+  assert.equal(response.status, 401);
+});
+
+test('a device gets a signed license token for the account', async () => {
+  const response = await request('POST', '/api/license/token', { body: { deviceId: 'device-routes-1' } });
+  assert.equal(response.status, 200);
+  const { license, licenseToken } = await response.json();
+  assert.equal(license.tier, 'trial');
+  assert.equal(licenseToken.split('.').length, 2);
+});
+
+test('monthly checkout goes to Stripe for the signed-in user', async () => {
+  const response = await request('POST', '/api/payment/create-checkout', { body: { planType: 'monthly' } });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).checkoutUrl, 'https://checkout.stripe.com/c/pay/cs_test_1');
+
+  const [[call, config]] = stripeCalls;
+  assert.equal(call, 'checkout.sessions.create');
+  assert.equal(config.mode, 'subscription');
+  assert.equal(config.client_reference_id, user.id);
+  assert.equal(config.customer_email, 'routes@example.com');
+  // The rest of the trial that came with the account carries over
+  assert.equal(config.subscription_data.trial_period_days, TRIAL_POLICY.days);
+});
+
+test('a first-time customer keeps what is left of their trial', async () => {
+  const newcomer = createUserWithTrial({ email: 'newcomer@example.com', name: 'Newcomer' });
+  const token = createUserSession(newcomer).token;
+
+  await request('POST', '/api/payment/create-checkout', { token, body: { planType: 'monthly' } });
+  assert.equal(stripeCalls[0][1].subscription_data.trial_period_days, TRIAL_POLICY.days);
+
+  // Not on a device that already ran another account's trial
+  claimTrial('device', createHash('sha256').update('device-routes-1').digest('hex'), user.id);
+  await request('POST', '/api/payment/create-checkout', { token, body: { planType: 'monthly', deviceId: 'device-routes-1' } });
+  assert.equal(stripeCalls[1][1].subscription_data.trial_period_days, undefined);
+});
+
+test('a returning customer gets no trial', async () => {
+  const returning = createUserWithTrial({ email: 'returning@example.com', name: 'Returning' });
+  createSubscription({
+    userId: returning.id,
+    stripeSubscriptionId: 'sub_returning',
+    planType: 'monthly',
+    status: 'canceled',
+    periodStart: '2026-01-01T00:00:00.000Z',
+    periodEnd: '2026-02-01T00:00:00.000Z'
+  });
+  const token = createUserSession(returning).token;
+
+  await request('POST', '/api/payment/create-checkout', { token, body: { planType: 'monthly' } });
+  assert.equal(stripeCalls[0][1].subscription_data.trial_period_days, undefined);
+});
+
+test('checkout rejects an unknown plan without calling Stripe', async () => {
+  const response = await request('POST', '/api/payment/create-checkout', { body: { planType: 'forever' } });
+  assert.equal(response.status, 400);
+  assert.equal(stripeCalls.length, 0);
+});
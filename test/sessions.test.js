@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import { createUserSession } from '../server/auth.js';
+import { getRoom } from '../server/rooms.js';
+import { server } from '../server/index.js';
+import { connect } from './helpers.js';
+
+// Signing a session out closes the WebSockets opened with its access token
+
+let baseUrl;
+let wsUrl;
+let user;
+
+before(async () => {
+  db.useDatabase(db.createDatabase(':memory:'));
+  server.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  wsUrl = `ws://127.0.0.1:${server.address().port}`;
+  user = db.createUser({ email: 'sessions@example.com', name: 'Sessions' });
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  db.closeDatabase();
+});
+
+function request(method, path, { body, token } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body && JSON.stringify(body)
+  });
+}
+
+function sessionId(session) {
+  return session.refreshToken.split('.')[0];
+}
+
+async function watchPresence(session) {
+  const presence = connect(`${wsUrl}/presence?token=${encodeURIComponent(session.token)}`);
+  await presence.opened;
+  await presence.next('presence-snapshot');
+  return presence;
+}
+
+test('removing a device closes its presence socket, not the others', async () => {
+  const phone = createUserSession(user, { deviceName: 'Phone' });
+  const laptop = createUserSession(user, { deviceName: 'Laptop' });
+  const phonePresence = await watchPresence(phone);
+  const laptopPresence = await watchPresence(laptop);
+
+  const response = await request('DELETE', `/api/auth/sessions/${sessionId(phone)}`, { token: laptop.token });
+  assert.equal(response.status, 200);
+
+  assert.equal((await phonePresence.next('auth-failed')).reason, 'This device was signed out');
+  assert.equal((await phonePresence.closed).code, 4001);
+  assert.equal(laptopPresence.ws.readyState, laptopPresence.ws.OPEN);
+  laptopPresence.close();
+  await laptopPresence.closed;
+});
+
+test('signing out closes a room display signed in with that session', async () => {
+  const browser = createUserSession(user, { deviceName: 'Browser' });
+  const room = await (await request('POST', '/api/rooms')).json();
+
+  const display = connect(`${wsUrl}/ws/${room.roomId}`);
+  await display.opened;
+  display.send({ type: 'join', roomId: room.roomId, role: 'display', ownerToken: room.ownerToken, authToken: browser.token });
+  await display.next('joined');
+  assert.equal(getRoom(room.roomId).ownerUserId, user.id);
+
+  const response = await request('POST', '/api/auth/logout', { body: { refreshToken: browser.refreshToken } });
+  assert.equal(response.status, 200);
+
+  assert.deepEqual(await display.closed, { code: 4001, reason: 'session-revoked' });
+  assert.equal(getRoom(room.roomId).ownerUserId, null);
+});
@@ -0,0 +1,45 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The webhook configuration is read at import, so each case imports its own
+// copy of the module after setting the environment
+
+const VARIABLES = ['STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'STRIPE_WEBHOOK_TEST_SECRET', 'STRIPE_WEBHOOK_REQUIRED', 'NODE_ENV'];
+const saved = Object.fromEntries(VARIABLES.map(name => [name, process.env[name]]));
+let copies = 0;
+
+function loadWith(env) {
+  for (const name of VARIABLES) delete process.env[name];
+  Object.assign(process.env, env);
+  return import(`../server/stripe.js?copy=${++copies}`);
+}
+
+afterEach(() => {
+  for (const name of VARIABLES) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+test('a live key needs the webhook secret, whatever NODE_ENV says', async () => {
+  await assert.rejects(loadWith({ STRIPE_SECRET_KEY: 'sk_live_abc' }), /STRIPE_WEBHOOK_SECRET is required/);
+  await assert.rejects(
+    loadWith({ STRIPE_SECRET_KEY: 'sk_live_abc', STRIPE_WEBHOOK_TEST_SECRET: 'whsec_test' }),
+    /STRIPE_WEBHOOK_SECRET is required/
+  );
+
+  const stripe = await loadWith({ STRIPE_SECRET_KEY: 'sk_live_abc', STRIPE_WEBHOOK_SECRET: 'whsec_live' });
+  assert.equal(stripe.isWebhookEnabled(), true);
+});
+
+test('STRIPE_WEBHOOK_REQUIRED insists on the secret with a test key', async () => {
+  await assert.rejects(
+    loadWith({ STRIPE_SECRET_KEY: 'sk_test_abc', STRIPE_WEBHOOK_REQUIRED: 'true', STRIPE_WEBHOOK_TEST_SECRET: 'whsec_test' }),
+    /STRIPE_WEBHOOK_SECRET is required/
+  );
+});
+
+test('a test key runs with a test secret or with webhooks off', async () => {
+  assert.equal((await loadWith({ STRIPE_SECRET_KEY: 'sk_test_abc', STRIPE_WEBHOOK_TEST_SECRET: 'whsec_test' })).isWebhookEnabled(), true);
+  assert.equal((await loadWith({ STRIPE_SECRET_KEY: 'sk_test_abc', NODE_ENV: 'production' })).isWebhookEnabled(), false);
+});
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../server/db.js';
+import { handleStripeEvent } from '../server/stripe-webhook.js';
+import { stripeFixture } from './helpers.js';
+
+// Replays Stripe events in the shape API 2025-12-15.clover sends them
+// (test/fixtures/stripe)
+
+const SUBSCRIPTION_ID = 'sub_1SXq4fixture00001';
+
+let user;
+let org;
+
+before(() => {
+  db.useDatabase(db.createDatabase(':memory:'));
+
+  user = db.createUser({ email: 'subscriber@example.com', name: 'Subscriber' });
+  const owner = db.createUser({ email: 'team-owner@example.com', name: 'Owner' });
+  org = db.createOrganization({ name: 'Fixture Team', ownerUserId: owner.id });
+  db.updateOrganizationBilling(org.id, { seatCount: 5, status: 'active', stripeSubscriptionId: 'sub_1SXteamfixture0001' });
+});
+
+after(() => {
+  db.closeDatabase();
+});
+
+function replay(name) {
+  return handleStripeEvent(stripeFixture(name, { userId: user.id, orgId: org.id }));
+}
+
+function subscription() {
+  return db.getSubscriptionByStripeId(SUBSCRIPTION_ID);
+}
+
+test('a monthly subscription from trial to cancellation', async () => {
+  await replay('monthly-01-subscription-created');
+  assert.equal(subscription().status, 'trialing');
+  assert.equal(subscription().current_period_start, '2026-01-05T10:00:00.000Z');
+  assert.equal(subscription().current_period_end, '2026-01-19T10:00:00.000Z');
+
+  // The $0 invoice that starts the trial
+  await replay('monthly-02-invoice-paid-trial');
+  assert.equal(subscription().status, 'trialing');
+
+  await replay('monthly-03-subscription-updated-active');
+  assert.equal(subscription().status, 'active');
+  assert.equal(subscription().current_period_end, '2026-02-19T10:00:00.000Z');
+  assert.equal(db.getUserById(user.id).subscription_tier, 'pro');
+
+  await replay('monthly-04-invoice-paid-first');
+  assert.equal(subscription().current_period_start, '2026-01-19T10:00:00.000Z');
+
+  await replay('monthly-05-invoice-payment-failed');
+  assert.equal(subscription().status, 'past_due');
+  await replay('monthly-06-subscription-updated-past-due');
+  assert.equal(subscription().status, 'past_due');
+
+  await replay('monthly-07-subscription-updated-cancel-scheduled');
+  assert.equal(subscription().cancel_at_period_end, 1);
+  assert.equal(subscription().canceled_at, '2026-02-20T08:30:00.000Z');
+
+  // The retried payment recovers the subscription and keeps the cancellation
+  await replay('monthly-08-invoice-paid-retry');
+  assert.equal(subscription().status, 'active');
+  assert.equal(subscription().canceled_at, '2026-02-20T08:30:00.000Z');
+  assert.equal(subscription().current_period_end, '2026-03-19T10:00:00.000Z');
+
+  await replay('monthly-09-subscription-deleted');
+  assert.equal(subscription().status, 'canceled');
+  assert.equal(subscription().canceled_at, '2026-03-19T10:00:00.000Z');
+  assert.equal(db.getUserById(user.id).subscription_tier, 'free');
+});
+
+test('an event delivered twice is applied once', async () => {
+  assert.equal(await replay('monthly-05-invoice-payment-failed'), 'duplicate');
+  assert.equal(subscription().status, 'canceled');
+});
+
+test('a team subscription update sets seats and the billing period', async () => {
+  await replay('team-subscription-updated');
+  const updated = db.getOrganizationById(org.id);
+  assert.equal(updated.seat_count, 7);
+  assert.equal(updated.current_period_end, '2026-02-19T10:00:00.000Z');
+});